@@ -0,0 +1,516 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ENVIRONMENTS = ['development', 'test', 'production'];
+const MATCH_FILTERS = ['gender', 'age', 'country', 'language'];
+
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
+// Load .env files from most to least specific. dotenv never overrides a key
+// that is already set, so real environment variables always win.
+const envFiles = [
+  `.env.${NODE_ENV}.local`,
+  // .env.local is skipped in test so local overrides don't leak into test runs
+  NODE_ENV === 'test' ? null : '.env.local',
+  `.env.${NODE_ENV}`,
+  '.env'
+].filter(Boolean);
+
+const loadedFiles = [];
+for (const file of envFiles) {
+  const filePath = path.join(ROOT_DIR, file);
+  if (fs.existsSync(filePath)) {
+    dotenv.config({ path: filePath });
+    loadedFiles.push(file);
+  }
+}
+
+// Parsers for each supported type. Each returns the parsed value or throws
+// with a human readable reason.
+const parsers = {
+  string: (value) => value,
+  int: (value) => {
+    if (!/^-?\d+$/.test(value)) {
+      throw new Error(`expected an integer, got "${value}"`);
+    }
+    return parseInt(value, 10);
+  },
+  number: (value) => {
+    const parsed = Number(value);
+    if (value === '' || Number.isNaN(parsed)) {
+      throw new Error(`expected a number, got "${value}"`);
+    }
+    return parsed;
+  },
+  bool: (value) => {
+    const normalized = value.toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+    throw new Error(`expected a boolean, got "${value}"`);
+  },
+  list: (value) => value.split(',').map(item => item.trim()).filter(Boolean),
+  // "filter:afterMs" pairs, e.g. "country:30000,age:60000"
+  relaxSteps: (value) => {
+    return parsers.list(value).map(step => {
+      const [filter, afterMs] = step.split(':').map(part => part.trim());
+      if (!MATCH_FILTERS.includes(filter)) {
+        throw new Error(`has unknown filter "${filter}"; allowed: ${MATCH_FILTERS.join(', ')}`);
+      }
+      if (!/^\d+$/.test(afterMs || '')) {
+        throw new Error(`step "${step}" needs a wait time in ms, e.g. ${filter}:30000`);
+      }
+      return { filter, afterMs: parseInt(afterMs, 10) };
+    }).sort((a, b) => a.afterMs - b.afterMs);
+  },
+  // Whitespace separated regular expressions (write \s for a space), e.g.
+  // "free\s+tokens snap(chat)?"
+  patterns: (value) => {
+    return value.split(/\s+/).filter(Boolean).map(pattern => {
+      try {
+        new RegExp(pattern, 'iu');
+      } catch (error) {
+        throw new Error(`has an invalid pattern "${pattern}": ${error.message}`);
+      }
+      return pattern;
+    });
+  },
+  // Comma separated square image sizes in pixels, e.g. "64,256,512"
+  sizes: (value) => {
+    const sizes = parsers.list(value).map(size => {
+      if (!/^\d+$/.test(size) || Number(size) < 16 || Number(size) > 2048) {
+        throw new Error(`has an invalid size "${size}"; sizes are 16 to 2048 pixels`);
+      }
+      return Number(size);
+    });
+    if (sizes.length === 0) {
+      throw new Error('needs at least one size');
+    }
+    return [...new Set(sizes)].sort((a, b) => a - b);
+  },
+  url: (value) => {
+    try {
+      new URL(value);
+    } catch (error) {
+      throw new Error('expected a valid URL');
+    }
+    return value;
+  }
+};
+
+// Configuration schema. `required` may be a boolean or a list of environments
+// in which the key must be provided; `disallowedIn` maps an environment to
+// values the key may not take there.
+const schema = {
+  NODE_ENV: { type: 'string', default: 'development', oneOf: ENVIRONMENTS },
+
+  // HTTP server
+  PORT: { type: 'int', default: 5002, min: 1, max: 65535 },
+  FRONTEND_URLS: {
+    type: 'list',
+    default: 'https://app.swipx.in,https://realswipxin-45ia.vercel.app,http://127.0.0.1:3001,http://localhost:3000'
+  },
+  BODY_LIMIT: { type: 'string', default: '10mb' },
+  RATE_LIMIT_WINDOW_MS: { type: 'int', default: 15 * 60 * 1000, min: 1000 },
+  RATE_LIMIT_MAX: { type: 'int', default: 100, min: 1 },
+
+  // Database
+  DATABASE_URL: { type: 'url', required: true },
+  DATABASE_SSL: { type: 'bool', default: true },
+  DATABASE_SSL_REJECT_UNAUTHORIZED: { type: 'bool', default: false },
+  DB_POOL_MAX: { type: 'int', default: 10, min: 1 },
+  DB_IDLE_TIMEOUT_MS: { type: 'int', default: 30000, min: 0 },
+  DB_CONNECTION_TIMEOUT_MS: { type: 'int', default: 10000, min: 0 },
+  DB_LOG_QUERIES: { type: 'bool', default: true },
+
+  // Authentication
+  JWT_SECRET: { type: 'string', required: true, minLength: 32 },
+  JWT_EXPIRES_IN: { type: 'string', default: '15m' },
+  REFRESH_TOKEN_TTL_DAYS: { type: 'int', default: 30, min: 1 },
+  BCRYPT_SALT_ROUNDS: { type: 'int', default: 12, min: 4, max: 15 },
+  PASSWORD_RESET_TTL_MINUTES: { type: 'int', default: 60, min: 5 },
+  AUTH_EMAIL_RATE_LIMIT_WINDOW_MS: { type: 'int', default: 15 * 60 * 1000, min: 1000 },
+  AUTH_EMAIL_RATE_LIMIT_MAX: { type: 'int', default: 5, min: 1 },
+  EMAIL_VERIFICATION_TTL_HOURS: { type: 'int', default: 48, min: 1 },
+  EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS: { type: 'int', default: 60, min: 0 },
+  // Features closed to unverified accounts: matching, purchases
+  REQUIRE_VERIFIED_FOR: { type: 'list', default: '', values: ['matching', 'purchases'] },
+
+  // Outgoing mail
+  APP_URL: { type: 'url', default: 'http://localhost:3000' },
+  MAIL_TRANSPORT: { type: 'string', default: 'console' },
+  MAIL_FROM: { type: 'string', default: 'SwipX <no-reply@swipx.in>' },
+  MAIL_FILE_DIR: { type: 'string', default: 'tmp/mail' },
+
+  // Socket matching
+  MATCHING_INTERVAL_MS: { type: 'int', default: 5000, min: 500 },
+  MATCHING_RETRY_DELAY_MS: { type: 'int', default: 1000, min: 0 },
+  MATCHING_CLEANUP_INTERVAL_MS: { type: 'int', default: 60000, min: 1000 },
+  MATCHING_MAX_WAIT_MS: { type: 'int', default: 5 * 60 * 1000, min: 1000 },
+  // A match neither side joined the video room of within this long is ended
+  MATCHING_JOIN_TIMEOUT_MS: { type: 'int', default: 30000, min: 5000 },
+  // Filters are dropped one by one as a user's wait time passes each step
+  MATCHING_RELAX_STEPS: { type: 'relaxSteps', default: 'country:30000,language:60000,age:90000,gender:150000' },
+
+  // Multi-node operation
+  SOCKET_ADAPTER: { type: 'string', default: 'postgres', oneOf: ['postgres', 'memory'] },
+  CLUSTER_HEARTBEAT_INTERVAL_MS: { type: 'int', default: 10000, min: 1000 },
+  CLUSTER_NODE_TIMEOUT_MS: { type: 'int', default: 30000, min: 3000 },
+  CLUSTER_LEADER_RETRY_MS: { type: 'int', default: 5000, min: 500 },
+
+  // Call billing. Connected calls are billed per slice, paid as each slice
+  // starts; users are warned when their balance covers fewer slices than
+  // CALL_BALANCE_LOW_SLICES.
+  CALL_SLICE_SECONDS: { type: 'int', default: 60, min: 10 },
+  CALL_TOKENS_PER_SLICE: { type: 'int', default: 1, min: 0 },
+  CALL_BALANCE_LOW_SLICES: { type: 'int', default: 2, min: 0 },
+  CALL_METER_INTERVAL_MS: { type: 'int', default: 5000, min: 500 },
+  // Calls that fail to connect or end sooner than this are refunded, at most
+  // CALL_REFUND_DAILY_LIMIT times per user in 24 hours
+  CALL_REFUND_THRESHOLD_SECONDS: { type: 'int', default: 15, min: 0 },
+  CALL_REFUND_DAILY_LIMIT: { type: 'int', default: 3, min: 0 },
+
+  // Premium subscriptions. After the paid period ends an unrenewed
+  // subscription stays premium for the grace period, then expires.
+  SUBSCRIPTION_GRACE_PERIOD_HOURS: { type: 'int', default: 72, min: 0 },
+  SUBSCRIPTION_CHECK_INTERVAL_MS: { type: 'int', default: 60000, min: 1000 },
+
+  // Abuse reports. A user reported by REPORT_AUTO_SUSPEND_REPORTERS different
+  // people within the window is kept out of matching for a while (0 = off).
+  REPORT_AUTO_SUSPEND_REPORTERS: { type: 'int', default: 3, min: 0 },
+  REPORT_AUTO_SUSPEND_WINDOW_HOURS: { type: 'int', default: 24, min: 1 },
+  REPORT_AUTO_SUSPEND_HOURS: { type: 'int', default: 24, min: 1 },
+
+  // Reputation from post-call ratings. Old ratings count half as much after
+  // each half-life, and the score leans on REPUTATION_PRIOR until a user has
+  // been rated a few times. Users below the low threshold are matched with
+  // each other; after waiting REPUTATION_LOW_WAIT_MS anyone may get them.
+  REPUTATION_HALF_LIFE_DAYS: { type: 'number', default: 30, min: 1 },
+  REPUTATION_PRIOR: { type: 'number', default: 4, min: 1, max: 5 },
+  REPUTATION_PRIOR_WEIGHT: { type: 'number', default: 5, min: 0 },
+  REPUTATION_LOW_THRESHOLD: { type: 'number', default: 2.5, min: 1, max: 5 },
+  REPUTATION_LOW_WAIT_MS: { type: 'int', default: 60000, min: 0 },
+
+  // Connections. Either user can ask to connect during a call or this many
+  // minutes after it ends; the two are connected once both have asked.
+  CONNECT_REQUEST_WINDOW_MINUTES: { type: 'int', default: 10, min: 0 },
+
+  // Match chat. A typing indicator clears by itself this long after the
+  // last `typing` event, in case the client never sends `stopTyping`.
+  CHAT_TYPING_TIMEOUT_MS: { type: 'int', default: 5000, min: 500 },
+  // Moderation stages every message passes before it is stored, in order
+  CHAT_MODERATION_STAGES: { type: 'list', default: 'encoding,html,words,contact,flood' },
+  CHAT_MAX_LENGTH: { type: 'int', default: 1000, min: 1 },
+  // Banned words (whole words, any case) and patterns, either masked with
+  // asterisks or rejecting the whole message
+  CHAT_MASK_WORDS: { type: 'list', default: '' },
+  CHAT_REJECT_WORDS: { type: 'list', default: '' },
+  CHAT_MASK_PATTERNS: { type: 'patterns', default: '' },
+  CHAT_REJECT_PATTERNS: { type: 'patterns', default: '' },
+  // What happens to links, email addresses and phone numbers
+  CHAT_CONTACT_ACTION: { type: 'string', default: 'mask', oneOf: ['allow', 'mask', 'reject'] },
+  // More copies of the same message than this within the window are refused (0 = off)
+  CHAT_FLOOD_REPEAT_LIMIT: { type: 'int', default: 3, min: 0 },
+  CHAT_FLOOD_WINDOW_SECONDS: { type: 'int', default: 60, min: 1 },
+
+  // Chat images. Retention counts from the end of the match; the images are
+  // then deleted from storage.
+  CHAT_IMAGE_MAX_BYTES: { type: 'int', default: 5 * 1024 * 1024, min: 1024 },
+  CHAT_IMAGE_TYPES: { type: 'list', default: 'jpeg,png,webp', values: ['jpeg', 'png', 'webp'] },
+  CHAT_IMAGE_URL_TTL_SECONDS: { type: 'int', default: 300, min: 10 },
+  CHAT_IMAGE_RETENTION_DAYS: { type: 'number', default: 30, min: 0 },
+  CHAT_IMAGE_CLEANUP_INTERVAL_MS: { type: 'int', default: 60 * 60 * 1000, min: 1000 },
+
+  // Profile photos. Uploads are cropped to squares of each AVATAR_SIZES size.
+  // AVATAR_CHECK names the automated check a new photo goes through before
+  // partners see it (see services/avatars.js): manual (always waits for a
+  // moderator), approve (shown right away; development) or a registered one
+  AVATAR_MAX_BYTES: { type: 'int', default: 5 * 1024 * 1024, min: 1024 },
+  AVATAR_TYPES: { type: 'list', default: 'jpeg,png,webp', values: ['jpeg', 'png', 'webp'] },
+  AVATAR_SIZES: { type: 'sizes', default: '64,256,512' },
+  AVATAR_CHECK: { type: 'string', default: 'manual' },
+
+  // File storage for uploads: local files under STORAGE_LOCAL_DIR, or any
+  // S3-compatible service
+  STORAGE_DRIVER: { type: 'string', default: 'local', oneOf: ['local', 's3'] },
+  STORAGE_LOCAL_DIR: { type: 'string', default: 'storage' },
+  S3_ENDPOINT: { type: 'url', default: 'https://s3.amazonaws.com' },
+  S3_REGION: { type: 'string', default: 'us-east-1' },
+  S3_BUCKET: { type: 'string' },
+  S3_ACCESS_KEY_ID: { type: 'string' },
+  S3_SECRET_ACCESS_KEY: { type: 'string' },
+  // Bucket in the path (endpoint/bucket/key) rather than the host name;
+  // most self-hosted S3-compatible services need this
+  S3_FORCE_PATH_STYLE: { type: 'bool', default: true },
+
+  // Payments. The fake provider is for development and tests only.
+  // Must be chosen explicitly (outside tests) so a deploy can't fall back to
+  // the fake provider, which lets users pay themselves
+  PAYMENTS_PROVIDER: {
+    type: 'string',
+    required: ['development', 'production'],
+    default: 'fake',
+    oneOf: ['fake', 'stripe'],
+    disallowedIn: { production: ['fake'] }
+  },
+  PAYMENTS_CURRENCY: { type: 'string', default: 'usd' },
+  PAYMENTS_WEBHOOK_SECRET: { type: 'string', required: ['production'] },
+  PAYMENTS_WEBHOOK_TOLERANCE_SECONDS: { type: 'int', default: 300, min: 1 },
+  STRIPE_SECRET_KEY: { type: 'string' },
+  STRIPE_API_URL: { type: 'url', default: 'https://api.stripe.com' }
+};
+
+const isRequired = (definition, env) => {
+  if (Array.isArray(definition.required)) {
+    return definition.required.includes(env);
+  }
+  return definition.required === true;
+};
+
+// Parse and validate every key, collecting all problems so the report shows
+// everything that needs fixing in one go.
+const loadEnv = (env) => {
+  const values = {};
+  const errors = [];
+
+  for (const [key, definition] of Object.entries(schema)) {
+    const raw = process.env[key];
+
+    if (raw === undefined || raw === '') {
+      if (isRequired(definition, env)) {
+        errors.push(`${key} is required`);
+        continue;
+      }
+      if (definition.default === undefined) {
+        values[key] = undefined;
+        continue;
+      }
+    }
+
+    const input = raw === undefined || raw === '' ? String(definition.default) : raw;
+
+    let value;
+    try {
+      value = parsers[definition.type](input);
+    } catch (error) {
+      errors.push(`${key} ${error.message}`);
+      continue;
+    }
+
+    if (definition.values) {
+      const unknown = value.filter(item => !definition.values.includes(item));
+      if (unknown.length > 0) {
+        errors.push(`${key} contains unknown value(s) ${unknown.join(', ')}; allowed: ${definition.values.join(', ')}`);
+        continue;
+      }
+    }
+    if (definition.oneOf && !definition.oneOf.includes(value)) {
+      errors.push(`${key} must be one of ${definition.oneOf.join(', ')}, got "${value}"`);
+      continue;
+    }
+    if (definition.disallowedIn?.[env]?.includes(value)) {
+      errors.push(`${key} cannot be "${value}" in ${env}`);
+      continue;
+    }
+    if (definition.min !== undefined && value < definition.min) {
+      errors.push(`${key} must be >= ${definition.min}, got ${value}`);
+      continue;
+    }
+    if (definition.max !== undefined && value > definition.max) {
+      errors.push(`${key} must be <= ${definition.max}, got ${value}`);
+      continue;
+    }
+    if (definition.minLength !== undefined && env === 'production' && value.length < definition.minLength) {
+      errors.push(`${key} must be at least ${definition.minLength} characters in production`);
+      continue;
+    }
+
+    values[key] = value;
+  }
+
+  return { values, errors };
+};
+
+const { values: env, errors } = loadEnv(NODE_ENV);
+
+if (errors.length > 0) {
+  console.error('❌ Invalid configuration, refusing to start:');
+  errors.forEach(error => console.error(`   - ${error}`));
+  console.error(`   Environment: ${NODE_ENV}; env files loaded: ${loadedFiles.length > 0 ? loadedFiles.join(', ') : 'none'}`);
+  console.error('   See .env.example for the full list of settings.');
+  process.exit(1);
+}
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+};
+
+const config = deepFreeze({
+  env: env.NODE_ENV,
+  isProduction: env.NODE_ENV === 'production',
+  isTest: env.NODE_ENV === 'test',
+  loadedFiles,
+
+  server: {
+    port: env.PORT,
+    frontendUrls: env.FRONTEND_URLS,
+    bodyLimit: env.BODY_LIMIT
+  },
+
+  rateLimit: {
+    windowMs: env.RATE_LIMIT_WINDOW_MS,
+    max: env.RATE_LIMIT_MAX
+  },
+
+  database: {
+    url: env.DATABASE_URL,
+    ssl: env.DATABASE_SSL ? { rejectUnauthorized: env.DATABASE_SSL_REJECT_UNAUTHORIZED } : false,
+    pool: {
+      max: env.DB_POOL_MAX,
+      idleTimeoutMillis: env.DB_IDLE_TIMEOUT_MS,
+      connectionTimeoutMillis: env.DB_CONNECTION_TIMEOUT_MS
+    },
+    logQueries: env.DB_LOG_QUERIES
+  },
+
+  auth: {
+    jwtSecret: env.JWT_SECRET,
+    jwtExpiresIn: env.JWT_EXPIRES_IN,
+    refreshTokenTtlDays: env.REFRESH_TOKEN_TTL_DAYS,
+    bcryptSaltRounds: env.BCRYPT_SALT_ROUNDS,
+    passwordResetTtlMinutes: env.PASSWORD_RESET_TTL_MINUTES,
+    emailVerification: {
+      ttlHours: env.EMAIL_VERIFICATION_TTL_HOURS,
+      resendCooldownSeconds: env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS,
+      requiredFor: env.REQUIRE_VERIFIED_FOR
+    },
+    emailRateLimit: {
+      windowMs: env.AUTH_EMAIL_RATE_LIMIT_WINDOW_MS,
+      max: env.AUTH_EMAIL_RATE_LIMIT_MAX
+    }
+  },
+
+  appUrl: env.APP_URL.replace(/\/$/, ''),
+
+  mail: {
+    transport: env.MAIL_TRANSPORT,
+    from: env.MAIL_FROM,
+    fileDir: path.resolve(ROOT_DIR, env.MAIL_FILE_DIR)
+  },
+
+  matching: {
+    intervalMs: env.MATCHING_INTERVAL_MS,
+    retryDelayMs: env.MATCHING_RETRY_DELAY_MS,
+    cleanupIntervalMs: env.MATCHING_CLEANUP_INTERVAL_MS,
+    maxWaitMs: env.MATCHING_MAX_WAIT_MS,
+    joinTimeoutMs: env.MATCHING_JOIN_TIMEOUT_MS,
+    relaxSteps: env.MATCHING_RELAX_STEPS
+  },
+
+  cluster: {
+    socketAdapter: env.SOCKET_ADAPTER,
+    heartbeatIntervalMs: env.CLUSTER_HEARTBEAT_INTERVAL_MS,
+    nodeTimeoutMs: env.CLUSTER_NODE_TIMEOUT_MS,
+    leaderRetryMs: env.CLUSTER_LEADER_RETRY_MS
+  },
+
+  calls: {
+    sliceSeconds: env.CALL_SLICE_SECONDS,
+    tokensPerSlice: env.CALL_TOKENS_PER_SLICE,
+    balanceLowSlices: env.CALL_BALANCE_LOW_SLICES,
+    meterIntervalMs: env.CALL_METER_INTERVAL_MS,
+    refundThresholdSeconds: env.CALL_REFUND_THRESHOLD_SECONDS,
+    refundDailyLimit: env.CALL_REFUND_DAILY_LIMIT
+  },
+
+  subscriptions: {
+    gracePeriodHours: env.SUBSCRIPTION_GRACE_PERIOD_HOURS,
+    checkIntervalMs: env.SUBSCRIPTION_CHECK_INTERVAL_MS
+  },
+
+  reports: {
+    autoSuspend: {
+      reporters: env.REPORT_AUTO_SUSPEND_REPORTERS,
+      windowHours: env.REPORT_AUTO_SUSPEND_WINDOW_HOURS,
+      hours: env.REPORT_AUTO_SUSPEND_HOURS
+    }
+  },
+
+  reputation: {
+    halfLifeDays: env.REPUTATION_HALF_LIFE_DAYS,
+    prior: env.REPUTATION_PRIOR,
+    priorWeight: env.REPUTATION_PRIOR_WEIGHT,
+    lowThreshold: env.REPUTATION_LOW_THRESHOLD,
+    lowWaitMs: env.REPUTATION_LOW_WAIT_MS
+  },
+
+  connections: {
+    requestWindowMinutes: env.CONNECT_REQUEST_WINDOW_MINUTES
+  },
+
+  chat: {
+    typingTimeoutMs: env.CHAT_TYPING_TIMEOUT_MS,
+    moderation: {
+      stages: env.CHAT_MODERATION_STAGES,
+      maxLength: env.CHAT_MAX_LENGTH,
+      maskWords: env.CHAT_MASK_WORDS,
+      rejectWords: env.CHAT_REJECT_WORDS,
+      maskPatterns: env.CHAT_MASK_PATTERNS,
+      rejectPatterns: env.CHAT_REJECT_PATTERNS,
+      contactAction: env.CHAT_CONTACT_ACTION,
+      flood: {
+        repeatLimit: env.CHAT_FLOOD_REPEAT_LIMIT,
+        windowSeconds: env.CHAT_FLOOD_WINDOW_SECONDS
+      }
+    },
+    images: {
+      maxBytes: env.CHAT_IMAGE_MAX_BYTES,
+      types: env.CHAT_IMAGE_TYPES,
+      urlTtlSeconds: env.CHAT_IMAGE_URL_TTL_SECONDS,
+      retentionDays: env.CHAT_IMAGE_RETENTION_DAYS,
+      cleanupIntervalMs: env.CHAT_IMAGE_CLEANUP_INTERVAL_MS
+    }
+  },
+
+  avatars: {
+    maxBytes: env.AVATAR_MAX_BYTES,
+    types: env.AVATAR_TYPES,
+    sizes: env.AVATAR_SIZES,
+    check: env.AVATAR_CHECK
+  },
+
+  storage: {
+    driver: env.STORAGE_DRIVER,
+    local: {
+      dir: path.resolve(ROOT_DIR, env.STORAGE_LOCAL_DIR)
+    },
+    s3: {
+      endpoint: env.S3_ENDPOINT.replace(/\/$/, ''),
+      region: env.S3_REGION,
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE
+    }
+  },
+
+  payments: {
+    provider: env.PAYMENTS_PROVIDER,
+    currency: env.PAYMENTS_CURRENCY.toLowerCase(),
+    webhookSecret: env.PAYMENTS_WEBHOOK_SECRET,
+    webhookToleranceSeconds: env.PAYMENTS_WEBHOOK_TOLERANCE_SECONDS,
+    stripe: {
+      secretKey: env.STRIPE_SECRET_KEY,
+      apiUrl: env.STRIPE_API_URL.replace(/\/$/, '')
+    }
+  }
+});
+
+export default config;
@@ -1,9 +1,24 @@
-import jwt from 'jsonwebtoken';
 import { query } from '../config/database.js';
+import { verifyAccessToken } from '../services/sessions.js';
+import { isVerificationRequired } from '../services/emailVerification.js';
+import { getAccountRestriction } from '../services/accountStatus.js';
+import { ServiceError, sendServiceError } from '../utils/errors.js';
 
-// JWT Configuration
-const JWT_SECRET = "your-super-secret-jwt-key-here-change-in-production";
-const JWT_EXPIRES_IN = "7d";
+const USER_COLUMNS = 'u.id, u.email, u.name, u.age, u.country, u.gender, u.preferred_gender, u.avatar_url, u.is_premium, u.tokens, u.is_online, u.last_seen, u.total_calls, u.is_verified, u.language, u.account_status, u.suspended_until, u.status_reason, u.role';
+
+// Load the user behind a decoded access token, but only while the session it
+// was issued for is still active. Returns null for revoked/expired sessions.
+const loadSessionUser = async (decoded) => {
+  const result = await query(
+    `SELECT ${USER_COLUMNS}
+     FROM users u
+     JOIN auth_sessions s ON s.user_id = u.id
+     WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+    [decoded.userId, decoded.sid]
+  );
+
+  return result.rows[0] || null;
+};
 
 // JWT Authentication middleware
 export const authenticateToken = async (req, res, next) => {
@@ -19,27 +34,32 @@ export const authenticateToken = async (req, res, next) => {
     }
 
     // Verify the token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
+    const decoded = verifyAccessToken(token);
+
     // Get user from database
-    const result = await query(
-      'SELECT id, email, name, age, country, gender, preferred_gender, avatar_url, is_premium, tokens, is_online, last_seen, total_calls FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const user = await loadSessionUser(decoded);
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token - user not found'
+        code: 'SESSION_REVOKED',
+        message: 'Session is no longer valid - please log in again'
       });
     }
 
-    // Add user to request object
-    req.user = result.rows[0];
+    // Banned and suspended accounts keep valid tokens but may not use them
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return sendServiceError(res, restriction);
+    }
+
+    // Add user and session to request object
+    req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
-    
+
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
@@ -48,10 +68,11 @@ export const authenticateToken = async (req, res, next) => {
     } else if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
+        code: 'TOKEN_EXPIRED',
         message: 'Token expired'
       });
     }
-    
+
     return res.status(500).json({
       success: false,
       message: 'Authentication failed'
@@ -66,14 +87,17 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const result = await query(
-        'SELECT id, email, name, age, country, gender, preferred_gender, avatar_url, is_premium, tokens, is_online, last_seen, total_calls FROM users WHERE id = $1',
-        [decoded.userId]
-      );
-
-      if (result.rows.length > 0) {
-        req.user = result.rows[0];
+      const decoded = verifyAccessToken(token);
+      const user = await loadSessionUser(decoded);
+
+      const restriction = user && getAccountRestriction(user);
+      if (restriction) {
+        return sendServiceError(res, restriction);
+      }
+
+      if (user) {
+        req.user = user;
+        req.sessionId = decoded.sid;
       }
     }
 
@@ -84,39 +108,66 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
+// Keep unverified accounts out of a feature when the verification policy says so.
+// Must run after authenticateToken.
+export const requireVerified = (feature) => (req, res, next) => {
+  if (isVerificationRequired(feature) && !req.user.is_verified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to use this feature'
+    });
+  }
+  next();
+};
+
+// Restrict a route to staff with one of the given roles, e.g.
+// requireRole('moderator', 'admin'). Must run after authenticateToken.
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      code: 'FORBIDDEN',
+      message: `This requires the ${roles.join(' or ')} role`
+    });
+  }
+  next();
 };
 
 // Socket.IO authentication middleware
 export const socketAuth = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token;
-    
+
     if (!token) {
       throw new Error('No token provided');
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    const result = await query(
-      'SELECT id, email, name, age, country, gender, preferred_gender, avatar_url, is_premium, tokens, is_online FROM users WHERE id = $1',
-      [decoded.userId]
-    );
+    const decoded = verifyAccessToken(token);
+
+    const user = await loadSessionUser(decoded);
+
+    if (!user) {
+      throw new Error('Session revoked or user not found');
+    }
 
-    if (result.rows.length === 0) {
-      throw new Error('User not found');
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      throw restriction;
     }
 
-    socket.userId = result.rows[0].id;
-    socket.user = result.rows[0];
+    socket.userId = user.id;
+    socket.sessionId = decoded.sid;
+    socket.user = user;
     next();
   } catch (error) {
+    if (error instanceof ServiceError) {
+      // Clients read the code and suspension end from connect_error's data
+      const refused = new Error(error.message);
+      refused.data = { code: error.code, ...error.details };
+      return next(refused);
+    }
+
     console.error('Socket authentication error:', error);
     next(new Error('Authentication failed'));
   }
@@ -0,0 +1,32 @@
+import express from 'express';
+import config from '../config/index.js';
+
+// File uploads are the raw bytes as the request body, whatever Content-Type
+// the client sets; services tell the type from the file itself. Bodies over
+// maxBytes are refused with 413 before they are read in full.
+export const readUploadBody = (maxBytes) => {
+  const parse = express.raw({ type: () => true, limit: maxBytes });
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (error?.type === 'entity.too.large') {
+        return res.status(413).json({
+          success: false,
+          code: 'IMAGE_TOO_LARGE',
+          message: `Uploads can be at most ${maxBytes} bytes`
+        });
+      }
+      next(error);
+    });
+  };
+};
+
+// The upload routes' bodies, read as bytes. Mounted ahead of the JSON and
+// form parsers, which skip a body that was already read; otherwise an image
+// sent as application/json would be parsed (and fail) as JSON.
+export const uploadBodies = () => {
+  const router = express.Router();
+  router.post('/api/matching/:matchId/images', readUploadBody(config.chat.images.maxBytes));
+  router.post('/api/users/me/avatar', readUploadBody(config.avatars.maxBytes));
+  return router;
+};
@@ -0,0 +1,21 @@
+// Enum values the routes already write but the baseline types lack:
+// matches move through 'waiting' -> 'connected' -> 'ended', and transactions
+// are logged as 'signup', 'call' and 'downgrade'.
+//
+// New enum values can't be used in the transaction that adds them, so
+// anything relying on them lives in the next migration.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TYPE match_status ADD VALUE IF NOT EXISTS 'waiting';
+    ALTER TYPE match_status ADD VALUE IF NOT EXISTS 'connected';
+    ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'signup';
+    ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'call';
+    ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'downgrade';
+  `);
+};
+
+export const down = async () => {
+  // PostgreSQL cannot drop a value from an enum type. The extra values are
+  // harmless once nothing writes them, so rolling back leaves them in place.
+};
@@ -0,0 +1,172 @@
+// Bring matches in line with what routes/matching.js writes:
+// - connected_at is set when a call connects
+// - the same two users can be matched again later, so the pair is only
+//   unique while a match is live
+// - end_match() and find_available_match() understand the waiting/connected states
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE matches ADD COLUMN IF NOT EXISTS connected_at TIMESTAMP;
+    ALTER TABLE matches ALTER COLUMN status SET DEFAULT 'waiting';
+
+    ALTER TABLE matches DROP CONSTRAINT IF EXISTS unique_active_match;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_matches_live_pair
+      ON matches (LEAST(user1_id, user2_id), GREATEST(user1_id, user2_id))
+      WHERE status IN ('pending', 'active', 'waiting', 'connected');
+  `);
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION find_available_match(
+      p_user_id UUID,
+      p_preferred_gender user_gender DEFAULT NULL
+    )
+    RETURNS TABLE (
+      user_id UUID,
+      name VARCHAR,
+      age INTEGER,
+      country VARCHAR,
+      gender user_gender,
+      avatar_url TEXT,
+      is_premium BOOLEAN,
+      tokens INTEGER
+    ) AS $$
+    BEGIN
+      RETURN QUERY
+      SELECT
+        u.id, u.name, u.age, u.country, u.gender, u.avatar_url, u.is_premium, u.tokens
+      FROM users u
+      WHERE u.id != p_user_id
+        AND u.is_online = true
+        AND u.tokens > 0
+        AND (p_preferred_gender IS NULL OR u.gender = p_preferred_gender)
+        AND u.id NOT IN (
+          SELECT CASE WHEN m.user1_id = p_user_id THEN m.user2_id ELSE m.user1_id END
+          FROM matches m
+          WHERE (m.user1_id = p_user_id OR m.user2_id = p_user_id)
+            AND m.status IN ('pending', 'active', 'waiting', 'connected')
+        )
+      ORDER BY RANDOM()
+      LIMIT 1;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  // Only live matches are ended, and call counts are only bumped once.
+  // Duration is measured from when the call connected if we know it.
+  await client.query(`
+    CREATE OR REPLACE FUNCTION end_match(
+      p_match_id UUID,
+      p_ended_by UUID
+    )
+    RETURNS BOOLEAN AS $$
+    DECLARE
+      v_user1_id UUID;
+      v_user2_id UUID;
+    BEGIN
+      UPDATE matches
+      SET status = 'ended',
+          ended_at = NOW(),
+          ended_by = p_ended_by,
+          duration_seconds = EXTRACT(epoch FROM (NOW() - COALESCE(connected_at, started_at)))::INTEGER
+      WHERE id = p_match_id
+        AND status IN ('pending', 'active', 'waiting', 'connected')
+      RETURNING user1_id, user2_id INTO v_user1_id, v_user2_id;
+
+      IF v_user1_id IS NULL THEN
+        RETURN false;
+      END IF;
+
+      UPDATE users
+      SET total_calls = total_calls + 1
+      WHERE id IN (v_user1_id, v_user2_id);
+
+      RETURN true;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION end_match(
+      p_match_id UUID,
+      p_ended_by UUID
+    )
+    RETURNS BOOLEAN AS $$
+    DECLARE
+      v_duration INTEGER;
+      v_started_at TIMESTAMP;
+    BEGIN
+      SELECT started_at INTO v_started_at
+      FROM matches
+      WHERE id = p_match_id;
+
+      IF v_started_at IS NULL THEN
+        RETURN false;
+      END IF;
+
+      v_duration := EXTRACT(epoch FROM (NOW() - v_started_at))::INTEGER;
+
+      UPDATE matches
+      SET status = 'ended',
+          ended_at = NOW(),
+          ended_by = p_ended_by,
+          duration_seconds = v_duration
+      WHERE id = p_match_id AND status = 'active';
+
+      UPDATE users
+      SET total_calls = total_calls + 1
+      WHERE id IN (
+        SELECT user1_id FROM matches WHERE id = p_match_id
+        UNION
+        SELECT user2_id FROM matches WHERE id = p_match_id
+      );
+
+      RETURN true;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION find_available_match(
+      p_user_id UUID,
+      p_preferred_gender user_gender DEFAULT NULL
+    )
+    RETURNS TABLE (
+      user_id UUID,
+      name VARCHAR,
+      age INTEGER,
+      country VARCHAR,
+      gender user_gender,
+      avatar_url TEXT,
+      is_premium BOOLEAN,
+      tokens INTEGER
+    ) AS $$
+    BEGIN
+      RETURN QUERY
+      SELECT
+        u.id, u.name, u.age, u.country, u.gender, u.avatar_url, u.is_premium, u.tokens
+      FROM users u
+      WHERE u.id != p_user_id
+        AND u.is_online = true
+        AND u.tokens > 0
+        AND (p_preferred_gender IS NULL OR u.gender = p_preferred_gender)
+        AND u.id NOT IN (
+          SELECT CASE WHEN m.user1_id = p_user_id THEN m.user2_id ELSE m.user1_id END
+          FROM matches m
+          WHERE (m.user1_id = p_user_id OR m.user2_id = p_user_id)
+            AND m.status IN ('pending', 'active')
+        )
+      ORDER BY RANDOM()
+      LIMIT 1;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  await client.query(`
+    DROP INDEX IF EXISTS idx_matches_live_pair;
+    ALTER TABLE matches ADD CONSTRAINT unique_active_match UNIQUE (user1_id, user2_id);
+    ALTER TABLE matches ALTER COLUMN status SET DEFAULT 'pending';
+    ALTER TABLE matches DROP COLUMN IF EXISTS connected_at;
+  `);
+};
@@ -0,0 +1,54 @@
+// Shared state for running several API nodes behind a load balancer:
+// - socket_io_attachments backs the Socket.IO Postgres adapter
+// - realtime_nodes tracks live nodes; their queue and room rows cascade away
+//   when a dead node is reaped
+// - matching_queue and video_room_participants replace the in-process
+//   waitingUsers and rooms Maps
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS socket_io_attachments (
+      id BIGSERIAL UNIQUE,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      payload BYTEA
+    );
+
+    CREATE TABLE IF NOT EXISTS realtime_nodes (
+      node_id VARCHAR(64) PRIMARY KEY,
+      hostname VARCHAR(255),
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_heartbeat TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS matching_queue (
+      user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      socket_id VARCHAR(255) NOT NULL,
+      node_id VARCHAR(64) NOT NULL REFERENCES realtime_nodes(node_id) ON DELETE CASCADE,
+      user_snapshot JSONB NOT NULL,
+      preferences JSONB NOT NULL DEFAULT '{}',
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS video_room_participants (
+      room_id VARCHAR(255) NOT NULL,
+      socket_id VARCHAR(255) NOT NULL,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      node_id VARCHAR(64) NOT NULL REFERENCES realtime_nodes(node_id) ON DELETE CASCADE,
+      match_id VARCHAR(255),
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (room_id, socket_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_matching_queue_joined ON matching_queue(joined_at);
+    CREATE INDEX IF NOT EXISTS idx_video_room_participants_socket ON video_room_participants(socket_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS video_room_participants;
+    DROP TABLE IF EXISTS matching_queue;
+    DROP TABLE IF EXISTS realtime_nodes;
+    DROP TABLE IF EXISTS socket_io_attachments;
+  `);
+};
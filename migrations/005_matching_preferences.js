@@ -0,0 +1,17 @@
+// Preference-aware socket matching: users get a spoken language that partners
+// can filter on, and queue entries remember which filters have been relaxed
+// so clients are only told when that changes.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS language VARCHAR(10);
+    ALTER TABLE matching_queue ADD COLUMN IF NOT EXISTS relaxed_filters TEXT[] NOT NULL DEFAULT '{}';
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE matching_queue DROP COLUMN IF EXISTS relaxed_filters;
+    ALTER TABLE users DROP COLUMN IF EXISTS language;
+  `);
+};
@@ -0,0 +1,28 @@
+// One matching service for REST and Socket.IO clients:
+// - REST clients wait in the same queue without a socket, so their entries
+//   have no socket or node and only leave by matching, leaving or expiring
+// - the live match of a user is looked up on every find-match and queue
+//   join, so index it from both sides
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE matching_queue ALTER COLUMN socket_id DROP NOT NULL;
+    ALTER TABLE matching_queue ALTER COLUMN node_id DROP NOT NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_matches_live_user1 ON matches(user1_id)
+      WHERE status IN ('pending', 'active', 'waiting', 'connected');
+    CREATE INDEX IF NOT EXISTS idx_matches_live_user2 ON matches(user2_id)
+      WHERE status IN ('pending', 'active', 'waiting', 'connected');
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_matches_live_user2;
+    DROP INDEX IF EXISTS idx_matches_live_user1;
+
+    DELETE FROM matching_queue WHERE socket_id IS NULL OR node_id IS NULL;
+    ALTER TABLE matching_queue ALTER COLUMN node_id SET NOT NULL;
+    ALTER TABLE matching_queue ALTER COLUMN socket_id SET NOT NULL;
+  `);
+};
@@ -0,0 +1,16 @@
+// 'adjustment' entries bring the token ledger in line with users.tokens when
+// it is first enforced (see 008_token_ledger), and for manual corrections.
+//
+// New enum values can't be used in the transaction that adds them, so
+// anything relying on them lives in the next migration.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'adjustment';
+  `);
+};
+
+export const down = async () => {
+  // PostgreSQL cannot drop a value from an enum type. The extra value is
+  // harmless once nothing writes it, so rolling back leaves it in place.
+};
@@ -0,0 +1,120 @@
+// Token ledger: the `transactions` table becomes an append-only record of
+// every balance change and users.tokens may only be changed by the wallet
+// service (services/wallet.js), which sets swipx.wallet for its transaction.
+//
+// Balances written before this point never made it to the ledger (direct
+// UPDATEs, client-set tokens), so each user whose balance differs from their
+// ledger sum gets an opening 'adjustment' entry.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE transactions ADD COLUMN IF NOT EXISTS balance_after INTEGER;
+    CREATE INDEX IF NOT EXISTS idx_transactions_user_created ON transactions(user_id, created_at);
+
+    UPDATE users SET tokens = 0 WHERE tokens IS NULL;
+    ALTER TABLE users ALTER COLUMN tokens SET DEFAULT 0;
+    ALTER TABLE users ALTER COLUMN tokens SET NOT NULL;
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_tokens_non_negative;
+    ALTER TABLE users ADD CONSTRAINT users_tokens_non_negative CHECK (tokens >= 0) NOT VALID;
+  `);
+
+  await client.query(`
+    INSERT INTO transactions (user_id, type, tokens, balance_after, description)
+    SELECT u.id, 'adjustment', u.tokens - COALESCE(l.total, 0), u.tokens,
+           'Opening balance - ledger brought in line with account balance'
+    FROM users u
+    LEFT JOIN (SELECT user_id, SUM(tokens) AS total FROM transactions GROUP BY user_id) l ON l.user_id = u.id
+    WHERE u.tokens <> COALESCE(l.total, 0);
+  `);
+
+  // Ledger rows are never edited; they only disappear with their user
+  await client.query(`
+    CREATE OR REPLACE FUNCTION prevent_ledger_changes()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.user_id) THEN
+        RETURN OLD;
+      END IF;
+      RAISE EXCEPTION 'transactions is append-only; record a correcting entry instead';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS transactions_append_only ON transactions;
+    CREATE TRIGGER transactions_append_only
+      BEFORE UPDATE OR DELETE ON transactions
+      FOR EACH ROW EXECUTE FUNCTION prevent_ledger_changes();
+  `);
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION guard_user_tokens()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      IF current_setting('swipx.wallet', true) IS DISTINCT FROM 'on' AND (
+        (TG_OP = 'INSERT' AND NEW.tokens <> 0) OR
+        (TG_OP = 'UPDATE' AND NEW.tokens IS DISTINCT FROM OLD.tokens)
+      ) THEN
+        RAISE EXCEPTION 'users.tokens can only be changed through the wallet service';
+      END IF;
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS users_tokens_guard ON users;
+    CREATE TRIGGER users_tokens_guard
+      BEFORE INSERT OR UPDATE OF tokens ON users
+      FOR EACH ROW EXECUTE FUNCTION guard_user_tokens();
+  `);
+
+  // Unused, and it would bypass the ledger
+  await client.query(`
+    DROP FUNCTION IF EXISTS create_match_with_tokens(UUID, UUID);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION create_match_with_tokens(
+      p_user1_id UUID,
+      p_user2_id UUID
+    )
+    RETURNS UUID AS $$
+    DECLARE
+      v_match_id UUID;
+      v_room_id VARCHAR(255);
+    BEGIN
+      -- Generate unique room ID
+      v_room_id := 'room_' || EXTRACT(epoch FROM NOW())::bigint || '_' || (RANDOM() * 1000)::int;
+      
+      -- Create the match
+      INSERT INTO matches (user1_id, user2_id, status, room_id)
+      VALUES (p_user1_id, p_user2_id, 'active', v_room_id)
+      RETURNING id INTO v_match_id;
+      
+      -- Deduct tokens from both users
+      UPDATE users SET tokens = tokens - 1 WHERE id IN (p_user1_id, p_user2_id);
+      
+      -- Log transactions
+      INSERT INTO transactions (user_id, type, tokens, description)
+      VALUES 
+        (p_user1_id, 'deduction', -1, 'Video call started'),
+        (p_user2_id, 'deduction', -1, 'Video call started');
+      
+      RETURN v_match_id;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  await client.query(`
+    DROP TRIGGER IF EXISTS users_tokens_guard ON users;
+    DROP FUNCTION IF EXISTS guard_user_tokens();
+    DROP TRIGGER IF EXISTS transactions_append_only ON transactions;
+    DROP FUNCTION IF EXISTS prevent_ledger_changes();
+
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_tokens_non_negative;
+    ALTER TABLE users ALTER COLUMN tokens DROP NOT NULL;
+    ALTER TABLE users ALTER COLUMN tokens SET DEFAULT 50;
+
+    DROP INDEX IF EXISTS idx_transactions_user_created;
+    ALTER TABLE transactions DROP COLUMN IF EXISTS balance_after;
+  `);
+};
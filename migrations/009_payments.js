@@ -0,0 +1,71 @@
+// Payments: one row per checkout, moving pending -> succeeded/failed and
+// succeeded -> refunded as the provider reports back. payment_events records
+// every webhook event we processed, keyed on the provider's event ID, so a
+// redelivered event is never fulfilled twice. The tokens granted for a
+// payment are ledger entries whose reference_id is the payment ID.
+
+export const up = async (client) => {
+  await client.query(`
+    DO $$ BEGIN
+      CREATE TYPE payment_status AS ENUM ('pending', 'succeeded', 'failed', 'refunded');
+    EXCEPTION
+      WHEN duplicate_object THEN null;
+    END $$;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payments (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      provider VARCHAR(32) NOT NULL,
+      provider_session_id VARCHAR(255),
+      provider_payment_id VARCHAR(255),
+      status payment_status NOT NULL DEFAULT 'pending',
+      plan VARCHAR(50) NOT NULL,
+      tokens INTEGER NOT NULL CHECK (tokens >= 0),
+      amount DECIMAL(10, 2) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      preferred_gender user_gender,
+      checkout_url TEXT,
+      failure_reason TEXT,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_session ON payments(provider, provider_session_id);
+    CREATE INDEX IF NOT EXISTS idx_payments_provider_payment ON payments(provider, provider_payment_id);
+    CREATE INDEX IF NOT EXISTS idx_payments_user ON payments(user_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS payment_events (
+      provider VARCHAR(32) NOT NULL,
+      event_id VARCHAR(255) NOT NULL,
+      type VARCHAR(100) NOT NULL,
+      payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+      payload JSONB NOT NULL,
+      processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (provider, event_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_transactions_reference ON transactions(reference_id);
+  `);
+
+  await client.query(`
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_payments_updated_at') THEN
+        CREATE TRIGGER update_payments_updated_at 
+          BEFORE UPDATE ON payments 
+          FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+      END IF;
+    END $$;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_transactions_reference;
+    DROP TABLE IF EXISTS payment_events;
+    DROP TABLE IF EXISTS payments;
+    DROP TYPE IF EXISTS payment_status;
+  `);
+};
@@ -0,0 +1,54 @@
+// Plan catalog in the database instead of PLAN_* environment variables:
+// - plans get a stable `code` (what older clients send as `plan`) and a
+//   display order
+// - payments point at the plan they bought and keep a copy of its duration,
+//   so later price or duration changes don't affect open checkouts
+// - the three plans that used to be configured are seeded with their default
+//   values. Deployments that overrode PLAN_* should update them through the
+//   admin API after migrating.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE plans ADD COLUMN IF NOT EXISTS code VARCHAR(50);
+    ALTER TABLE plans ADD COLUMN IF NOT EXISTS sort_order INTEGER NOT NULL DEFAULT 0;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_plans_code ON plans(code);
+    ALTER TABLE plans DROP CONSTRAINT IF EXISTS plans_values_check;
+    ALTER TABLE plans ADD CONSTRAINT plans_values_check
+      CHECK (price >= 0 AND tokens >= 0 AND (duration_days IS NULL OR duration_days > 0));
+
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES plans(id);
+    ALTER TABLE payments ADD COLUMN IF NOT EXISTS duration_days INTEGER;
+  `);
+
+  await client.query(`
+    INSERT INTO plans (code, name, description, price, tokens, duration_days, features, sort_order)
+    VALUES
+      ('basic', 'Basic', 'Basic Plan - 100 tokens', 9.99, 100, 30,
+       ARRAY['100 tokens', 'Gender filter', '30 days premium'], 1),
+      ('pro', 'Pro', 'Pro Plan - 300 tokens', 24.99, 300, 30,
+       ARRAY['300 tokens', 'Gender filter', '30 days premium'], 2),
+      ('unlimited', 'Unlimited', 'Unlimited Plan - 1000 tokens', 49.99, 1000, 30,
+       ARRAY['1000 tokens', 'Gender filter', '30 days premium'], 3)
+    ON CONFLICT (code) DO NOTHING;
+  `);
+
+  // Link payments made before the catalog existed
+  await client.query(`
+    UPDATE payments p SET plan_id = pl.id, duration_days = COALESCE(p.duration_days, pl.duration_days)
+    FROM plans pl
+    WHERE p.plan_id IS NULL AND pl.code = p.plan;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE payments DROP COLUMN IF EXISTS duration_days;
+    ALTER TABLE payments DROP COLUMN IF EXISTS plan_id;
+
+    DELETE FROM plans WHERE code IN ('basic', 'pro', 'unlimited');
+    ALTER TABLE plans DROP CONSTRAINT IF EXISTS plans_values_check;
+    DROP INDEX IF EXISTS idx_plans_code;
+    ALTER TABLE plans DROP COLUMN IF EXISTS sort_order;
+    ALTER TABLE plans DROP COLUMN IF EXISTS code;
+  `);
+};
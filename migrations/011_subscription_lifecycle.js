@@ -0,0 +1,58 @@
+// Premium subscriptions as a state machine on users:
+//   none -> active                 a plan with premium days is paid for
+//   active -> canceled             cancelled at period end; still premium
+//   canceled -> active             resumed before the period ends
+//   active -> grace                period ended without a renewal
+//   grace/canceled -> expired      access ended; premium is taken away
+//   grace/expired -> active        renewed
+// premium_expiry is the end of the paid period. subscription_expires_at is
+// when premium access actually ends: the period end, plus the grace period
+// once the subscription is in grace.
+
+export const up = async (client) => {
+  await client.query(`
+    DO $$ BEGIN
+      CREATE TYPE subscription_status AS ENUM ('none', 'active', 'canceled', 'grace', 'expired');
+    EXCEPTION
+      WHEN duplicate_object THEN null;
+    END $$;
+  `);
+
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_status subscription_status NOT NULL DEFAULT 'none';
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_plan_id UUID REFERENCES plans(id);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_started_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS subscription_canceled_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_users_subscription_due
+      ON users(subscription_expires_at) WHERE subscription_status IN ('active', 'canceled', 'grace');
+  `);
+
+  // Existing premium accounts become active subscriptions for the rest of
+  // their period, linked to the plan of their last successful payment
+  await client.query(`
+    UPDATE users u SET
+      subscription_status = 'active',
+      subscription_expires_at = u.premium_expiry,
+      subscription_started_at = COALESCE(last_payment.completed_at, u.updated_at),
+      subscription_plan_id = last_payment.plan_id
+    FROM users base
+    LEFT JOIN LATERAL (
+      SELECT p.plan_id, p.completed_at FROM payments p
+      WHERE p.user_id = base.id AND p.status = 'succeeded' AND p.duration_days IS NOT NULL
+      ORDER BY p.completed_at DESC LIMIT 1
+    ) last_payment ON true
+    WHERE u.id = base.id AND u.is_premium = true AND u.subscription_status = 'none';
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_users_subscription_due;
+    ALTER TABLE users DROP COLUMN IF EXISTS subscription_canceled_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS subscription_started_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS subscription_plan_id;
+    ALTER TABLE users DROP COLUMN IF EXISTS subscription_status;
+    DROP TYPE IF EXISTS subscription_status;
+  `);
+};
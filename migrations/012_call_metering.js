@@ -0,0 +1,94 @@
+// Per-slice call billing:
+// - billed_seconds is how much connected time has been paid for so far;
+//   slices are paid when they start, so it runs ahead of the call
+// - end_reason records why a match ended (e.g. insufficient_tokens)
+// - end_match() stores the billed duration: connected time, capped at what
+//   was paid for, and 0 for matches that never connected
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE matches ADD COLUMN IF NOT EXISTS billed_seconds INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE matches ADD COLUMN IF NOT EXISTS end_reason VARCHAR(32);
+
+    CREATE INDEX IF NOT EXISTS idx_matches_connected ON matches(connected_at) WHERE status = 'connected';
+  `);
+
+  await client.query(`
+    DROP FUNCTION IF EXISTS end_match(UUID, UUID);
+
+    CREATE OR REPLACE FUNCTION end_match(
+      p_match_id UUID,
+      p_ended_by UUID,
+      p_reason VARCHAR DEFAULT 'ended'
+    )
+    RETURNS BOOLEAN AS $$
+    DECLARE
+      v_user1_id UUID;
+      v_user2_id UUID;
+    BEGIN
+      UPDATE matches
+      SET status = 'ended',
+          ended_at = NOW(),
+          ended_by = p_ended_by,
+          end_reason = p_reason,
+          duration_seconds = CASE
+            WHEN connected_at IS NULL THEN 0
+            ELSE LEAST(EXTRACT(epoch FROM (NOW() - connected_at))::INTEGER, billed_seconds)
+          END
+      WHERE id = p_match_id
+        AND status IN ('pending', 'active', 'waiting', 'connected')
+      RETURNING user1_id, user2_id INTO v_user1_id, v_user2_id;
+
+      IF v_user1_id IS NULL THEN
+        RETURN false;
+      END IF;
+
+      UPDATE users
+      SET total_calls = total_calls + 1
+      WHERE id IN (v_user1_id, v_user2_id);
+
+      RETURN true;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP FUNCTION IF EXISTS end_match(UUID, UUID, VARCHAR);
+
+    CREATE OR REPLACE FUNCTION end_match(
+      p_match_id UUID,
+      p_ended_by UUID
+    )
+    RETURNS BOOLEAN AS $$
+    DECLARE
+      v_user1_id UUID;
+      v_user2_id UUID;
+    BEGIN
+      UPDATE matches
+      SET status = 'ended',
+          ended_at = NOW(),
+          ended_by = p_ended_by,
+          duration_seconds = EXTRACT(epoch FROM (NOW() - COALESCE(connected_at, started_at)))::INTEGER
+      WHERE id = p_match_id
+        AND status IN ('pending', 'active', 'waiting', 'connected')
+      RETURNING user1_id, user2_id INTO v_user1_id, v_user2_id;
+
+      IF v_user1_id IS NULL THEN
+        RETURN false;
+      END IF;
+
+      UPDATE users
+      SET total_calls = total_calls + 1
+      WHERE id IN (v_user1_id, v_user2_id);
+
+      RETURN true;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP INDEX IF EXISTS idx_matches_connected;
+    ALTER TABLE matches DROP COLUMN IF EXISTS end_reason;
+    ALTER TABLE matches DROP COLUMN IF EXISTS billed_seconds;
+  `);
+};
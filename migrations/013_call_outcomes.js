@@ -0,0 +1,42 @@
+// Call outcomes and refunds:
+// - call_reports holds what each participant's client said about the media
+//   connection (callConnected / callFailed); the latest report wins
+// - matches.call_outcome is decided when the match ends: never_connected,
+//   failed, short or completed
+// - call_refunds records the refund given to each participant of a failed
+//   or short call. The primary key stops a call from being refunded twice
+//   and the rows are what the daily refund limit counts.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS call_reports (
+      match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      outcome VARCHAR(16) NOT NULL CHECK (outcome IN ('connected', 'failed')),
+      reason VARCHAR(100),
+      reported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (match_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS call_refunds (
+      match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      tokens INTEGER NOT NULL CHECK (tokens > 0),
+      reason VARCHAR(32) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (match_id, user_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_call_refunds_user_created ON call_refunds(user_id, created_at);
+
+    ALTER TABLE matches ADD COLUMN IF NOT EXISTS call_outcome VARCHAR(20);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE matches DROP COLUMN IF EXISTS call_outcome;
+    DROP TABLE IF EXISTS call_refunds;
+    DROP TABLE IF EXISTS call_reports;
+  `);
+};
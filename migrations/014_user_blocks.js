@@ -0,0 +1,66 @@
+// User blocks. A block keeps the two users apart in both directions: the
+// queue matcher and find_available_match() skip blocked pairs whoever
+// blocked whom.
+
+const FIND_AVAILABLE_MATCH = (blockFilter) => `
+  CREATE OR REPLACE FUNCTION find_available_match(
+    p_user_id UUID,
+    p_preferred_gender user_gender DEFAULT NULL
+  )
+  RETURNS TABLE (
+    user_id UUID,
+    name VARCHAR,
+    age INTEGER,
+    country VARCHAR,
+    gender user_gender,
+    avatar_url TEXT,
+    is_premium BOOLEAN,
+    tokens INTEGER
+  ) AS $$
+  BEGIN
+    RETURN QUERY
+    SELECT
+      u.id, u.name, u.age, u.country, u.gender, u.avatar_url, u.is_premium, u.tokens
+    FROM users u
+    WHERE u.id != p_user_id
+      AND u.is_online = true
+      AND u.tokens > 0
+      AND (p_preferred_gender IS NULL OR u.gender = p_preferred_gender)
+      AND u.id NOT IN (
+        SELECT CASE WHEN m.user1_id = p_user_id THEN m.user2_id ELSE m.user1_id END
+        FROM matches m
+        WHERE (m.user1_id = p_user_id OR m.user2_id = p_user_id)
+          AND m.status IN ('pending', 'active', 'waiting', 'connected')
+      )${blockFilter}
+    ORDER BY RANDOM()
+    LIMIT 1;
+  END;
+  $$ LANGUAGE plpgsql;
+`;
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS user_blocks (
+      blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (blocker_id, blocked_id),
+      CHECK (blocker_id <> blocked_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+  `);
+
+  await client.query(FIND_AVAILABLE_MATCH(`
+      AND NOT EXISTS (
+        SELECT 1 FROM user_blocks b
+        WHERE (b.blocker_id = p_user_id AND b.blocked_id = u.id)
+           OR (b.blocker_id = u.id AND b.blocked_id = p_user_id)
+      )`));
+};
+
+export const down = async (client) => {
+  await client.query(FIND_AVAILABLE_MATCH(''));
+  await client.query('DROP TABLE IF EXISTS user_blocks;');
+};
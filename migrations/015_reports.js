@@ -0,0 +1,65 @@
+// Abuse reports and the moderation queue. A report is about one match and
+// keeps a copy of that match's chat as evidence, so deleting messages later
+// doesn't change what moderators see. Each user can report a match once.
+// users.queue_suspended_until keeps a user out of matching for a while,
+// e.g. after reports from several different people.
+
+export const up = async (client) => {
+  await client.query(`
+    DO $$ BEGIN
+      CREATE TYPE report_status AS ENUM ('open', 'reviewing', 'actioned', 'dismissed');
+    EXCEPTION
+      WHEN duplicate_object THEN null;
+    END $$;
+
+    DO $$ BEGIN
+      CREATE TYPE report_reason AS ENUM ('harassment', 'nudity', 'hate', 'violence', 'spam', 'underage', 'other');
+    EXCEPTION
+      WHEN duplicate_object THEN null;
+    END $$;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reports (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      reporter_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      reported_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      reason report_reason NOT NULL,
+      details TEXT,
+      transcript JSONB NOT NULL DEFAULT '[]',
+      status report_status NOT NULL DEFAULT 'open',
+      assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+      resolution_note TEXT,
+      resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      resolved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (reporter_id, match_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_reports_reported ON reports(reported_id, created_at);
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS queue_suspended_until TIMESTAMP;
+  `);
+
+  await client.query(`
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_reports_updated_at') THEN
+        CREATE TRIGGER update_reports_updated_at
+          BEFORE UPDATE ON reports
+          FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+      END IF;
+    END $$;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users DROP COLUMN IF EXISTS queue_suspended_until;
+    DROP TABLE IF EXISTS reports;
+    DROP TYPE IF EXISTS report_reason;
+    DROP TYPE IF EXISTS report_status;
+  `);
+};
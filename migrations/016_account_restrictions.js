@@ -0,0 +1,61 @@
+// Account bans and suspensions. users.account_status says whether an account
+// may sign in at all; a suspension ends by itself at suspended_until. The
+// reason and the moderator who set the state are kept on the user.
+// ban_list holds IP addresses and device IDs that may not open new accounts,
+// so a banned user can't simply sign up again. Sessions now remember the
+// device ID the client sent.
+
+export const up = async (client) => {
+  await client.query(`
+    DO $$ BEGIN
+      CREATE TYPE account_status AS ENUM ('active', 'suspended', 'banned');
+    EXCEPTION
+      WHEN duplicate_object THEN null;
+    END $$;
+
+    DO $$ BEGIN
+      CREATE TYPE ban_list_kind AS ENUM ('ip', 'device');
+    EXCEPTION
+      WHEN duplicate_object THEN null;
+    END $$;
+  `);
+
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS account_status account_status NOT NULL DEFAULT 'active';
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS status_reason TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS status_set_by UUID REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS status_set_at TIMESTAMP;
+
+    ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS device_id VARCHAR(255);
+
+    CREATE TABLE IF NOT EXISTS ban_list (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      kind ban_list_kind NOT NULL,
+      value VARCHAR(255) NOT NULL,
+      reason TEXT,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (kind, value)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_account_status ON users(account_status) WHERE account_status <> 'active';
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS ban_list;
+    ALTER TABLE auth_sessions DROP COLUMN IF EXISTS device_id;
+    DROP INDEX IF EXISTS idx_users_account_status;
+    ALTER TABLE users DROP COLUMN IF EXISTS status_set_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS status_set_by;
+    ALTER TABLE users DROP COLUMN IF EXISTS status_reason;
+    ALTER TABLE users DROP COLUMN IF EXISTS suspended_until;
+    ALTER TABLE users DROP COLUMN IF EXISTS account_status;
+    DROP TYPE IF EXISTS ban_list_kind;
+    DROP TYPE IF EXISTS account_status;
+  `);
+};
@@ -0,0 +1,86 @@
+// Staff roles and the admin audit log.
+// - users.role replaces the ADMIN_EMAILS / MODERATOR_EMAILS settings. Accounts
+//   still listed there when this runs keep their access.
+// - admin_audit_log records every staff action with before/after values. It
+//   is append-only: a trigger rejects updates, deletes and truncation. Actor
+//   and target are plain values, not foreign keys, so entries outlive the
+//   accounts they mention.
+
+const emailList = (value) => (value || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+export const up = async (client) => {
+  await client.query(`
+    DO $$ BEGIN
+      CREATE TYPE user_role AS ENUM ('user', 'moderator', 'admin', 'support');
+    EXCEPTION
+      WHEN duplicate_object THEN null;
+    END $$;
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS role user_role NOT NULL DEFAULT 'user';
+    CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'user';
+  `);
+
+  await client.query(
+    "UPDATE users SET role = 'moderator' WHERE LOWER(email) = ANY($1)",
+    [emailList(process.env.MODERATOR_EMAILS)]
+  );
+  await client.query(
+    "UPDATE users SET role = 'admin' WHERE LOWER(email) = ANY($1)",
+    [emailList(process.env.ADMIN_EMAILS)]
+  );
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id UUID NOT NULL,
+      actor_role user_role NOT NULL,
+      action VARCHAR(100) NOT NULL,
+      target_type VARCHAR(50) NOT NULL,
+      target_id VARCHAR(100),
+      before_value JSONB,
+      after_value JSONB,
+      request_id VARCHAR(100),
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor ON admin_audit_log(actor_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id, created_at);
+
+    CREATE OR REPLACE FUNCTION admin_audit_log_immutable()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      RAISE EXCEPTION 'admin_audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  await client.query(`
+    DO $$ BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'admin_audit_log_no_change') THEN
+        CREATE TRIGGER admin_audit_log_no_change
+          BEFORE UPDATE OR DELETE ON admin_audit_log
+          FOR EACH ROW EXECUTE FUNCTION admin_audit_log_immutable();
+      END IF;
+
+      IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'admin_audit_log_no_truncate') THEN
+        CREATE TRIGGER admin_audit_log_no_truncate
+          BEFORE TRUNCATE ON admin_audit_log
+          FOR EACH STATEMENT EXECUTE FUNCTION admin_audit_log_immutable();
+      END IF;
+    END $$;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS admin_audit_log;
+    DROP FUNCTION IF EXISTS admin_audit_log_immutable();
+    DROP INDEX IF EXISTS idx_users_role;
+    ALTER TABLE users DROP COLUMN IF EXISTS role;
+    DROP TYPE IF EXISTS user_role;
+  `);
+};
@@ -0,0 +1,27 @@
+// Post-call ratings and reputation.
+// - matches.rating_user1 / rating_user2 (from the initial schema) hold the
+//   rating each user GAVE, 1-5; rated_at_user1/2 record when.
+// - users.reputation_sum / reputation_weight are exponentially decayed sums
+//   of the ratings a user RECEIVED, both as of reputation_updated_at. The
+//   score is worked out from them when it is needed (services/reputation.js).
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE matches ADD COLUMN IF NOT EXISTS rated_at_user1 TIMESTAMP;
+    ALTER TABLE matches ADD COLUMN IF NOT EXISTS rated_at_user2 TIMESTAMP;
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS reputation_sum DOUBLE PRECISION NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS reputation_weight DOUBLE PRECISION NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS reputation_updated_at TIMESTAMP;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    ALTER TABLE users DROP COLUMN IF EXISTS reputation_updated_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS reputation_weight;
+    ALTER TABLE users DROP COLUMN IF EXISTS reputation_sum;
+    ALTER TABLE matches DROP COLUMN IF EXISTS rated_at_user2;
+    ALTER TABLE matches DROP COLUMN IF EXISTS rated_at_user1;
+  `);
+};
@@ -0,0 +1,16 @@
+// Call history. A user's history is read newest first from either side of
+// the match, one index per side, and paged by (created_at, id).
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_matches_history_user1 ON matches(user1_id, created_at DESC, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_matches_history_user2 ON matches(user2_id, created_at DESC, id DESC);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_matches_history_user2;
+    DROP INDEX IF EXISTS idx_matches_history_user1;
+  `);
+};
@@ -0,0 +1,23 @@
+// Match chat history and read receipts:
+// - messages.read_at records when the recipient read a message (is_read,
+//   from the initial schema, stays the flag that counts as unread)
+// - chat pages are read newest first by (created_at, id)
+// - unread counts only look at unread rows
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_messages_match_created ON messages(match_id, created_at DESC, id DESC);
+    CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(match_id, sender_id) WHERE is_read = false;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_messages_unread;
+    DROP INDEX IF EXISTS idx_messages_match_created;
+
+    ALTER TABLE messages DROP COLUMN IF EXISTS read_at;
+  `);
+};
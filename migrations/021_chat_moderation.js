@@ -0,0 +1,33 @@
+// Chat moderation strikes. Every message that breaks a chat rule (banned
+// words, contact details, flooding) is logged in chat_violations with what
+// the user actually typed, and counted in users.chat_strikes so moderators
+// can see repeat offenders at a glance.
+
+export const up = async (client) => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS chat_strikes INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS last_chat_strike_at TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS chat_violations (
+      id BIGSERIAL PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+      stage VARCHAR(50) NOT NULL,
+      reason VARCHAR(50) NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_chat_violations_user ON chat_violations(user_id, created_at DESC);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS chat_violations;
+
+    ALTER TABLE users DROP COLUMN IF EXISTS last_chat_strike_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS chat_strikes;
+  `);
+};
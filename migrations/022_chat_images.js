@@ -0,0 +1,33 @@
+// Image messages. Uploads are stored through the storage driver under
+// storage_key; the row stays after the file is deleted at the end of the
+// retention period (deleted_at set) so the chat can show the image expired.
+// A message carries at most one image, and an image is sent at most once.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chat_images (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      uploader_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      storage_key VARCHAR(255) NOT NULL,
+      content_type VARCHAR(50) NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deleted_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_chat_images_match ON chat_images(match_id) WHERE deleted_at IS NULL;
+
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS image_id UUID REFERENCES chat_images(id) ON DELETE SET NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_image ON messages(image_id) WHERE image_id IS NOT NULL;
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_messages_image;
+    ALTER TABLE messages DROP COLUMN IF EXISTS image_id;
+
+    DROP TABLE IF EXISTS chat_images;
+  `);
+};
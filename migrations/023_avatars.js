@@ -0,0 +1,32 @@
+// Profile photos. Each upload is a row here with its resized files in
+// storage under avatars/<userId>/<avatarId>/. A new photo starts pending and
+// only becomes users.avatar_url once approved, by the automated check or a
+// moderator; a user has at most one pending and one approved photo. Rejected
+// and removed photos keep their row (for moderators) but lose their files.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS avatars (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected', 'removed')),
+      sizes INTEGER[] NOT NULL,
+      review_reason TEXT,
+      reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_avatars_user_pending ON avatars(user_id) WHERE status = 'pending';
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_avatars_user_approved ON avatars(user_id) WHERE status = 'approved';
+    CREATE INDEX IF NOT EXISTS idx_avatars_status_created ON avatars(status, created_at);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    UPDATE users SET avatar_url = NULL WHERE avatar_url LIKE '/api/media/avatars/%';
+    DROP TABLE IF EXISTS avatars;
+  `);
+};
@@ -0,0 +1,33 @@
+// Connections between users who met in a call. Each side's request to
+// connect is kept per match in connect_requests; when the second one arrives
+// a connections row is created. Pairs are stored once, smaller user ID first.
+
+export const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS connect_requests (
+      match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      requester_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (match_id, requester_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS connections (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user1_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      user2_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (user1_id < user2_id),
+      UNIQUE (user1_id, user2_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_connections_user2 ON connections(user2_id);
+  `);
+};
+
+export const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS connections;
+    DROP TABLE IF EXISTS connect_requests;
+  `);
+};
@@ -0,0 +1,413 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import * as plans from '../services/plans.js';
+import * as admin from '../services/admin.js';
+import { auditContext, recordAction, listActions } from '../services/audit.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Every staff role can look; changes need the role that owns them
+const anyStaff = requireRole('admin', 'support', 'moderator');
+const billingStaff = requireRole('admin', 'support');
+const matchStaff = requireRole('admin', 'moderator');
+const adminOnly = requireRole('admin');
+
+router.use(authenticateToken);
+
+// Shared field rules; on create the required ones are checked separately
+const planFieldValidation = [
+  body('code').optional({ values: 'null' }).matches(/^[a-z0-9][a-z0-9_-]{0,49}$/).withMessage('Code must be a lowercase slug of up to 50 characters'),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+  body('price').optional().isFloat({ min: 0 }).toFloat().withMessage('Price must be zero or more'),
+  body('tokens').optional().isInt({ min: 0 }).toInt().withMessage('Tokens must be a whole number, zero or more'),
+  body('durationDays').optional({ values: 'null' }).isInt({ min: 1 }).toInt().withMessage('Duration must be a positive number of days'),
+  body('features').optional().isArray({ max: 20 }).withMessage('Features must be a list'),
+  body('features.*').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Each feature must be 1-200 characters'),
+  body('isActive').optional().isBoolean().toBoolean().withMessage('isActive must be true or false'),
+  body('sortOrder').optional().isInt().toInt().withMessage('Sort order must be a whole number')
+];
+
+const createPlanValidation = [
+  body('name').exists().withMessage('Name is required'),
+  body('price').exists().withMessage('Price is required'),
+  body('tokens').exists().withMessage('Tokens is required'),
+  ...planFieldValidation
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const planFields = (body) => ({
+  code: body.code,
+  name: body.name,
+  description: body.description,
+  price: body.price,
+  tokens: body.tokens,
+  durationDays: body.durationDays,
+  features: body.features,
+  isActive: body.isActive,
+  sortOrder: body.sortOrder
+});
+
+// All plans, including deactivated ones
+router.get('/plans', adminOnly, async (req, res) => {
+  try {
+    const list = await plans.listPlans({ includeInactive: true });
+
+    res.json({
+      success: true,
+      data: { plans: list }
+    });
+
+  } catch (error) {
+    console.error('Admin list plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load plans'
+    });
+  }
+});
+
+router.post('/plans', adminOnly, createPlanValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const plan = await plans.createPlan(planFields(req.body));
+    await recordAction(auditContext(req), { action: 'plan.create', targetType: 'plan', targetId: plan.id, after: plan });
+    console.log(`🗂️ Plan ${plan.name} created by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created',
+      data: { plan }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Create plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create plan'
+    });
+  }
+});
+
+router.put('/plans/:planId', adminOnly, planFieldValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const before = await plans.getPlan(req.params.planId);
+    const plan = await plans.updatePlan(req.params.planId, planFields(req.body));
+    await recordAction(auditContext(req), { action: 'plan.update', targetType: 'plan', targetId: plan.id, before, after: plan });
+    console.log(`🗂️ Plan ${plan.name} updated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Plan updated',
+      data: { plan }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plan'
+    });
+  }
+});
+
+// Plans are deactivated rather than deleted; past payments still refer to them
+router.delete('/plans/:planId', adminOnly, async (req, res) => {
+  try {
+    const before = await plans.getPlan(req.params.planId);
+    const plan = await plans.deactivatePlan(req.params.planId);
+    await recordAction(auditContext(req), { action: 'plan.deactivate', targetType: 'plan', targetId: plan.id, before, after: plan });
+    console.log(`🗂️ Plan ${plan.name} deactivated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Plan deactivated',
+      data: { plan }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Deactivate plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate plan'
+    });
+  }
+});
+
+const pageValidation = [
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('offset').optional().isInt({ min: 0 }).toInt()
+];
+
+// Search users by email, name or ID
+router.get('/users', anyStaff, [
+  queryParam('q').optional().isString().trim().isLength({ max: 255 }),
+  queryParam('role').optional().isIn(admin.ROLES).withMessage('Invalid role'),
+  queryParam('status').optional().isIn(['active', 'suspended', 'banned']).withMessage('Invalid status'),
+  ...pageValidation
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { q, role, status, limit, offset } = req.query;
+    const users = await admin.searchUsers({ q: q || null, role: role || null, status: status || null, limit, offset });
+
+    res.json({
+      success: true,
+      data: { users }
+    });
+
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search users'
+    });
+  }
+});
+
+router.get('/users/:userId', anyStaff, async (req, res) => {
+  try {
+    const user = await admin.getUser(req.params.userId);
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load user'
+    });
+  }
+});
+
+router.get('/users/:userId/matches', anyStaff, pageValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const matches = await admin.listUserMatches(req.params.userId, { limit: req.query.limit, offset: req.query.offset });
+
+    res.json({
+      success: true,
+      data: { matches }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin list matches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load matches'
+    });
+  }
+});
+
+router.get('/users/:userId/transactions', anyStaff, pageValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const transactions = await admin.listUserTransactions(req.params.userId, { limit: req.query.limit, offset: req.query.offset });
+
+    res.json({
+      success: true,
+      data: { transactions }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin list transactions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load transactions'
+    });
+  }
+});
+
+router.get('/users/:userId/sessions', anyStaff, async (req, res) => {
+  try {
+    const sessions = await admin.listUserSessions(req.params.userId);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin list sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sessions'
+    });
+  }
+});
+
+// Credit (positive) or debit (negative) tokens through the ledger
+router.post('/users/:userId/tokens', billingStaff, [
+  body('amount').isInt({ min: -100000, max: 100000 }).withMessage('Amount must be a whole number').bail()
+    .custom(value => Number(value) !== 0).withMessage('Amount cannot be zero').toInt(),
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { balance } = await admin.adjustTokens(auditContext(req), req.params.userId, {
+      amount: req.body.amount,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Tokens adjusted',
+      data: { balance }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin adjust tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust tokens'
+    });
+  }
+});
+
+// Grant premium for some days, or take it away
+router.put('/users/:userId/premium', billingStaff, [
+  body('isPremium').isBoolean().withMessage('isPremium must be true or false').toBoolean(),
+  body('days').if(body('isPremium').equals('true')).isInt({ min: 1, max: 3650 }).withMessage('Days must be between 1 and 3650').toInt(),
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const subscription = await admin.setPremium(auditContext(req), req.params.userId, {
+      isPremium: req.body.isPremium,
+      days: req.body.isPremium ? req.body.days : null,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: req.body.isPremium ? 'Premium granted' : 'Premium removed',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin set premium error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change premium status'
+    });
+  }
+});
+
+router.put('/users/:userId/role', adminOnly, [
+  body('role').isIn(admin.ROLES).withMessage(`Role must be one of ${admin.ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const user = await admin.setRole(auditContext(req), req.params.userId, req.body.role);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { user }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin set role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// End a live match for both users
+router.post('/matches/:matchId/end', matchStaff, [
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const outcome = await admin.forceEndMatch(auditContext(req), req.params.matchId, req.body.reason || null);
+
+    res.json({
+      success: true,
+      message: outcome.alreadyEnded ? 'Match had already ended' : 'Match ended',
+      data: outcome
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Admin end match error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end match'
+    });
+  }
+});
+
+// The audit log, newest first
+router.get('/audit-log', adminOnly, [
+  queryParam('actorId').optional().isUUID().withMessage('actorId must be a user ID'),
+  queryParam('targetType').optional().isString().isLength({ max: 50 }),
+  queryParam('targetId').optional().isString().isLength({ max: 100 }),
+  queryParam('action').optional().isString().isLength({ max: 100 }),
+  ...pageValidation
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { actorId, targetType, targetId, action, limit, offset } = req.query;
+    const entries = await listActions({
+      actorId: actorId || null,
+      targetType: targetType || null,
+      targetId: targetId || null,
+      action: action || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load audit log'
+    });
+  }
+});
+
+export default router;
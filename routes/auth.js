@@ -1,8 +1,19 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
+import validator from 'validator';
+import rateLimit from 'express-rate-limit';
 import { body, validationResult } from 'express-validator';
-import { query } from '../config/database.js';
-import { generateToken, authenticateToken } from '../middleware/auth.js';
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { authenticateToken, requireVerified } from '../middleware/auth.js';
+import { getAccountRestriction, checkBanList } from '../services/accountStatus.js';
+import { createSession, rotateRefreshToken, listSessions, revokeSession, revokeAllSessions } from '../services/sessions.js';
+import { requestPasswordReset, resetPassword } from '../services/passwordReset.js';
+import { sendVerification, resendVerification, verifyEmail } from '../services/emailVerification.js';
+import * as wallet from '../services/wallet.js';
+import { getSubscription } from '../services/subscriptions.js';
+import { checkoutValidation, startCheckout } from './payments.js';
+import { sendServiceError } from '../utils/errors.js';
 
 const router = express.Router();
 
@@ -16,14 +27,40 @@ const registerValidation = [
   body('age').isInt({ min: 18, max: 100 }).withMessage('Age must be between 18 and 100'),
   body('country').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Country must be between 2 and 100 characters'),
   body('gender').isIn(['male', 'female', 'other']).withMessage('Gender must be male, female, or other'),
-  body('preferredGender').optional().isIn(['male', 'female', 'other']).withMessage('Preferred gender must be male, female, or other')
+  body('preferredGender').optional().isIn(['male', 'female', 'other']).withMessage('Preferred gender must be male, female, or other'),
+  body('deviceName').optional().trim().isLength({ max: 255 }).withMessage('Device name must be at most 255 characters'),
+  body('deviceId').optional().trim().isLength({ max: 255 }).withMessage('Device ID must be at most 255 characters')
 ];
 
 const loginValidation = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('password').notEmpty().withMessage('Password is required'),
+  body('deviceName').optional().trim().isLength({ max: 255 }).withMessage('Device name must be at most 255 characters'),
+  body('deviceId').optional().trim().isLength({ max: 255 }).withMessage('Device ID must be at most 255 characters')
 ];
 
+// Stricter rate limit for endpoints that send email
+const emailLimiter = rateLimit({
+  windowMs: config.auth.emailRateLimit.windowMs,
+  max: config.auth.emailRateLimit.max,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Device details stored with each session so users can recognise them later.
+// The device ID is a stable identifier the client generates; it lets bans
+// follow a device to new accounts.
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip,
+  deviceName: req.body.deviceName,
+  deviceId: req.body.deviceId || req.get('x-device-id') || null
+});
+
 // Register endpoint
 router.post('/register', registerValidation, async (req, res) => {
   try {
@@ -41,6 +78,10 @@ router.post('/register', registerValidation, async (req, res) => {
     }
 
     const { email, password, name, age, country, gender, preferredGender } = req.body;
+
+    // Keep banned devices and networks from opening new accounts
+    const { ipAddress, deviceId } = sessionMeta(req);
+    await checkBanList({ ipAddress, deviceId });
     
     // Set default country if not provided
     const userCountry = country || 'Unknown';
@@ -59,27 +100,29 @@ router.post('/register', registerValidation, async (req, res) => {
     }
 
     // Hash password
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-
-    // Create user with FREE account (0 tokens, no premium features)
-    const result = await query(
-      `INSERT INTO users (email, password_hash, name, age, country, gender, preferred_gender, tokens, is_premium, is_online) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, 0, false, true) 
-       RETURNING id, email, name, age, country, gender, preferred_gender, avatar_url, is_premium, tokens, is_online, total_calls, created_at`,
-      [email, passwordHash, name, age, userCountry, gender, null] // Free users get no gender preference
-    );
+    const passwordHash = await bcrypt.hash(password, config.auth.bcryptSaltRounds);
+
+    // Create user with FREE account (0 tokens, no premium features) and
+    // open their ledger with a welcome entry
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO users (email, password_hash, name, age, country, gender, preferred_gender, tokens, is_premium, is_online) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, 0, false, true) 
+         RETURNING id, email, name, age, country, gender, preferred_gender, avatar_url, is_premium, tokens, is_online, total_calls, is_verified, created_at`,
+        [email, passwordHash, name, age, userCountry, gender, null] // Free users get no gender preference
+      );
 
-    const user = result.rows[0];
+      await wallet.recordEvent(result.rows[0].id, 'signup', 'Free account created - upgrade to premium for tokens!', client);
+      return result.rows[0];
+    });
 
-    // Create welcome transaction for FREE account
-    await query(
-      'INSERT INTO transactions (user_id, type, tokens, description) VALUES ($1, $2, $3, $4)',
-      [user.id, 'signup', 0, 'Free account created - upgrade to premium for tokens!']
-    );
+    // Send the verification email without holding up signup
+    sendVerification(user.id).catch(error => {
+      console.error('Failed to send verification email:', error);
+    });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a device session
+    const session = await createSession(user.id, sessionMeta(req));
 
     // Remove sensitive data from response
     delete user.password_hash;
@@ -89,11 +132,12 @@ router.post('/register', registerValidation, async (req, res) => {
       message: 'Account created successfully! Welcome to SwipX!',
       data: {
         user,
-        token
+        ...session
       }
     });
 
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Registration error:', error);
     res.status(500).json({
       success: false,
@@ -119,7 +163,7 @@ router.post('/login', loginValidation, async (req, res) => {
 
     // Get user from database
     const result = await query(
-      'SELECT id, email, password_hash, name, age, country, gender, preferred_gender, avatar_url, is_premium, tokens, is_online, last_seen, total_calls, created_at FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, name, age, country, gender, preferred_gender, avatar_url, is_premium, tokens, is_online, last_seen, total_calls, is_verified, created_at, account_status, suspended_until, status_reason FROM users WHERE email = $1',
       [email]
     );
 
@@ -141,21 +185,9 @@ router.post('/login', loginValidation, async (req, res) => {
       });
     }
 
-    // Check if premium user has 0 tokens - downgrade to free
-    if (user.is_premium && user.tokens <= 0) {
-      await query(
-        'UPDATE users SET is_premium = false, preferred_gender = null WHERE id = $1',
-        [user.id]
-      );
-      user.is_premium = false;
-      user.preferred_gender = null;
-      console.log(`📉 User ${user.name} (${user.email}) downgraded to FREE - 0 tokens remaining`);
-      
-      // Log downgrade transaction
-      await query(
-        'INSERT INTO transactions (user_id, type, tokens, description) VALUES ($1, $2, $3, $4)',
-        [user.id, 'downgrade', 0, 'Downgraded to FREE - premium tokens exhausted']
-      );
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return sendServiceError(res, restriction);
     }
 
     // Update online status
@@ -164,8 +196,8 @@ router.post('/login', loginValidation, async (req, res) => {
       [user.id]
     );
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a device session
+    const session = await createSession(user.id, sessionMeta(req));
 
     // Remove sensitive data from response
     delete user.password_hash;
@@ -177,7 +209,7 @@ router.post('/login', loginValidation, async (req, res) => {
       message: 'Login successful! Welcome back!',
       data: {
         user,
-        token
+        ...session
       }
     });
 
@@ -190,12 +222,150 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await rotateRefreshToken(req.body.refreshToken, {
+      userAgent: req.get('user-agent'),
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: session
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+// Request a password reset email. Always answers the same way so the
+// endpoint can't be used to find out which emails have accounts.
+router.post('/forgot-password', emailLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Don't await: response timing must not depend on whether the account exists
+  requestPasswordReset(req.body.email).catch(error => {
+    console.error('Forgot password error:', error);
+  });
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent.'
+  });
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', emailLimiter, [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await resetPassword(req.body.token, req.body.password);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+// Confirm an email address from the link in the verification email
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await verifyEmail(req.params.token);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully!',
+      data: {
+        userId: user.id,
+        isVerified: user.is_verified
+      }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+// Send the verification email again
+router.post('/resend-verification', emailLimiter, authenticateToken, async (req, res) => {
+  try {
+    await resendVerification(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/me', authenticateToken, async (req, res) => {
   try {
     // Get fresh user data from database
     const result = await query(
-      'SELECT id, email, name, age, country, gender, preferred_gender, avatar_url, bio, interests, is_premium, tokens, subscription_expires_at, premium_expiry, is_online, last_seen, total_calls, created_at FROM users WHERE id = $1',
+      'SELECT id, email, name, age, country, gender, preferred_gender, avatar_url, bio, interests, language, is_premium, tokens, subscription_expires_at, premium_expiry, is_online, last_seen, total_calls, is_verified, verification_sent_at, created_at FROM users WHERE id = $1',
       [req.user.id]
     );
 
@@ -206,10 +376,19 @@ router.get('/me', authenticateToken, async (req, res) => {
       });
     }
 
+    const { verification_sent_at: verificationSentAt, ...user } = result.rows[0];
+    const subscription = await getSubscription(user.id);
+
     res.json({
       success: true,
       data: {
-        user: result.rows[0]
+        user,
+        subscription,
+        verification: {
+          isVerified: user.is_verified,
+          lastSentAt: verificationSentAt,
+          restrictedFeatures: user.is_verified ? [] : config.auth.emailVerification.requiredFor
+        }
       }
     });
   } catch (error) {
@@ -230,7 +409,7 @@ router.put('/profile', authenticateToken, [
   body('preferredGender').optional().isIn(['male', 'female', 'other']),
   body('bio').optional().trim().isLength({ max: 500 }),
   body('interests').optional().isArray({ max: 10 }),
-  body('tokens').optional().isInt({ min: 0 }).withMessage('Tokens must be a non-negative integer')
+  body('language').optional().matches(/^[a-zA-Z]{2,3}(-[a-zA-Z]{2})?$/).withMessage('Language must be a language code such as "en" or "pt-BR"')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -243,7 +422,8 @@ router.put('/profile', authenticateToken, [
     }
 
     const updates = {};
-    const allowedFields = ['name', 'age', 'country', 'gender', 'preferred_gender', 'bio', 'interests', 'tokens'];
+    // Token balances are only changed through the wallet
+    const allowedFields = ['name', 'age', 'country', 'gender', 'preferred_gender', 'bio', 'interests', 'language'];
     
     // Build update object with only provided fields
     allowedFields.forEach(field => {
@@ -269,7 +449,7 @@ router.put('/profile', authenticateToken, [
     const result = await query(
       `UPDATE users SET ${setClause}, updated_at = CURRENT_TIMESTAMP 
        WHERE id = $1 
-       RETURNING id, email, name, age, country, gender, preferred_gender, avatar_url, bio, interests, is_premium, tokens, subscription_expires_at, premium_expiry, is_online, last_seen, total_calls, updated_at`,
+       RETURNING id, email, name, age, country, gender, preferred_gender, avatar_url, bio, interests, language, is_premium, tokens, subscription_expires_at, premium_expiry, is_online, last_seen, total_calls, updated_at`,
       values
     );
 
@@ -290,9 +470,11 @@ router.put('/profile', authenticateToken, [
   }
 });
 
-// Logout endpoint (update online status)
+// Logout endpoint (revoke the current session and update online status)
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
+    await revokeSession(req.sessionId, 'logout', req.user.id);
+
     // Update offline status
     await query(
       'UPDATE users SET is_online = false, last_seen = CURRENT_TIMESTAMP WHERE id = $1',
@@ -312,154 +494,112 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// Purchase Premium Plan
-router.post('/purchase-premium', authenticateToken, [
-  body('plan').isIn(['basic', 'pro', 'unlimited']).withMessage('Invalid plan type'),
-  body('preferredGender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid preferred gender')
-], async (req, res) => {
+// List the user's active device sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
+    const sessions = await listSessions(req.user.id);
 
-    const { plan, preferredGender } = req.body;
-    
-    // Define plan details
-    const planDetails = {
-      basic: { tokens: 100, price: 9.99, description: 'Basic Plan - 100 tokens' },
-      pro: { tokens: 300, price: 24.99, description: 'Pro Plan - 300 tokens' },
-      unlimited: { tokens: 1000, price: 49.99, description: 'Unlimited Plan - 1000 tokens' }
-    };
-    
-    const selectedPlan = planDetails[plan];
-    if (!selectedPlan) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid plan selected'
-      });
-    }
-
-    // Update user to premium with tokens and preferred gender
-    const result = await query(
-      `UPDATE users SET 
-        is_premium = true, 
-        tokens = tokens + $1, 
-        preferred_gender = $2,
-        premium_expiry = CURRENT_TIMESTAMP + INTERVAL '30 days'
-       WHERE id = $3 
-       RETURNING id, email, name, tokens, is_premium, preferred_gender, premium_expiry`,
-      [selectedPlan.tokens, preferredGender || null, req.user.id]
-    );
-
-    // Log purchase transaction
-    await query(
-      'INSERT INTO transactions (user_id, type, tokens, amount, description) VALUES ($1, $2, $3, $4, $5)',
-      [req.user.id, 'purchase', selectedPlan.tokens, selectedPlan.price, selectedPlan.description]
-    );
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session.id,
+          deviceName: session.device_name,
+          userAgent: session.user_agent,
+          ipAddress: session.ip_address,
+          createdAt: session.created_at,
+          lastUsedAt: session.last_used_at,
+          expiresAt: session.expires_at,
+          isCurrent: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list sessions'
+    });
+  }
+});
 
-    console.log(`💎 User ${result.rows[0].name} upgraded to PREMIUM (${plan}) - ${selectedPlan.tokens} tokens added`);
+// Sign out every other device
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'signed_out_remotely', {
+      exceptSessionId: req.sessionId
+    });
 
     res.json({
       success: true,
-      message: `Premium ${plan} plan activated! You now have ${result.rows[0].tokens} tokens.`,
+      message: `Signed out of ${revoked} other session(s)`,
       data: {
-        user: result.rows[0],
-        plan: selectedPlan
+        revoked
       }
     });
-
   } catch (error) {
-    console.error('Premium purchase error:', error);
+    console.error('Revoke sessions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to process premium purchase'
+      message: 'Failed to revoke sessions'
     });
   }
 });
 
-// Deduct tokens for video call
-router.post('/deduct-tokens', authenticateToken, async (req, res) => {
+// Sign out a single device
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
   try {
-    const tokenCost = 8; // Cost per video call connection
-    
-    // Get current user tokens
-    const userResult = await query(
-      'SELECT tokens, is_premium FROM users WHERE id = $1',
-      [req.user.id]
-    );
-    
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    const user = userResult.rows[0];
-    
-    // Check if user is premium and has enough tokens
-    if (!user.is_premium) {
-      return res.status(403).json({
+    const { sessionId } = req.params;
+
+    if (!validator.isUUID(sessionId)) {
+      return res.status(400).json({
         success: false,
-        message: 'Premium subscription required for video calls'
+        message: 'Invalid session ID'
       });
     }
-    
-    if (user.tokens < tokenCost) {
-      return res.status(402).json({
+
+    const revoked = await revokeSession(sessionId, 'signed_out_remotely', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
         success: false,
-        message: 'Insufficient tokens. Please purchase more tokens to continue.',
-        tokensNeeded: tokenCost,
-        currentTokens: user.tokens
+        message: 'Session not found'
       });
     }
-    
-    // Deduct tokens
-    const updateResult = await query(
-      `UPDATE users SET 
-        tokens = tokens - $1,
-        total_calls = total_calls + 1
-       WHERE id = $2 
-       RETURNING tokens, total_calls`,
-      [tokenCost, req.user.id]
-    );
-    
-    // Log token deduction transaction
-    await query(
-      'INSERT INTO transactions (user_id, type, tokens, description) VALUES ($1, $2, $3, $4)',
-      [req.user.id, 'call', -tokenCost, 'Video call connection - 8 tokens deducted']
-    );
-    
-    const remainingTokens = updateResult.rows[0].tokens;
-    
-    // Check if user should be downgraded to free
-    if (remainingTokens <= 0) {
-      await query(
-        'UPDATE users SET is_premium = false, preferred_gender = null WHERE id = $1',
-        [req.user.id]
-      );
-      
-      await query(
-        'INSERT INTO transactions (user_id, type, tokens, description) VALUES ($1, $2, $3, $4)',
-        [req.user.id, 'downgrade', 0, 'Auto-downgraded to FREE - tokens exhausted']
-      );
-      
-      console.log(`📉 User auto-downgraded to FREE - 0 tokens remaining`);
-    }
-    
+
     res.json({
       success: true,
-      message: `${tokenCost} tokens deducted for video call`,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+// Purchase Premium Plan. Kept for older clients: it now opens a checkout
+// like POST /api/payments/checkout instead of granting tokens directly.
+router.post('/purchase-premium', authenticateToken, requireVerified('purchases'), checkoutValidation, startCheckout);
+
+// Deduct tokens for video call. Kept for older clients: calls are now billed
+// by the server while they are connected, so this charges nothing and only
+// reports the balance.
+router.post('/deduct-tokens', authenticateToken, async (req, res) => {
+  try {
+    const result = await query('SELECT tokens, total_calls FROM users WHERE id = $1', [req.user.id]);
+    const { tokens, total_calls: totalCalls } = result.rows[0];
+
+    res.json({
+      success: true,
+      message: 'Calls are billed while connected; nothing was deducted',
       data: {
-        tokensDeducted: tokenCost,
-        remainingTokens: remainingTokens,
-        totalCalls: updateResult.rows[0].total_calls,
-        isPremium: remainingTokens > 0
+        tokensDeducted: 0,
+        remainingTokens: tokens,
+        totalCalls,
+        isPremium: req.user.is_premium
       }
     });
 
@@ -482,10 +622,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
     );
 
     // Get transaction history
-    const transactions = await query(
-      'SELECT type, tokens, amount, description, created_at FROM transactions WHERE user_id = $1 ORDER BY created_at DESC LIMIT 10',
-      [req.user.id]
-    );
+    const recentTransactions = await wallet.listTransactions(req.user.id, 10);
 
     // Get match history count
     const matchHistory = await query(
@@ -497,7 +634,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
       success: true,
       data: {
         stats: userStats.rows[0],
-        recentTransactions: transactions.rows,
+        recentTransactions,
         totalMatches: parseInt(matchHistory.rows[0].total_matches)
       }
     });
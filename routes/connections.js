@@ -0,0 +1,126 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import * as connections from '../services/connections.js';
+import * as blocks from '../services/blocks.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Your connections with their online status, online ones first
+router.get('/', [
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const list = await connections.listConnections(req.user.id, {
+      limit: req.query.limit ?? 50,
+      offset: req.query.offset ?? 0
+    });
+
+    res.json({
+      success: true,
+      data: { connections: list }
+    });
+
+  } catch (error) {
+    console.error('List connections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load connections'
+    });
+  }
+});
+
+// Ask to connect with the partner of a call, for clients not on sockets
+router.post('/requests', [
+  body('matchId').isUUID().withMessage('A valid match ID is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const result = await connections.requestConnect(req.user.id, req.body.matchId);
+
+    res.json({
+      success: true,
+      message: result.connected ? 'You are connected' : 'Connect request sent',
+      data: result
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Connect request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send connect request'
+    });
+  }
+});
+
+// Unfriend
+router.delete('/:userId', async (req, res) => {
+  try {
+    const removed = await connections.removeConnection(req.user.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        code: 'CONNECTION_NOT_FOUND',
+        message: 'You are not connected with this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Connection removed'
+    });
+
+  } catch (error) {
+    console.error('Remove connection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove connection'
+    });
+  }
+});
+
+// Block a connection: removes the connection and keeps you from being matched again
+router.post('/:userId/block', [
+  body('reason').optional().isString().trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    await blocks.blockUser(req.user.id, req.params.userId, req.body.reason || null);
+
+    res.json({
+      success: true,
+      message: 'User blocked. You will not be matched with them again.'
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Block connection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to block user'
+    });
+  }
+});
+
+export default router;
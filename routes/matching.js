@@ -1,160 +1,71 @@
 import express from 'express';
-import { query } from '../config/database.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { query as queryParam, validationResult } from 'express-validator';
+import { authenticateToken, requireVerified } from '../middleware/auth.js';
+import * as matching from '../services/matching.js';
+import * as callHistory from '../services/callHistory.js';
+import * as chat from '../services/chat.js';
+import * as chatImages from '../services/chatImages.js';
+import { sendServiceError } from '../utils/errors.js';
 
 const router = express.Router();
 
-// Find a match for video call
-router.post('/find-match', authenticateToken, async (req, res) => {
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Find a match for video call. Joins the same queue as socket clients; if no
+// partner is available right away the user keeps waiting and can poll
+// /current-match (or listen for matchFound on a socket).
+router.post('/find-match', authenticateToken, requireVerified('matching'), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    // Get current user's info
-    const userResult = await query(
-      'SELECT id, name, gender, preferred_gender, is_premium, tokens FROM users WHERE id = $1',
-      [userId]
-    );
-    
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-    
-    const currentUser = userResult.rows[0];
-    
-    // Check if user has an active match already
-    const activeMatchResult = await query(
-      `SELECT id, user1_id, user2_id, status FROM matches 
-       WHERE (user1_id = $1 OR user2_id = $1) AND status IN ('waiting', 'connected')`,
-      [userId]
-    );
+    const result = await matching.joinQueue({
+      userId: req.user.id,
+      preferences: req.body
+    });
     
-    if (activeMatchResult.rows.length > 0) {
-      const match = activeMatchResult.rows[0];
-      const partnerId = match.user1_id === userId ? match.user2_id : match.user1_id;
-      
-      // Get partner info
-      const partnerResult = await query(
-        'SELECT id, name, gender, age, country, avatar_url, is_premium FROM users WHERE id = $1',
-        [partnerId]
-      );
-      
+    if (result.isExistingMatch) {
       return res.json({
         success: true,
         message: 'You already have an active match',
         data: {
-          matchId: match.id,
-          status: match.status,
-          partner: partnerResult.rows[0] || null,
+          ...result.match,
           isExistingMatch: true
         }
       });
     }
     
-    let matchQuery = '';
-    let matchParams = [];
-    
-    // Premium users get gender-aware matching
-    if (currentUser.is_premium && currentUser.preferred_gender) {
-      console.log(`🎯 Premium user ${currentUser.name} searching for ${currentUser.preferred_gender} partners`);
-      
-      matchQuery = `
-        SELECT id, name, gender, age, country, avatar_url, is_premium, tokens
-        FROM users 
-        WHERE id != $1 
-          AND is_online = true 
-          AND gender = $2
-          AND id NOT IN (
-            SELECT CASE 
-              WHEN user1_id = $1 THEN user2_id 
-              ELSE user1_id 
-            END 
-            FROM matches 
-            WHERE (user1_id = $1 OR user2_id = $1) 
-              AND status IN ('waiting', 'connected')
-          )
-        ORDER BY 
-          CASE WHEN is_premium = true THEN 0 ELSE 1 END,
-          RANDOM()
-        LIMIT 1
-      `;
-      matchParams = [userId, currentUser.preferred_gender];
-    } else {
-      // Free users get random matching
-      console.log(`🎲 Free user ${currentUser.name} searching for random partners`);
-      
-      matchQuery = `
-        SELECT id, name, gender, age, country, avatar_url, is_premium, tokens
-        FROM users 
-        WHERE id != $1 
-          AND is_online = true 
-          AND id NOT IN (
-            SELECT CASE 
-              WHEN user1_id = $1 THEN user2_id 
-              ELSE user1_id 
-            END 
-            FROM matches 
-            WHERE (user1_id = $1 OR user2_id = $1) 
-              AND status IN ('waiting', 'connected')
-          )
-        ORDER BY RANDOM()
-        LIMIT 1
-      `;
-      matchParams = [userId];
-    }
-    
-    // Find potential match
-    const potentialMatchResult = await query(matchQuery, matchParams);
-    
-    if (potentialMatchResult.rows.length === 0) {
+    if (!result.match) {
       return res.json({
-        success: false,
-        message: 'No users available for matching at the moment. Please try again later.',
+        success: true,
+        message: 'Looking for a match... You will be matched as soon as someone is available.',
         data: {
-          searchCriteria: currentUser.is_premium ? currentUser.preferred_gender : 'any gender',
-          isPremium: currentUser.is_premium
+          status: 'searching',
+          queueSize: result.queueSize,
+          activeFilters: result.activeFilters,
+          isExistingMatch: false
         }
       });
     }
     
-    const matchedUser = potentialMatchResult.rows[0];
-    
-    // Create match record
-    const newMatchResult = await query(
-      `INSERT INTO matches (user1_id, user2_id, status, created_at) 
-       VALUES ($1, $2, 'waiting', CURRENT_TIMESTAMP) 
-       RETURNING id, status, created_at`,
-      [userId, matchedUser.id]
-    );
-    
-    const newMatch = newMatchResult.rows[0];
-    
-    console.log(`✨ Match created: ${currentUser.name} (${currentUser.is_premium ? 'PREMIUM' : 'FREE'}) ↔️ ${matchedUser.name} (${matchedUser.is_premium ? 'PREMIUM' : 'FREE'})`);
-    
     res.json({
       success: true,
       message: 'Match found! Connecting you now...',
       data: {
-        matchId: newMatch.id,
-        status: newMatch.status,
-        partner: {
-          id: matchedUser.id,
-          name: matchedUser.name,
-          gender: matchedUser.gender,
-          age: matchedUser.age,
-          country: matchedUser.country,
-          avatar_url: matchedUser.avatar_url,
-          is_premium: matchedUser.is_premium
-        },
-        searchCriteria: currentUser.is_premium && currentUser.preferred_gender ? 
-          currentUser.preferred_gender : 'any gender',
+        ...result.match,
         isExistingMatch: false
       }
     });
     
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Find match error:', error);
     res.status(500).json({
       success: false,
@@ -163,48 +74,37 @@ router.post('/find-match', authenticateToken, async (req, res) => {
   }
 });
 
-// End current match
-router.post('/end-match/:matchId', authenticateToken, async (req, res) => {
+// Stop waiting for a match
+router.delete('/queue', authenticateToken, async (req, res) => {
   try {
-    const { matchId } = req.params;
-    const userId = req.user.id;
-    
-    // Verify user is part of this match
-    const matchResult = await query(
-      'SELECT id, user1_id, user2_id, status FROM matches WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)',
-      [matchId, userId]
-    );
-    
-    if (matchResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Match not found or you are not authorized to end this match'
-      });
-    }
+    const left = await matching.leaveQueue(req.user.id);
     
-    const match = matchResult.rows[0];
-    
-    if (match.status === 'ended') {
-      return res.json({
-        success: true,
-        message: 'Match was already ended'
-      });
-    }
-    
-    // End the match
-    await query(
-      'UPDATE matches SET status = $1, ended_at = CURRENT_TIMESTAMP WHERE id = $2',
-      ['ended', matchId]
-    );
+    res.json({
+      success: true,
+      message: left ? 'Stopped searching for matches' : 'You were not waiting for a match'
+    });
     
-    console.log(`🏁 Match ${matchId} ended by user ${userId}`);
+  } catch (error) {
+    console.error('Leave queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave the matching queue'
+    });
+  }
+});
+
+// End current match
+router.post('/end-match/:matchId', authenticateToken, async (req, res) => {
+  try {
+    const { alreadyEnded } = await matching.endMatch(req.params.matchId, req.user.id);
     
     res.json({
       success: true,
-      message: 'Match ended successfully'
+      message: alreadyEnded ? 'Match was already ended' : 'Match ended successfully'
     });
     
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('End match error:', error);
     res.status(500).json({
       success: false,
@@ -213,48 +113,33 @@ router.post('/end-match/:matchId', authenticateToken, async (req, res) => {
   }
 });
 
-// Get current match status
+// Get current match status, or where the user stands in the queue
 router.get('/current-match', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     
-    // Get active match
-    const matchResult = await query(
-      `SELECT id, user1_id, user2_id, status, created_at FROM matches 
-       WHERE (user1_id = $1 OR user2_id = $1) AND status IN ('waiting', 'connected')
-       ORDER BY created_at DESC LIMIT 1`,
-      [userId]
-    );
+    const match = await matching.getLiveMatch(userId);
     
-    if (matchResult.rows.length === 0) {
+    if (!match) {
       return res.json({
         success: true,
         data: {
           hasActiveMatch: false,
-          match: null
+          match: null,
+          queue: await matching.getQueueStatus(userId)
         }
       });
     }
     
-    const match = matchResult.rows[0];
-    const partnerId = match.user1_id === userId ? match.user2_id : match.user1_id;
-    
-    // Get partner info
-    const partnerResult = await query(
-      'SELECT id, name, gender, age, country, avatar_url, is_premium FROM users WHERE id = $1',
-      [partnerId]
-    );
-    
     res.json({
       success: true,
       data: {
         hasActiveMatch: true,
         match: {
-          id: match.id,
-          status: match.status,
-          createdAt: match.created_at,
-          partner: partnerResult.rows[0] || null
-        }
+          id: match.matchId,
+          ...match
+        },
+        queue: null
       }
     });
     
@@ -267,52 +152,211 @@ router.get('/current-match', authenticateToken, async (req, res) => {
   }
 });
 
-// Update match status (for when call connects)
-router.put('/update-status/:matchId', authenticateToken, async (req, res) => {
+// Past calls, newest first. Pass the returned nextCursor to get the next page.
+router.get('/history', authenticateToken, [
+  queryParam('cursor').optional().isString().isLength({ max: 200 }),
+  queryParam('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  queryParam('from').optional().isISO8601().withMessage('from must be a date'),
+  queryParam('to').optional().isISO8601().withMessage('to must be a date'),
+  queryParam('rated').optional().isBoolean().toBoolean().withMessage('rated must be true or false'),
+  queryParam('minDuration').optional().isInt({ min: 0 }).toInt().withMessage('minDuration must be a number of seconds')
+], async (req, res) => {
   try {
-    const { matchId } = req.params;
-    const { status } = req.body;
-    const userId = req.user.id;
-    
-    if (!['connected', 'ended'].includes(status)) {
+    if (rejectInvalid(req, res)) return;
+
+    const { cursor, limit, from, to, rated, minDuration } = req.query;
+    const history = await callHistory.listHistory(req.user.id, {
+      cursor: cursor || null,
+      limit: limit ?? 20,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      rated: rated ?? null,
+      minDuration: minDuration ?? null
+    });
+
+    res.json({
+      success: true,
+      data: history
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Call history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load call history'
+    });
+  }
+});
+
+router.get('/history/:matchId', authenticateToken, async (req, res) => {
+  try {
+    const call = await callHistory.getHistoryEntry(req.user.id, req.params.matchId);
+
+    res.json({
+      success: true,
+      data: { call }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Call details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load call details'
+    });
+  }
+});
+
+// A match's chat, newest first; only its two users can read it
+router.get('/:matchId/messages', authenticateToken, [
+  queryParam('cursor').optional().isString().isLength({ max: 200 }),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const messages = await chat.listMessages(req.user.id, req.params.matchId, {
+      cursor: req.query.cursor || null,
+      limit: req.query.limit ?? 50
+    });
+
+    res.json({
+      success: true,
+      data: messages
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load messages'
+    });
+  }
+});
+
+// Upload an image to send in a live match's chat; send it with a sendMessage
+// of messageType "image" and the returned imageId. The body is read by
+// uploadBodies() (middleware/upload.js).
+router.post('/:matchId/images', authenticateToken, async (req, res) => {
+  try {
+    const image = await chatImages.uploadImage(req.user, req.params.matchId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded',
+      data: image
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Upload chat image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload image'
+    });
+  }
+});
+
+// Mark the partner's messages read (all, or up to `upTo`), for clients not on sockets
+router.post('/:matchId/messages/read', authenticateToken, async (req, res) => {
+  try {
+    const result = await chat.markRead(req.user.id, req.params.matchId, { upTo: req.body.upTo ?? null });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Mark messages read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark messages read'
+    });
+  }
+});
+
+// Report whether the media connection came up, for clients not on sockets
+router.post('/call-report/:matchId', authenticateToken, async (req, res) => {
+  try {
+    const { outcome, reason } = req.body;
+
+    if (!['connected', 'failed'].includes(outcome)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be "connected" or "ended"'
+        message: 'Invalid outcome. Must be "connected" or "failed"'
       });
     }
+
+    const result = await matching.reportCallOutcome(req.params.matchId, req.user.id, outcome, reason);
+
+    res.json({
+      success: true,
+      message: `Call reported ${outcome}`,
+      data: result
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Call report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record call report'
+    });
+  }
+});
+
+// Rate the partner after the call, 1-5
+router.post('/:matchId/rate', authenticateToken, async (req, res) => {
+  try {
+    const result = await matching.rateCall(req.params.matchId, req.user.id, Number(req.body.rating));
+
+    res.json({
+      success: true,
+      message: 'Thanks for rating your call',
+      data: result
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Rate call error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rate call'
+    });
+  }
+});
+
+// End a match over REST. A call only becomes connected (and billed) once
+// both users are in its video room, so that is left to the socket.
+router.put('/update-status/:matchId', authenticateToken, async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const { status } = req.body;
     
-    // Verify user is part of this match
-    const matchResult = await query(
-      'SELECT id, user1_id, user2_id, status FROM matches WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)',
-      [matchId, userId]
-    );
-    
-    if (matchResult.rows.length === 0) {
-      return res.status(404).json({
+    if (status !== 'ended') {
+      return res.status(400).json({
         success: false,
-        message: 'Match not found or unauthorized'
+        message: 'Invalid status. Must be "ended"; calls connect when both users join the video room'
       });
     }
     
-    // Update match status
-    const updateField = status === 'connected' ? 'connected_at' : 'ended_at';
-    await query(
-      `UPDATE matches SET status = $1, ${updateField} = CURRENT_TIMESTAMP WHERE id = $2`,
-      [status, matchId]
-    );
-    
-    console.log(`📱 Match ${matchId} status updated to: ${status}`);
+    const result = await matching.endMatch(matchId, req.user.id);
     
     res.json({
       success: true,
-      message: `Match status updated to ${status}`,
+      message: `Match status updated to ${result.status}`,
       data: {
         matchId,
-        status
+        status: result.status
       }
     });
     
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Update match status error:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,56 @@
+import express from 'express';
+import config from '../config/index.js';
+import * as chatImages from '../services/chatImages.js';
+import * as avatars from '../services/avatars.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Chat images behind signed URLs. No Authorization header here, so the URLs
+// work in <img> tags; the signature names the user it was issued to.
+router.get('/chat-images/:imageId', async (req, res) => {
+  try {
+    const image = await chatImages.readSignedImage(req.params.imageId, req.query);
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Content-Length': image.body.length,
+      'Cache-Control': `private, max-age=${config.chat.images.urlTtlSeconds}`,
+      'Content-Disposition': 'inline'
+    });
+    res.send(image.body);
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Serve chat image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load image'
+    });
+  }
+});
+
+// Approved profile photos (users.avatar_url). ?size= picks the smallest
+// stored size at least that big; the largest by default.
+router.get('/avatars/:avatarId', async (req, res) => {
+  try {
+    const avatar = await avatars.readAvatar(req.params.avatarId, req.query.size);
+
+    res.set({
+      'Content-Type': avatar.contentType,
+      'Content-Length': avatar.body.length,
+      'Cache-Control': 'public, max-age=86400'
+    });
+    res.send(avatar.body);
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Serve avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load avatar'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,433 @@
+import express from 'express';
+import { body, query as queryParam, validationResult } from 'express-validator';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import * as reports from '../services/reports.js';
+import * as bans from '../services/bans.js';
+import { getStrikes } from '../services/chatModeration/index.js';
+import * as avatars from '../services/avatars.js';
+import { auditContext } from '../services/audit.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireRole('moderator', 'admin'));
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// The report queue, oldest first. ?status=open|reviewing|actioned|dismissed,
+// ?assignedTo=me or a moderator's user ID
+router.get('/reports', [
+  queryParam('status').optional().isIn(['open', 'reviewing', 'actioned', 'dismissed']).withMessage('Invalid status'),
+  queryParam('assignedTo').optional().custom(value => value === 'me' || /^[0-9a-f-]{36}$/i.test(value)).withMessage('assignedTo must be "me" or a user ID'),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { status, assignedTo, limit, offset } = req.query;
+    const list = await reports.listReports({
+      status: status || null,
+      assignedTo: assignedTo === 'me' ? req.user.id : assignedTo || null,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: { reports: list }
+    });
+
+  } catch (error) {
+    console.error('List reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load reports'
+    });
+  }
+});
+
+// One report with the chat transcript captured as evidence
+router.get('/reports/:reportId', async (req, res) => {
+  try {
+    const report = await reports.getReport(req.params.reportId);
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load report'
+    });
+  }
+});
+
+// Assign a report to yourself, or to another moderator with moderatorId
+router.post('/reports/:reportId/assign', [
+  body('moderatorId').optional().isUUID().withMessage('moderatorId must be a user ID')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const report = await reports.assignReport(auditContext(req), req.params.reportId, req.body.moderatorId || req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Report assigned',
+      data: { report }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Assign report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign report'
+    });
+  }
+});
+
+router.post('/reports/:reportId/resolve', [
+  body('status').isIn(['actioned', 'dismissed']).withMessage('Status must be actioned or dismissed'),
+  body('note').optional().isString().trim().isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const report = await reports.resolveReport(auditContext(req), req.params.reportId, {
+      status: req.body.status,
+      note: req.body.note || null
+    });
+
+    res.json({
+      success: true,
+      message: `Report ${report.status}`,
+      data: { report }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Resolve report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve report'
+    });
+  }
+});
+
+// A user's account status
+router.get('/users/:userId/status', async (req, res) => {
+  try {
+    const account = await bans.getAccountState(req.params.userId);
+
+    res.json({
+      success: true,
+      data: { account }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get account status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load account status'
+    });
+  }
+});
+
+// A user's chat strikes and the messages behind them, newest first
+router.get('/users/:userId/chat-strikes', [
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const strikes = await getStrikes(req.params.userId, { limit: req.query.limit, offset: req.query.offset });
+
+    res.json({
+      success: true,
+      data: strikes
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get chat strikes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load chat strikes'
+    });
+  }
+});
+
+// Suspend an account for a number of hours or until a given time
+router.post('/users/:userId/suspend', [
+  body('reason').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('A reason is required'),
+  body('hours').optional().isInt({ min: 1, max: 8760 }).withMessage('Hours must be between 1 and 8760').toInt(),
+  body('until').optional().isISO8601().withMessage('until must be a date').toDate(),
+  body().custom(value => value.hours !== undefined || value.until !== undefined).withMessage('Either hours or until is required')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { reason, hours, until } = req.body;
+    const account = await bans.suspendUser(auditContext(req), req.params.userId, {
+      until: until || new Date(Date.now() + hours * 60 * 60 * 1000),
+      reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Account suspended',
+      data: { account }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend account'
+    });
+  }
+});
+
+// Ban an account; banDevices also puts its IP addresses and devices on the ban list
+router.post('/users/:userId/ban', [
+  body('reason').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('A reason is required'),
+  body('banDevices').optional().isBoolean().withMessage('banDevices must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const account = await bans.banUser(auditContext(req), req.params.userId, {
+      reason: req.body.reason,
+      banDevices: req.body.banDevices || false
+    });
+
+    res.json({
+      success: true,
+      message: 'Account banned',
+      data: { account }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Ban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to ban account'
+    });
+  }
+});
+
+// Lift a ban or suspension
+router.post('/users/:userId/reinstate', [
+  body('reason').optional().isString().trim().isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const account = await bans.reinstateUser(auditContext(req), req.params.userId, {
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Account reinstated',
+      data: { account }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Reinstate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reinstate account'
+    });
+  }
+});
+
+// Profile photos by status; ?status=pending (the default) is the review
+// queue, oldest first
+router.get('/avatars', [
+  queryParam('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('Status must be pending, approved or rejected'),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const list = await avatars.listAvatars({
+      status: req.query.status || 'pending',
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({
+      success: true,
+      data: { avatars: list }
+    });
+
+  } catch (error) {
+    console.error('List avatars error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load avatars'
+    });
+  }
+});
+
+// A pending or approved photo, for review
+router.get('/avatars/:avatarId/image', async (req, res) => {
+  try {
+    const avatar = await avatars.readAvatar(req.params.avatarId, req.query.size, { includePending: true });
+
+    res.set({
+      'Content-Type': avatar.contentType,
+      'Content-Length': avatar.body.length,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(avatar.body);
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get avatar image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load avatar'
+    });
+  }
+});
+
+// Approve a pending photo, or reject one (a rejected approved photo is taken down)
+router.post('/avatars/:avatarId/review', [
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('reason').optional().isString().trim().isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const avatar = await avatars.reviewAvatar(auditContext(req), req.params.avatarId, {
+      decision: req.body.decision,
+      reason: req.body.reason || null
+    });
+
+    res.json({
+      success: true,
+      message: `Avatar ${avatar.status}`,
+      data: { avatar }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Review avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review avatar'
+    });
+  }
+});
+
+// IP addresses and device IDs that may not open new accounts
+router.get('/ban-list', [
+  queryParam('kind').optional().isIn(['ip', 'device']).withMessage('Kind must be ip or device'),
+  queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  queryParam('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const entries = await bans.listBanList({
+      kind: req.query.kind || null,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+
+  } catch (error) {
+    console.error('List ban list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load ban list'
+    });
+  }
+});
+
+router.post('/ban-list', [
+  body('kind').isIn(['ip', 'device']).withMessage('Kind must be ip or device'),
+  body('value').isString().trim().isLength({ min: 1, max: 255 }).withMessage('A value of at most 255 characters is required'),
+  body('value').if(body('kind').equals('ip')).isIP().withMessage('Value must be an IP address'),
+  body('reason').optional().isString().trim().isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters'),
+  body('expiresAt').optional().isISO8601().withMessage('expiresAt must be a date').toDate()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const entry = await bans.addBanListEntry(auditContext(req), {
+      kind: req.body.kind,
+      value: req.body.value,
+      reason: req.body.reason || null,
+      expiresAt: req.body.expiresAt || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the ban list',
+      data: { entry }
+    });
+
+  } catch (error) {
+    console.error('Add ban list entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ban list'
+    });
+  }
+});
+
+router.delete('/ban-list/:entryId', async (req, res) => {
+  try {
+    const removed = await bans.removeBanListEntry(auditContext(req), req.params.entryId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        code: 'BAN_LIST_ENTRY_NOT_FOUND',
+        message: 'Ban list entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the ban list'
+    });
+
+  } catch (error) {
+    console.error('Remove ban list entry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ban list'
+    });
+  }
+});
+
+export default router;
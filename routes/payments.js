@@ -0,0 +1,150 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import config from '../config/index.js';
+import { authenticateToken, requireVerified } from '../middleware/auth.js';
+import * as payments from '../services/payments/index.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+export const checkoutValidation = [
+  body('planId').optional().isUUID().withMessage('planId must be a plan ID'),
+  body('plan').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Invalid plan type'),
+  body('planId').if(body('plan').not().exists()).exists().withMessage('planId is required'),
+  body('preferredGender').optional().isIn(['male', 'female', 'other']).withMessage('Invalid preferred gender')
+];
+
+// Start a checkout for a plan. Tokens are granted once the provider confirms
+// the payment through the webhook.
+export const startCheckout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await payments.createCheckout(req.user, {
+      planId: req.body.planId,
+      planCode: req.body.plan,
+      preferredGender: req.body.preferredGender
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checkout started. Complete the payment to activate your plan.',
+      data: { payment }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start checkout'
+    });
+  }
+};
+
+router.post('/checkout', authenticateToken, requireVerified('purchases'), checkoutValidation, startCheckout);
+
+// Provider webhook. Authenticated by its signature, not a user token.
+router.post('/webhook', async (req, res) => {
+  try {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const result = await payments.handleWebhook(rawBody, req.headers);
+
+    res.json({
+      success: true,
+      message: `Event ${result.result}`,
+      data: result
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    // A 500 makes the provider retry the delivery later
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
+// List the user's payments
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const list = await payments.listPayments(req.user.id);
+
+    res.json({
+      success: true,
+      data: { payments: list }
+    });
+
+  } catch (error) {
+    console.error('List payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load payments'
+    });
+  }
+});
+
+// Payment status, for polling after returning from checkout
+router.get('/:paymentId', authenticateToken, async (req, res) => {
+  try {
+    const payment = await payments.getPayment(req.user.id, req.params.paymentId);
+
+    res.json({
+      success: true,
+      data: { payment }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load payment'
+    });
+  }
+});
+
+// Fake provider only: pretend the provider reported an outcome
+if (config.payments.provider === 'fake' && !config.isProduction) {
+  router.post('/:paymentId/simulate', authenticateToken, [
+    body('outcome').isIn(['succeeded', 'failed', 'refunded']).withMessage('Outcome must be succeeded, failed or refunded')
+  ], async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const payment = await payments.simulateOutcome(req.user.id, req.params.paymentId, req.body.outcome);
+
+      res.json({
+        success: true,
+        message: `Simulated ${req.body.outcome} payment`,
+        data: { payment }
+      });
+
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error('Simulate payment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to simulate payment'
+      });
+    }
+  });
+}
+
+export default router;
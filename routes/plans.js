@@ -0,0 +1,53 @@
+import express from 'express';
+import * as plans from '../services/plans.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Public plan catalog
+router.get('/', async (req, res) => {
+  try {
+    const list = await plans.listPlans();
+
+    res.json({
+      success: true,
+      data: { plans: list }
+    });
+
+  } catch (error) {
+    console.error('List plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load plans'
+    });
+  }
+});
+
+// A single active plan
+router.get('/:planId', async (req, res) => {
+  try {
+    const plan = await plans.getPlan(req.params.planId);
+    if (!plan.isActive) {
+      return res.status(404).json({
+        success: false,
+        code: 'PLAN_NOT_FOUND',
+        message: 'Plan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { plan }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load plan'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import * as reports from '../services/reports.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+export const reportValidation = [
+  body('matchId').isUUID().withMessage('A valid match ID is required'),
+  body('reason').isIn(reports.REPORT_REASONS).withMessage(`Reason must be one of ${reports.REPORT_REASONS.join(', ')}`),
+  body('details').optional().isString().trim().isLength({ max: 2000 }).withMessage('Details must be at most 2000 characters')
+];
+
+// Report the partner of one of your matches
+router.post('/', authenticateToken, reportValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await reports.createReport({
+      reporterId: req.user.id,
+      matchId: req.body.matchId,
+      reason: req.body.reason,
+      details: req.body.details || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for letting us know. Our moderators will review your report.',
+      data: { report }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit report'
+    });
+  }
+});
+
+export default router;
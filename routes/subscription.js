@@ -0,0 +1,90 @@
+import express from 'express';
+import { authenticateToken, requireVerified } from '../middleware/auth.js';
+import * as subscriptions from '../services/subscriptions.js';
+import { checkoutValidation, startCheckout } from './payments.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Current subscription state
+router.get('/', async (req, res) => {
+  try {
+    const subscription = await subscriptions.getSubscription(req.user.id);
+
+    res.json({
+      success: true,
+      data: { subscription }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load subscription'
+    });
+  }
+});
+
+// Keep premium until the end of the paid period, then let it expire
+router.post('/cancel', async (req, res) => {
+  try {
+    const subscription = await subscriptions.cancelAtPeriodEnd(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Subscription will end at the end of the current period',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription'
+    });
+  }
+});
+
+router.post('/resume', async (req, res) => {
+  try {
+    const subscription = await subscriptions.resume(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Subscription resumed',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Resume subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume subscription'
+    });
+  }
+});
+
+// Renew with the current plan unless another one is picked
+const defaultToCurrentPlan = async (req, res, next) => {
+  try {
+    if (!req.body.planId && !req.body.plan) {
+      const subscription = await subscriptions.getSubscription(req.user.id);
+      if (subscription.plan) {
+        req.body.planId = subscription.plan.id;
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Renewal is a regular checkout; paying extends the current period
+router.post('/renew', requireVerified('purchases'), defaultToCurrentPlan, checkoutValidation, startCheckout);
+
+export default router;
@@ -0,0 +1,155 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import * as blocks from '../services/blocks.js';
+import * as avatars from '../services/avatars.js';
+import { sendServiceError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// Your profile photo, the one waiting for review, and the latest rejection
+router.get('/me/avatar', authenticateToken, async (req, res) => {
+  try {
+    const avatar = await avatars.getMyAvatar(req.user.id);
+
+    res.json({
+      success: true,
+      data: avatar
+    });
+
+  } catch (error) {
+    console.error('Get avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load avatar'
+    });
+  }
+});
+
+// Upload a new profile photo (the image file as the body). It replaces your
+// current one once approved; until then partners keep seeing the old one.
+// The body is read by uploadBodies() (middleware/upload.js).
+router.post('/me/avatar', authenticateToken, async (req, res) => {
+  try {
+    const avatar = await avatars.uploadAvatar(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: avatar.status === 'approved'
+        ? 'Avatar updated'
+        : avatar.status === 'rejected' ? 'Avatar rejected' : 'Avatar uploaded and waiting for review',
+      data: { avatar }
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload avatar'
+    });
+  }
+});
+
+// Remove your profile photo, and any photo waiting for review
+router.delete('/me/avatar', authenticateToken, async (req, res) => {
+  try {
+    const removed = await avatars.removeAvatar(req.user.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        code: 'AVATAR_NOT_FOUND',
+        message: 'You have no avatar'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Avatar removed'
+    });
+
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove avatar'
+    });
+  }
+});
+
+// Users you have blocked
+router.get('/blocks', authenticateToken, async (req, res) => {
+  try {
+    const list = await blocks.listBlocks(req.user.id);
+
+    res.json({
+      success: true,
+      data: { blocks: list }
+    });
+
+  } catch (error) {
+    console.error('List blocks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load blocked users'
+    });
+  }
+});
+
+// Block a user. Blocking someone twice is fine.
+router.post('/blocks', authenticateToken, [
+  body('userId').isUUID().withMessage('A valid user ID is required'),
+  body('reason').optional().isString().trim().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await blocks.blockUser(req.user.id, req.body.userId, req.body.reason || null);
+
+    res.status(201).json({
+      success: true,
+      message: 'User blocked. You will not be matched with them again.'
+    });
+
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to block user'
+    });
+  }
+});
+
+router.delete('/blocks/:userId', authenticateToken, async (req, res) => {
+  try {
+    const removed = await blocks.unblockUser(req.user.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not blocked this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unblock user'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { getStorage } from '../services/storage/index.js';
+
+// Round-trip a small object through the configured storage driver: put, get
+// it back byte for byte, delete, and confirm it is gone. Exits with status 1
+// on any mismatch, so it doubles as a smoke test for the S3 signing.
+//
+//   npm run storage:check
+//
+// Against a local S3 stand-in, e.g. MinIO (it verifies V4 signatures; s3rver
+// does not, so a broken signature would still pass there):
+//
+//   docker run -p 9000:9000 -e MINIO_ROOT_USER=minio -e MINIO_ROOT_PASSWORD=minio123 \
+//     minio/minio server /data
+//   (create the bucket "swipx" in the console or with `mc mb`)
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_BUCKET=swipx \
+//     S3_ACCESS_KEY_ID=minio S3_SECRET_ACCESS_KEY=minio123 npm run storage:check
+
+const run = async () => {
+  const storage = getStorage();
+  const key = `storage-check/${crypto.randomUUID()}.bin`;
+  const body = crypto.randomBytes(1024);
+  const contentType = 'application/octet-stream';
+
+  console.log(`🔎 Checking ${storage.name} storage${storage.name === 's3' ? ` (${config.storage.s3.endpoint}, bucket ${config.storage.s3.bucket})` : ''}`);
+
+  await storage.put(key, body, { contentType });
+  const stored = await storage.get(key);
+  if (!stored || !body.equals(stored.body)) {
+    console.log('❌ Object read back does not match what was written');
+    return false;
+  }
+  if (stored.contentType !== contentType) {
+    console.log(`❌ Content type came back as "${stored.contentType}", expected "${contentType}"`);
+    return false;
+  }
+
+  await storage.delete(key);
+  if (await storage.get(key)) {
+    console.log('❌ Object is still readable after delete');
+    return false;
+  }
+  // Deleting a missing key must not throw
+  await storage.delete(key);
+
+  console.log('✅ put, get and delete all work');
+  return true;
+};
+
+run()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error('❌ Storage check failed:', error.message);
+    process.exit(1);
+  });
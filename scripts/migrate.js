@@ -1,346 +1,258 @@
-import { query } from '../config/database.js';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import pool, { getClient } from '../config/database.js';
 
-const createTables = async () => {
+// Versioned migrations
+//
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- up 1         apply the next pending migration only
+//   npm run migrate:down            roll back the last applied migration
+//   npm run migrate:down -- 2       roll back the last two
+//   npm run migrate:status          list applied and pending migrations
+//   npm run migrate:create -- name  scaffold migrations/NNN_name.js
+//
+// Each file in migrations/ exports `up(client)` and `down(client)`. Both run
+// inside a transaction unless the file exports `transaction = false`.
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+const FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+// Arbitrary constant for pg_advisory_lock so two deploys can't migrate at once
+const MIGRATION_LOCK_ID = 72_100_001;
+
+const loadMigrationFiles = async () => {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(file => FILE_PATTERN.test(file)).sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_PATTERN);
+    const contents = await fs.readFile(path.join(MIGRATIONS_DIR, file));
+    migrations.push({
+      version,
+      name,
+      file,
+      checksum: crypto.createHash('sha256').update(contents).digest('hex')
+    });
+  }
+
+  const versions = migrations.map(migration => migration.version);
+  const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+  if (duplicate) {
+    throw new Error(`Two migration files share version ${duplicate}`);
+  }
+
+  return migrations;
+};
+
+const importMigration = async (migration) => {
+  const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, migration.file)).href);
+  if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+    throw new Error(`${migration.file} must export up() and down()`);
+  }
+  return module;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+const getApplied = async (client) => {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+};
+
+// Applied migrations whose file changed since they ran
+const findChecksumMismatches = (migrations, applied) => {
+  return migrations.filter(migration => {
+    const row = applied.get(migration.version);
+    return row && row.checksum !== migration.checksum;
+  });
+};
+
+const runStep = async (client, migration, direction) => {
+  const module = await importMigration(migration);
+  const useTransaction = module.transaction !== false;
+  const start = Date.now();
+
+  console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} ${migration.version}_${migration.name}`);
+
+  if (useTransaction) await client.query('BEGIN');
   try {
-    console.log('🚀 Starting database migration...');
-
-    // Create extensions
-    await query(`
-      CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-    `);
-
-    // Create enum types
-    await query(`
-      DO $$ BEGIN
-        CREATE TYPE user_gender AS ENUM ('male', 'female', 'other');
-      EXCEPTION
-        WHEN duplicate_object THEN null;
-      END $$;
-    `);
-
-    await query(`
-      DO $$ BEGIN
-        CREATE TYPE match_status AS ENUM ('pending', 'active', 'ended', 'cancelled');
-      EXCEPTION
-        WHEN duplicate_object THEN null;
-      END $$;
-    `);
-
-    await query(`
-      DO $$ BEGIN
-        CREATE TYPE message_type AS ENUM ('text', 'system', 'emoji', 'image');
-      EXCEPTION
-        WHEN duplicate_object THEN null;
-      END $$;
-    `);
-
-    await query(`
-      DO $$ BEGIN
-        CREATE TYPE transaction_type AS ENUM ('purchase', 'bonus', 'deduction', 'refund');
-      EXCEPTION
-        WHEN duplicate_object THEN null;
-      END $$;
-    `);
-
-    // Create users table
-    await query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        age INTEGER NOT NULL CHECK (age >= 18 AND age <= 100),
-        country VARCHAR(100) NOT NULL,
-        gender user_gender NOT NULL,
-        preferred_gender user_gender,
-        avatar_url TEXT,
-        bio TEXT,
-        interests TEXT[],
-        is_premium BOOLEAN DEFAULT false,
-        tokens INTEGER DEFAULT 50,
-        subscription_expires_at TIMESTAMP,
-        premium_expiry TIMESTAMP,
-        is_online BOOLEAN DEFAULT false,
-        last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        total_calls INTEGER DEFAULT 0,
-        is_verified BOOLEAN DEFAULT false,
-        verification_token TEXT,
-        reset_token TEXT,
-        reset_expires TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create matches table
-    await query(`
-      CREATE TABLE IF NOT EXISTS matches (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        user1_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        user2_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        status match_status DEFAULT 'pending',
-        room_id VARCHAR(255) UNIQUE,
-        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        ended_at TIMESTAMP,
-        ended_by UUID REFERENCES users(id),
-        rating_user1 INTEGER CHECK (rating_user1 >= 1 AND rating_user1 <= 5),
-        rating_user2 INTEGER CHECK (rating_user2 >= 1 AND rating_user2 <= 5),
-        duration_seconds INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        CONSTRAINT unique_active_match UNIQUE (user1_id, user2_id)
-      );
-    `);
-
-    // Create messages table
-    await query(`
-      CREATE TABLE IF NOT EXISTS messages (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
-        sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        content TEXT NOT NULL,
-        message_type message_type DEFAULT 'text',
-        is_read BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create transactions table
-    await query(`
-      CREATE TABLE IF NOT EXISTS transactions (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        type transaction_type NOT NULL,
-        tokens INTEGER NOT NULL,
-        amount DECIMAL(10, 2),
-        description TEXT,
-        reference_id VARCHAR(255),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create plans table
-    await query(`
-      CREATE TABLE IF NOT EXISTS plans (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        name VARCHAR(100) NOT NULL,
-        description TEXT,
-        price DECIMAL(10, 2) NOT NULL,
-        tokens INTEGER NOT NULL,
-        duration_days INTEGER,
-        features TEXT[],
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create user_sessions table for active sessions tracking
-    await query(`
-      CREATE TABLE IF NOT EXISTS user_sessions (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        socket_id VARCHAR(255),
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    await module[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, Date.now() - start]
       );
-    `);
-
-    // Create indexes for better performance
-    await query(`
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-      CREATE INDEX IF NOT EXISTS idx_users_online ON users(is_online);
-      CREATE INDEX IF NOT EXISTS idx_users_country_gender ON users(country, gender);
-      CREATE INDEX IF NOT EXISTS idx_matches_users ON matches(user1_id, user2_id);
-      CREATE INDEX IF NOT EXISTS idx_matches_status ON matches(status);
-      CREATE INDEX IF NOT EXISTS idx_matches_room_id ON matches(room_id);
-      CREATE INDEX IF NOT EXISTS idx_messages_match ON messages(match_id);
-      CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
-      CREATE INDEX IF NOT EXISTS idx_transactions_user ON transactions(user_id);
-      CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
-      CREATE INDEX IF NOT EXISTS idx_user_sessions_socket ON user_sessions(socket_id);
-    `);
-
-    // Create triggers for updated_at timestamps
-    await query(`
-      CREATE OR REPLACE FUNCTION update_updated_at_column()
-      RETURNS TRIGGER AS $$
-      BEGIN
-          NEW.updated_at = CURRENT_TIMESTAMP;
-          RETURN NEW;
-      END;
-      $$ language 'plpgsql';
-    `);
-
-    await query(`
-      DO $$ BEGIN
-        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_users_updated_at') THEN
-          CREATE TRIGGER update_users_updated_at 
-            BEFORE UPDATE ON users 
-            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-        END IF;
-      END $$;
-    `);
-
-    await query(`
-      DO $$ BEGIN
-        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_matches_updated_at') THEN
-          CREATE TRIGGER update_matches_updated_at 
-            BEFORE UPDATE ON matches 
-            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-        END IF;
-      END $$;
-    `);
-
-    await query(`
-      DO $$ BEGIN
-        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_plans_updated_at') THEN
-          CREATE TRIGGER update_plans_updated_at 
-            BEFORE UPDATE ON plans 
-            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-        END IF;
-      END $$;
-    `);
-
-    await query(`
-      DO $$ BEGIN
-        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'update_user_sessions_updated_at') THEN
-          CREATE TRIGGER update_user_sessions_updated_at 
-            BEFORE UPDATE ON user_sessions 
-            FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-        END IF;
-      END $$;
-    `);
-
-    // Create stored procedures for complex operations
-    await query(`
-      CREATE OR REPLACE FUNCTION find_available_match(
-        p_user_id UUID,
-        p_preferred_gender user_gender DEFAULT NULL
-      )
-      RETURNS TABLE (
-        user_id UUID,
-        name VARCHAR,
-        age INTEGER,
-        country VARCHAR,
-        gender user_gender,
-        avatar_url TEXT,
-        is_premium BOOLEAN,
-        tokens INTEGER
-      ) AS $$
-      BEGIN
-        RETURN QUERY
-        SELECT 
-          u.id, u.name, u.age, u.country, u.gender, u.avatar_url, u.is_premium, u.tokens
-        FROM users u
-        WHERE u.id != p_user_id
-          AND u.is_online = true
-          AND u.tokens > 0
-          AND (p_preferred_gender IS NULL OR u.gender = p_preferred_gender)
-          AND u.id NOT IN (
-            SELECT CASE WHEN m.user1_id = p_user_id THEN m.user2_id ELSE m.user1_id END
-            FROM matches m
-            WHERE (m.user1_id = p_user_id OR m.user2_id = p_user_id)
-              AND m.status IN ('pending', 'active')
-          )
-        ORDER BY RANDOM()
-        LIMIT 1;
-      END;
-      $$ LANGUAGE plpgsql;
-    `);
-
-    await query(`
-      CREATE OR REPLACE FUNCTION create_match_with_tokens(
-        p_user1_id UUID,
-        p_user2_id UUID
-      )
-      RETURNS UUID AS $$
-      DECLARE
-        v_match_id UUID;
-        v_room_id VARCHAR(255);
-      BEGIN
-        -- Generate unique room ID
-        v_room_id := 'room_' || EXTRACT(epoch FROM NOW())::bigint || '_' || (RANDOM() * 1000)::int;
-        
-        -- Create the match
-        INSERT INTO matches (user1_id, user2_id, status, room_id)
-        VALUES (p_user1_id, p_user2_id, 'active', v_room_id)
-        RETURNING id INTO v_match_id;
-        
-        -- Deduct tokens from both users
-        UPDATE users SET tokens = tokens - 1 WHERE id IN (p_user1_id, p_user2_id);
-        
-        -- Log transactions
-        INSERT INTO transactions (user_id, type, tokens, description)
-        VALUES 
-          (p_user1_id, 'deduction', -1, 'Video call started'),
-          (p_user2_id, 'deduction', -1, 'Video call started');
-        
-        RETURN v_match_id;
-      END;
-      $$ LANGUAGE plpgsql;
-    `);
-
-    await query(`
-      CREATE OR REPLACE FUNCTION end_match(
-        p_match_id UUID,
-        p_ended_by UUID
-      )
-      RETURNS BOOLEAN AS $$
-      DECLARE
-        v_duration INTEGER;
-        v_started_at TIMESTAMP;
-      BEGIN
-        -- Get match details
-        SELECT started_at INTO v_started_at
-        FROM matches
-        WHERE id = p_match_id;
-        
-        IF v_started_at IS NULL THEN
-          RETURN false;
-        END IF;
-        
-        -- Calculate duration in seconds
-        v_duration := EXTRACT(epoch FROM (NOW() - v_started_at))::INTEGER;
-        
-        -- Update match
-        UPDATE matches
-        SET status = 'ended',
-            ended_at = NOW(),
-            ended_by = p_ended_by,
-            duration_seconds = v_duration
-        WHERE id = p_match_id AND status = 'active';
-        
-        -- Update user call counts
-        UPDATE users
-        SET total_calls = total_calls + 1
-        WHERE id IN (
-          SELECT user1_id FROM matches WHERE id = p_match_id
-          UNION
-          SELECT user2_id FROM matches WHERE id = p_match_id
-        );
-        
-        RETURN true;
-      END;
-      $$ LANGUAGE plpgsql;
-    `);
-
-    console.log('✅ Database migration completed successfully!');
-    
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    if (useTransaction) await client.query('COMMIT');
   } catch (error) {
-    console.error('❌ Migration failed:', error);
-    throw error;
+    if (useTransaction) await client.query('ROLLBACK').catch(() => {});
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+  }
+
+  console.log(`   ✅ done in ${Date.now() - start}ms`);
+};
+
+const migrateUp = async (client, limit) => {
+  const migrations = await loadMigrationFiles();
+  const applied = await getApplied(client);
+
+  const mismatched = findChecksumMismatches(migrations, applied);
+  if (mismatched.length > 0) {
+    throw new Error(
+      `Applied migrations were modified after running: ${mismatched.map(m => m.file).join(', ')}. ` +
+      'Add a new migration instead of editing an applied one.'
+    );
+  }
+
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+  const toRun = limit ? pending.slice(0, limit) : pending;
+
+  if (toRun.length === 0) {
+    console.log('✨ Database is up to date');
+    return;
+  }
+
+  for (const migration of toRun) {
+    await runStep(client, migration, 'up');
+  }
+
+  console.log(`🎉 Applied ${toRun.length} migration(s)`);
+};
+
+const migrateDown = async (client, count) => {
+  const migrations = await loadMigrationFiles();
+  const applied = await getApplied(client);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  const toRollBack = Array.from(applied.keys()).sort().reverse().slice(0, count);
+
+  if (toRollBack.length === 0) {
+    console.log('✨ Nothing to roll back');
+    return;
+  }
+
+  for (const version of toRollBack) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is applied but its file is missing`);
+    }
+    await runStep(client, migration, 'down');
+  }
+
+  console.log(`🎉 Rolled back ${toRollBack.length} migration(s)`);
+};
+
+const showStatus = async (client) => {
+  const migrations = await loadMigrationFiles();
+  const applied = await getApplied(client);
+
+  console.log('📋 Migration status:');
+  for (const migration of migrations) {
+    const row = applied.get(migration.version);
+    let state = '⏳ pending ';
+    if (row) {
+      state = row.checksum === migration.checksum ? '✅ applied ' : '⚠️  modified';
+    }
+    const appliedAt = row ? ` (${new Date(row.applied_at).toISOString()})` : '';
+    console.log(`   ${state}  ${migration.version}_${migration.name}${appliedAt}`);
+  }
+
+  const known = new Set(migrations.map(migration => migration.version));
+  for (const [version, row] of applied) {
+    if (!known.has(version)) {
+      console.log(`   ❓ missing   ${version}_${row.name} (applied but file not found)`);
+    }
+  }
+};
+
+const createMigration = async (rawName) => {
+  const name = (rawName || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!name) {
+    throw new Error('Usage: migrate create <name>');
+  }
+
+  const migrations = await loadMigrationFiles();
+  const lastVersion = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version, 10) : 0;
+  const version = String(lastVersion + 1).padStart(3, '0');
+  const file = `${version}_${name}.js`;
+
+  await fs.writeFile(path.join(MIGRATIONS_DIR, file), `// ${name.replace(/_/g, ' ')}
+
+export const up = async (client) => {
+  await client.query(\`
+  \`);
+};
+
+export const down = async (client) => {
+  await client.query(\`
+  \`);
+};
+`);
+
+  console.log(`📝 Created migrations/${file}`);
+};
+
+const parseCount = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const count = parseInt(value, 10);
+  if (Number.isNaN(count) || count < 1) {
+    throw new Error(`Expected a positive number, got "${value}"`);
+  }
+  return count;
+};
+
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (command === 'create') {
+    await createMigration(arg);
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw new Error(`Unknown command "${command}". Use up, down, status or create.`);
+  }
+
+  const client = await getClient();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    if (command === 'up') {
+      await migrateUp(client, parseCount(arg, null));
+    } else if (command === 'down') {
+      await migrateDown(client, parseCount(arg, 1));
+    } else {
+      await showStatus(client);
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
   }
 };
 
-// Run migration
-createTables()
-  .then(() => {
-    console.log('🎉 All tables created successfully');
+run()
+  .then(async () => {
+    await pool.end();
     process.exit(0);
   })
   .catch((error) => {
-    console.error('❌ Migration error:', error);
+    console.error('❌ Migration error:', error.message);
     process.exit(1);
   });
@@ -0,0 +1,34 @@
+import pool from '../config/database.js';
+import { findDiscrepancies } from '../services/wallet.js';
+
+// Check every users.tokens balance against the sum of that user's ledger
+// entries. Exits with status 1 if any differ, so it can run from cron or CI.
+//
+//   npm run wallet:reconcile
+
+const run = async () => {
+  const discrepancies = await findDiscrepancies();
+
+  if (discrepancies.length === 0) {
+    console.log('✅ All token balances match the ledger');
+    return true;
+  }
+
+  console.log(`⚠️  ${discrepancies.length} balance(s) don't match the ledger:`);
+  for (const row of discrepancies) {
+    const sign = row.difference > 0 ? '+' : '';
+    console.log(`   ${row.email} (${row.userId}): balance ${row.balance}, ledger ${row.ledgerTotal} (${sign}${row.difference})`);
+  }
+  console.log('💡 Investigate before correcting; fixes go in as new adjustment entries, never edits.');
+  return false;
+};
+
+run()
+  .then(async (clean) => {
+    await pool.end();
+    process.exit(clean ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exit(1);
+  });
@@ -1,9 +1,7 @@
 import bcrypt from 'bcryptjs';
+import config from '../config/index.js';
 import { query } from '../config/database.js';
-import dotenv from 'dotenv';
-
-// Load environment variables
-dotenv.config();
+import * as wallet from '../services/wallet.js';
 
 const dummyUsers = [
   {
@@ -105,14 +103,13 @@ async function seedDatabase() {
         }
 
         // Hash password
-        const saltRounds = 12;
-        const passwordHash = await bcrypt.hash(userData.password, saltRounds);
+        const passwordHash = await bcrypt.hash(userData.password, config.auth.bcryptSaltRounds);
 
         // Insert user
         const result = await query(
           `INSERT INTO users (
-            email, password_hash, name, age, country, gender, preferred_gender, bio, tokens, is_online
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
+            email, password_hash, name, age, country, gender, preferred_gender, bio, is_online, is_verified
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true) 
           RETURNING id, email, name`,
           [
             userData.email,
@@ -123,18 +120,17 @@ async function seedDatabase() {
             userData.gender,
             userData.preferred_gender,
             userData.bio,
-            100, // Starting tokens
             false // Initially offline
           ]
         );
 
         const user = result.rows[0];
 
-        // Create welcome transaction
-        await query(
-          'INSERT INTO transactions (user_id, type, tokens, description) VALUES ($1, $2, $3, $4)',
-          [user.id, 'bonus', 100, 'Welcome bonus - 100 free tokens!']
-        );
+        // Starting tokens go through the wallet like any other balance change
+        await wallet.credit(user.id, 100, {
+          type: 'bonus',
+          description: 'Welcome bonus - 100 free tokens!'
+        });
 
         console.log(`✅ Created user: ${user.name} (${user.email}) - ID: ${user.id}`);
         successCount++;
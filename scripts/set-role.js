@@ -0,0 +1,37 @@
+import pool, { query } from '../config/database.js';
+import { ROLES } from '../services/admin.js';
+
+// Give an account a staff role from the command line, e.g. to create the
+// first admin. Later changes should go through the admin API so they are
+// audited.
+//
+//   npm run users:set-role -- someone@example.com admin
+
+const run = async (email, role) => {
+  if (!email || !ROLES.includes(role)) {
+    console.log(`Usage: npm run users:set-role -- <email> <${ROLES.join('|')}>`);
+    return false;
+  }
+
+  const result = await query(
+    'UPDATE users SET role = $2 WHERE LOWER(email) = LOWER($1) RETURNING id, email',
+    [email, role]
+  );
+  if (result.rows.length === 0) {
+    console.log(`❌ No account with email ${email}`);
+    return false;
+  }
+
+  console.log(`🎖️ ${result.rows[0].email} (${result.rows[0].id}) is now ${role}`);
+  return true;
+};
+
+run(process.argv[2], process.argv[3])
+  .then(async (ok) => {
+    await pool.end();
+    process.exit(ok ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error('❌ Failed to set role:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,56 @@
+import { query } from '../config/database.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Whether an account may be used right now. Kept free of other services so
+// the auth middleware and the session code can both rely on it.
+
+// Columns getAccountRestriction needs from a users row
+export const ACCOUNT_STATUS_COLUMNS = ['account_status', 'suspended_until', 'status_reason'];
+
+// A suspension whose end has passed counts as active again
+export const effectiveStatus = (user) => {
+  if (user.account_status === 'suspended' && !(user.suspended_until > new Date())) {
+    return 'active';
+  }
+  return user.account_status;
+};
+
+// The error a banned or suspended account gets, or null if it may sign in
+export const getAccountRestriction = (user) => {
+  const status = effectiveStatus(user);
+
+  if (status === 'banned') {
+    return new ServiceError('This account has been banned', {
+      status: 403,
+      code: 'ACCOUNT_BANNED',
+      details: { reason: user.status_reason }
+    });
+  }
+  if (status === 'suspended') {
+    return new ServiceError('This account is suspended', {
+      status: 403,
+      code: 'ACCOUNT_SUSPENDED',
+      details: { reason: user.status_reason, suspendedUntil: user.suspended_until }
+    });
+  }
+  return null;
+};
+
+// Refuse new accounts from an IP address or device on the ban list
+export const checkBanList = async ({ ipAddress = null, deviceId = null }) => {
+  const result = await query(
+    `SELECT kind FROM ban_list
+     WHERE ((kind = 'ip' AND value = $1) OR (kind = 'device' AND value = $2))
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+     LIMIT 1`,
+    [ipAddress, deviceId]
+  );
+
+  if (result.rows.length > 0) {
+    console.warn(`🚫 Signup refused: ${result.rows[0].kind} is on the ban list (ip ${ipAddress}, device ${deviceId})`);
+    throw new ServiceError('New accounts cannot be created from this device or network', {
+      status: 403,
+      code: 'DEVICE_BANNED'
+    });
+  }
+};
@@ -0,0 +1,272 @@
+import validator from 'validator';
+import { query, withTransaction } from '../config/database.js';
+import { emitToUser } from './realtime.js';
+import * as wallet from './wallet.js';
+import * as subscriptions from './subscriptions.js';
+import * as matching from './matching.js';
+import { getAccountState } from './bans.js';
+import { recordAction } from './audit.js';
+import { REPUTATION_COLUMNS, reputationScore } from './reputation.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Staff tools for looking after user accounts. Every change is written to
+// the audit log; `context` is the acting staff member (see auditContext).
+
+export const ROLES = ['user', 'moderator', 'admin', 'support'];
+
+const userNotFound = () => new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+
+const requireUserId = (userId) => {
+  if (!validator.isUUID(String(userId))) {
+    throw userNotFound();
+  }
+};
+
+const USER_SUMMARY_COLUMNS = 'id, email, name, role, account_status, is_premium, tokens, is_verified, is_online, last_seen, chat_strikes, created_at';
+
+const formatUserSummary = (row) => ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  role: row.role,
+  accountStatus: row.account_status,
+  isPremium: row.is_premium,
+  tokens: row.tokens,
+  isVerified: row.is_verified,
+  isOnline: row.is_online,
+  lastSeen: row.last_seen,
+  chatStrikes: row.chat_strikes,
+  createdAt: row.created_at
+});
+
+// Find users by email, name or ID, optionally narrowed by role and account status
+export const searchUsers = async ({ q = null, role = null, status = null, limit = 50, offset = 0 } = {}) => {
+  const term = q ? q.trim() : null;
+  const result = await query(
+    `SELECT ${USER_SUMMARY_COLUMNS} FROM users
+     WHERE ($1::text IS NULL OR email ILIKE '%' || $1 || '%' OR name ILIKE '%' || $1 || '%' OR id::text = $1)
+       AND ($2::user_role IS NULL OR role = $2)
+       AND ($3::account_status IS NULL OR account_status = $3)
+     ORDER BY created_at DESC
+     LIMIT $4 OFFSET $5`,
+    [term || null, role, status, limit, offset]
+  );
+  return result.rows.map(formatUserSummary);
+};
+
+const loadUserSummary = async (userId, client = null) => {
+  requireUserId(userId);
+
+  const runner = client || { query };
+  const result = await runner.query(`SELECT ${USER_SUMMARY_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  if (result.rows.length === 0) {
+    throw userNotFound();
+  }
+  return formatUserSummary(result.rows[0]);
+};
+
+// Everything staff see about one user, including the reputation score that
+// users themselves never see
+export const getUser = async (userId) => {
+  const user = await loadUserSummary(userId);
+  const [subscription, account, reputation] = await Promise.all([
+    subscriptions.getSubscription(user.id),
+    getAccountState(user.id),
+    query(`SELECT ${REPUTATION_COLUMNS} FROM users WHERE id = $1`, [user.id])
+  ]);
+  return {
+    ...user,
+    subscription,
+    account,
+    reputation: Number(reputationScore(reputation.rows[0]).toFixed(2))
+  };
+};
+
+export const listUserMatches = async (userId, { limit = 50, offset = 0 } = {}) => {
+  requireUserId(userId);
+
+  const result = await query(
+    `SELECT m.id, m.status, m.room_id, m.created_at, m.connected_at, m.ended_at, m.ended_by, m.end_reason,
+            m.duration_seconds, m.billed_seconds, m.call_outcome,
+            p.id AS partner_id, p.email AS partner_email, p.name AS partner_name
+     FROM matches m
+     JOIN users p ON p.id = CASE WHEN m.user1_id = $1 THEN m.user2_id ELSE m.user1_id END
+     WHERE m.user1_id = $1 OR m.user2_id = $1
+     ORDER BY m.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    status: row.status,
+    roomId: row.room_id,
+    partner: { id: row.partner_id, email: row.partner_email, name: row.partner_name },
+    createdAt: row.created_at,
+    connectedAt: row.connected_at,
+    endedAt: row.ended_at,
+    endedBy: row.ended_by,
+    endReason: row.end_reason,
+    durationSeconds: row.duration_seconds,
+    billedSeconds: row.billed_seconds,
+    callOutcome: row.call_outcome
+  }));
+};
+
+export const listUserTransactions = async (userId, { limit = 50, offset = 0 } = {}) => {
+  requireUserId(userId);
+
+  const result = await query(
+    `SELECT id, type, tokens, balance_after, amount, description, reference_id, created_at
+     FROM transactions WHERE user_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    type: row.type,
+    tokens: row.tokens,
+    balanceAfter: row.balance_after,
+    amount: row.amount === null ? null : Number(row.amount),
+    description: row.description,
+    referenceId: row.reference_id,
+    createdAt: row.created_at
+  }));
+};
+
+// Every session, including revoked and expired ones
+export const listUserSessions = async (userId) => {
+  requireUserId(userId);
+
+  const result = await query(
+    `SELECT id, device_name, device_id, user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at, revoked_reason
+     FROM auth_sessions WHERE user_id = $1
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    deviceName: row.device_name,
+    deviceId: row.device_id,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    revokedReason: row.revoked_reason
+  }));
+};
+
+// Credit (positive amount) or debit (negative) tokens as a ledger adjustment
+export const adjustTokens = async (context, userId, { amount, reason }) => {
+  requireUserId(userId);
+
+  const details = {
+    type: 'adjustment',
+    description: `Adjustment by staff: ${reason}`,
+    referenceId: context.requestId
+  };
+
+  const balance = await withTransaction(async (client) => {
+    const change = amount > 0
+      ? await wallet.credit(userId, amount, details, client)
+      : await wallet.debit(userId, -amount, details, client);
+
+    await recordAction(context, {
+      action: 'user.tokens.adjust',
+      targetType: 'user',
+      targetId: userId,
+      before: { tokens: change.balance - amount },
+      after: { tokens: change.balance, reason }
+    }, client);
+    return change.balance;
+  });
+
+  emitToUser(userId, 'balanceUpdated', { balance, change: amount, reason: 'adjustment' });
+  console.log(`🪙 Tokens for user ${userId} adjusted by ${amount} (${reason}) by staff ${context.actorId}`);
+  return { balance };
+};
+
+// Grant premium for a number of days (extending a live subscription) or take it away
+export const setPremium = async (context, userId, { isPremium, days = null, reason }) => {
+  const user = await loadUserSummary(userId);
+  const before = await subscriptions.getSubscription(user.id);
+
+  await withTransaction(async (client) => {
+    if (isPremium) {
+      await subscriptions.activate(client, user.id, { planId: null, durationDays: days });
+    } else {
+      const revoked = await subscriptions.revoke(client, user.id, `Premium removed by staff: ${reason}`);
+      if (!revoked) {
+        throw new ServiceError('This user is not premium', { status: 409, code: 'NOT_PREMIUM' });
+      }
+    }
+
+    const after = await client.query(
+      'SELECT subscription_status, is_premium, premium_expiry, subscription_expires_at FROM users WHERE id = $1',
+      [user.id]
+    );
+    await recordAction(context, {
+      action: isPremium ? 'user.premium.grant' : 'user.premium.revoke',
+      targetType: 'user',
+      targetId: user.id,
+      before: {
+        status: before.status,
+        isPremium: before.isPremium,
+        currentPeriodEnd: before.currentPeriodEnd,
+        accessEndsAt: before.accessEndsAt
+      },
+      after: {
+        status: after.rows[0].subscription_status,
+        isPremium: after.rows[0].is_premium,
+        currentPeriodEnd: after.rows[0].premium_expiry,
+        accessEndsAt: after.rows[0].subscription_expires_at,
+        days,
+        reason
+      }
+    }, client);
+  });
+
+  const subscription = await subscriptions.getSubscription(user.id);
+  emitToUser(user.id, 'subscriptionUpdated', subscription);
+  return subscription;
+};
+
+export const setRole = async (context, userId, role) => {
+  if (!ROLES.includes(role)) {
+    throw new ServiceError(`Role must be one of ${ROLES.join(', ')}`, { code: 'INVALID_ROLE' });
+  }
+
+  return withTransaction(async (client) => {
+    const user = await loadUserSummary(userId, client);
+    if (user.id === context.actorId) {
+      throw new ServiceError('You cannot change your own role', { code: 'CANNOT_CHANGE_OWN_ROLE' });
+    }
+
+    await client.query('UPDATE users SET role = $2 WHERE id = $1', [user.id, role]);
+    await recordAction(context, {
+      action: 'user.role.set',
+      targetType: 'user',
+      targetId: user.id,
+      before: { role: user.role },
+      after: { role }
+    }, client);
+
+    console.log(`🎖️ User ${user.email} is now ${role} (set by staff ${context.actorId})`);
+    return { ...user, role };
+  });
+};
+
+export const forceEndMatch = async (context, matchId, reason) => {
+  const outcome = await matching.forceEndMatch(matchId);
+
+  await recordAction(context, {
+    action: 'match.end',
+    targetType: 'match',
+    targetId: outcome.matchId,
+    before: { status: outcome.previousStatus },
+    after: { status: 'ended', alreadyEnded: outcome.alreadyEnded, reason }
+  });
+  return outcome;
+};
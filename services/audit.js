@@ -0,0 +1,54 @@
+import { query } from '../config/database.js';
+
+// Append-only record of staff actions (see migration 017). Routes build the
+// context from the request with auditContext(); services that change several
+// rows record inside their own transaction so the entry and the change land
+// together.
+
+export const auditContext = (req) => ({
+  actorId: req.user.id,
+  actorRole: req.user.role,
+  requestId: req.id || null,
+  ipAddress: req.ip || null
+});
+
+export const recordAction = async (context, { action, targetType, targetId = null, before = null, after = null }, client = null) => {
+  const runner = client || { query };
+  await runner.query(
+    `INSERT INTO admin_audit_log (actor_id, actor_role, action, target_type, target_id, before_value, after_value, request_id, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      context.actorId, context.actorRole, action, targetType, targetId === null ? null : String(targetId),
+      before === null ? null : JSON.stringify(before), after === null ? null : JSON.stringify(after),
+      context.requestId, context.ipAddress
+    ]
+  );
+};
+
+const formatEntry = (row) => ({
+  id: Number(row.id),
+  actor: { id: row.actor_id, role: row.actor_role, email: row.actor_email },
+  action: row.action,
+  target: { type: row.target_type, id: row.target_id },
+  before: row.before_value,
+  after: row.after_value,
+  requestId: row.request_id,
+  ipAddress: row.ip_address,
+  createdAt: row.created_at
+});
+
+export const listActions = async ({ actorId = null, targetType = null, targetId = null, action = null, limit = 50, offset = 0 } = {}) => {
+  const result = await query(
+    `SELECT a.*, u.email AS actor_email
+     FROM admin_audit_log a
+     LEFT JOIN users u ON u.id = a.actor_id
+     WHERE ($1::uuid IS NULL OR a.actor_id = $1)
+       AND ($2::varchar IS NULL OR a.target_type = $2)
+       AND ($3::varchar IS NULL OR a.target_id = $3)
+       AND ($4::varchar IS NULL OR a.action = $4)
+     ORDER BY a.id DESC
+     LIMIT $5 OFFSET $6`,
+    [actorId, targetType, targetId, action, limit, offset]
+  );
+  return result.rows.map(formatEntry);
+};
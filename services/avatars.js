@@ -0,0 +1,324 @@
+import sharp from 'sharp';
+import validator from 'validator';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { getStorage } from './storage/index.js';
+import { emitToUser } from './realtime.js';
+import { recordAction } from './audit.js';
+import { detectImageType } from '../utils/images.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Profile photos. An upload is cropped to a square of each AVATAR_SIZES size
+// and re-encoded (which also drops EXIF and other metadata), then waits as
+// the user's pending photo. Partners see it, through users.avatar_url, only
+// once it is approved: by the automated check named in AVATAR_CHECK, or by a
+// moderator when the check leaves it for review. A check is an async function
+//   ({ userId, avatarId, image }) -> { decision: 'approve' | 'reject' | 'review', reason? }
+// where image is the largest resized file.
+const checks = new Map();
+
+export const registerCheck = (name, check) => {
+  checks.set(name, check);
+};
+
+registerCheck('manual', async () => ({ decision: 'review' }));
+registerCheck('approve', async () => ({ decision: 'approve' }));
+
+const OUTPUT_CONTENT_TYPE = 'image/webp';
+// Small files can still decode to huge bitmaps; refuse anything past ~40 MP
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const avatarNotFound = () => new ServiceError('Avatar not found', { status: 404, code: 'AVATAR_NOT_FOUND' });
+
+const fileKey = (userId, avatarId, size) => `avatars/${userId}/${avatarId}/${size}.webp`;
+
+export const avatarUrl = (avatarId) => `/api/media/avatars/${avatarId}`;
+
+const formatAvatar = (row) => ({
+  id: row.id,
+  status: row.status,
+  url: row.status === 'approved' ? avatarUrl(row.id) : null,
+  sizes: row.sizes,
+  reviewReason: row.review_reason,
+  reviewedAt: row.reviewed_at,
+  createdAt: row.created_at
+});
+
+const deleteFiles = async (rows) => {
+  const storage = getStorage();
+  for (const row of rows) {
+    for (const size of row.sizes) {
+      await storage.delete(fileKey(row.user_id, row.id, size)).catch((error) => {
+        console.error(`❌ Failed to delete avatar file ${fileKey(row.user_id, row.id, size)}:`, error);
+      });
+    }
+  }
+};
+
+// Square crops around the most interesting part of the picture, turned
+// upright first since the EXIF orientation goes with the metadata
+const resize = async (body) => {
+  const image = sharp(body, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+  return Promise.all(config.avatars.sizes.map(async (size) => {
+    const file = await image.clone()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toBuffer();
+    return [size, file];
+  }));
+};
+
+// Move a pending photo to approved or rejected. Runs in the caller's
+// transaction; returns the rows whose files should be deleted afterwards.
+const decide = async (client, avatar, { decision, reason = null, reviewerId = null }) => {
+  if (decision === 'approve') {
+    const previous = await client.query(
+      `UPDATE avatars SET status = 'removed'
+       WHERE user_id = $1 AND status = 'approved'
+       RETURNING id, user_id, sizes`,
+      [avatar.user_id]
+    );
+    await client.query(
+      `UPDATE avatars SET status = 'approved', review_reason = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [avatar.id, reason, reviewerId]
+    );
+    await client.query(
+      'UPDATE users SET avatar_url = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [avatar.user_id, avatarUrl(avatar.id)]
+    );
+    return previous.rows;
+  }
+
+  await client.query(
+    `UPDATE avatars SET status = 'rejected', review_reason = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [avatar.id, reason, reviewerId]
+  );
+  // Taking down a photo partners could already see
+  if (avatar.status === 'approved') {
+    await client.query(
+      'UPDATE users SET avatar_url = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND avatar_url = $2',
+      [avatar.user_id, avatarUrl(avatar.id)]
+    );
+  }
+  return [avatar];
+};
+
+const notifyReviewed = (avatar, status, reason) => {
+  emitToUser(avatar.user_id, 'avatarReviewed', {
+    avatarId: avatar.id,
+    status,
+    reason,
+    avatarUrl: status === 'approved' ? avatarUrl(avatar.id) : null
+  });
+};
+
+const runCheck = async (avatar, image) => {
+  const check = checks.get(config.avatars.check);
+  if (!check) {
+    throw new Error(`Unknown avatar check "${config.avatars.check}"`);
+  }
+
+  let verdict;
+  try {
+    verdict = await check({ userId: avatar.user_id, avatarId: avatar.id, image });
+  } catch (error) {
+    // Left for a moderator rather than lost
+    console.error(`❌ Avatar check failed for ${avatar.id}:`, error);
+    return;
+  }
+  if (!verdict || !['approve', 'reject'].includes(verdict.decision)) return;
+
+  const replaced = await withTransaction(async (client) => {
+    const current = await client.query("SELECT * FROM avatars WHERE id = $1 AND status = 'pending' FOR UPDATE", [avatar.id]);
+    if (current.rows.length === 0) return [];
+    return decide(client, current.rows[0], { decision: verdict.decision, reason: verdict.reason || null });
+  });
+  await deleteFiles(replaced);
+
+  console.log(`🤖 Avatar ${avatar.id} ${verdict.decision === 'approve' ? 'approved' : 'rejected'} by the ${config.avatars.check} check`);
+};
+
+// Store a new photo as the user's pending one, replacing any photo still
+// waiting, and run the automated check on it
+export const uploadAvatar = async (userId, body) => {
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw new ServiceError('Send the image file as the request body', { code: 'EMPTY_UPLOAD' });
+  }
+  if (body.length > config.avatars.maxBytes) {
+    throw new ServiceError(`Avatars can be at most ${config.avatars.maxBytes} bytes`, { status: 413, code: 'IMAGE_TOO_LARGE' });
+  }
+
+  const type = detectImageType(body);
+  if (!type || !config.avatars.types.includes(type)) {
+    throw new ServiceError(`Unsupported image type. Allowed: ${config.avatars.types.join(', ')}`, {
+      status: 415,
+      code: 'UNSUPPORTED_IMAGE_TYPE'
+    });
+  }
+
+  let files;
+  try {
+    files = await resize(body);
+  } catch (error) {
+    throw new ServiceError('The image file is damaged or incomplete', { code: 'INVALID_IMAGE' });
+  }
+
+  const avatarId = uuidv4();
+  const storage = getStorage();
+  for (const [size, file] of files) {
+    await storage.put(fileKey(userId, avatarId, size), file, { contentType: OUTPUT_CONTENT_TYPE });
+  }
+
+  const { avatar, replaced } = await withTransaction(async (client) => {
+    // One upload at a time per user
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const previous = await client.query(
+      `UPDATE avatars SET status = 'removed'
+       WHERE user_id = $1 AND status = 'pending'
+       RETURNING id, user_id, sizes`,
+      [userId]
+    );
+    const inserted = await client.query(
+      `INSERT INTO avatars (id, user_id, sizes) VALUES ($1, $2, $3) RETURNING *`,
+      [avatarId, userId, files.map(([size]) => size)]
+    );
+    return { avatar: inserted.rows[0], replaced: previous.rows };
+  });
+  await deleteFiles(replaced);
+
+  console.log(`🖼️ User ${userId} uploaded avatar ${avatarId}`);
+  await runCheck(avatar, files[files.length - 1][1]);
+
+  const result = await query('SELECT * FROM avatars WHERE id = $1', [avatarId]);
+  return formatAvatar(result.rows[0]);
+};
+
+// The photo partners see, the one waiting for review, and the latest
+// rejection if it came after both
+export const getMyAvatar = async (userId) => {
+  const result = await query(
+    `SELECT * FROM avatars
+     WHERE user_id = $1 AND status IN ('approved', 'pending', 'rejected')
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  const current = result.rows.find(row => row.status === 'approved');
+  const pending = result.rows.find(row => row.status === 'pending');
+  const latest = result.rows[0];
+
+  return {
+    current: current ? formatAvatar(current) : null,
+    pending: pending ? formatAvatar(pending) : null,
+    rejected: latest?.status === 'rejected' ? formatAvatar(latest) : null
+  };
+};
+
+// Remove the user's photo and any photo waiting for review. Returns false if
+// there was neither.
+export const removeAvatar = async (userId) => {
+  const removed = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE avatars SET status = 'removed'
+       WHERE user_id = $1 AND status IN ('approved', 'pending')
+       RETURNING id, user_id, sizes`,
+      [userId]
+    );
+    await client.query(
+      'UPDATE users SET avatar_url = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+    return result.rows;
+  });
+  await deleteFiles(removed);
+
+  if (removed.length > 0) {
+    console.log(`🗑️ User ${userId} removed their avatar`);
+  }
+  return removed.length > 0;
+};
+
+// One resized file: the smallest at least `size` pixels, or the largest.
+// Outside moderation only approved photos are served.
+export const readAvatar = async (avatarId, size = null, { includePending = false } = {}) => {
+  if (!validator.isUUID(String(avatarId))) {
+    throw avatarNotFound();
+  }
+
+  const statuses = includePending ? ['approved', 'pending'] : ['approved'];
+  const result = await query('SELECT * FROM avatars WHERE id = $1 AND status = ANY($2)', [avatarId, statuses]);
+  const avatar = result.rows[0];
+  if (!avatar) {
+    throw avatarNotFound();
+  }
+
+  const wanted = Number(size) || Infinity;
+  const chosen = avatar.sizes.find(available => available >= wanted) || avatar.sizes[avatar.sizes.length - 1];
+  const file = await getStorage().get(fileKey(avatar.user_id, avatar.id, chosen));
+  if (!file) {
+    throw avatarNotFound();
+  }
+  return { body: file.body, contentType: OUTPUT_CONTENT_TYPE, size: chosen };
+};
+
+// The review queue (oldest first), or approved/rejected photos
+export const listAvatars = async ({ status = 'pending', limit = 50, offset = 0 } = {}) => {
+  const result = await query(
+    `SELECT a.*, u.name AS user_name, u.email AS user_email
+     FROM avatars a
+     JOIN users u ON u.id = a.user_id
+     WHERE a.status = $1
+     ORDER BY a.created_at ASC
+     LIMIT $2 OFFSET $3`,
+    [status, limit, offset]
+  );
+  return result.rows.map(row => ({
+    ...formatAvatar(row),
+    user: { id: row.user_id, name: row.user_name, email: row.user_email },
+    reviewUrl: `/api/moderation/avatars/${row.id}/image`
+  }));
+};
+
+// A moderator's decision: approve a pending photo, or reject a pending or
+// approved one (which takes it down)
+export const reviewAvatar = async (context, avatarId, { decision, reason = null }) => {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new ServiceError('Decision must be approve or reject', { code: 'INVALID_DECISION' });
+  }
+  if (!validator.isUUID(String(avatarId))) {
+    throw avatarNotFound();
+  }
+
+  const { avatar, replaced } = await withTransaction(async (client) => {
+    const result = await client.query('SELECT * FROM avatars WHERE id = $1 FOR UPDATE', [avatarId]);
+    const row = result.rows[0];
+    if (!row) {
+      throw avatarNotFound();
+    }
+    const allowed = decision === 'approve' ? ['pending'] : ['pending', 'approved'];
+    if (!allowed.includes(row.status)) {
+      throw new ServiceError(`This avatar is ${row.status} and cannot be ${decision}d`, { status: 409, code: 'AVATAR_NOT_REVIEWABLE' });
+    }
+
+    const toDelete = await decide(client, row, { decision, reason, reviewerId: context.actorId });
+    await recordAction(context, {
+      action: `avatar.${decision}`,
+      targetType: 'user',
+      targetId: row.user_id,
+      before: { avatarId: row.id, status: row.status },
+      after: { avatarId: row.id, status: decision === 'approve' ? 'approved' : 'rejected', reason }
+    }, client);
+    return { avatar: row, replaced: toDelete };
+  });
+  await deleteFiles(replaced);
+
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+  notifyReviewed(avatar, status, reason);
+  console.log(`🧑‍⚖️ Avatar ${avatar.id} ${status} by moderator ${context.actorId}`);
+
+  const updated = await query('SELECT * FROM avatars WHERE id = $1', [avatar.id]);
+  return formatAvatar(updated.rows[0]);
+};
@@ -0,0 +1,211 @@
+import validator from 'validator';
+import { query, withTransaction } from '../config/database.js';
+import { emitToUser, disconnectUser } from './realtime.js';
+import * as matching from './matching.js';
+import { effectiveStatus } from './accountStatus.js';
+import { recordAction } from './audit.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Moderator actions on whole accounts. Bans and suspensions leave sessions
+// alone: the auth middleware refuses them with ACCOUNT_BANNED or
+// ACCOUNT_SUSPENDED, and lifting the restriction lets the user carry on.
+// Both take the user out of matching, any call and every socket at once.
+// `context` is the acting staff member; every change is audited.
+
+const userNotFound = () => new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+
+const formatState = (row) => ({
+  userId: row.id,
+  status: effectiveStatus(row),
+  suspendedUntil: effectiveStatus(row) === 'suspended' ? row.suspended_until : null,
+  reason: row.status_reason,
+  setBy: row.status_set_by,
+  setAt: row.status_set_at
+});
+
+const loadTarget = async (userId) => {
+  if (!validator.isUUID(String(userId))) {
+    throw userNotFound();
+  }
+
+  const result = await query(
+    'SELECT id, email, role, account_status, suspended_until, status_reason, status_set_by, status_set_at FROM users WHERE id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw userNotFound();
+  }
+  return result.rows[0];
+};
+
+export const getAccountState = async (userId) => {
+  return formatState(await loadTarget(userId));
+};
+
+const setStatus = async (context, userId, { status, suspendedUntil = null, reason }) => {
+  const target = await loadTarget(userId);
+  if (target.id === context.actorId) {
+    throw new ServiceError('You cannot change your own account status', { code: 'CANNOT_RESTRICT_SELF' });
+  }
+  if (status !== 'active' && target.role !== 'user') {
+    throw new ServiceError('Staff accounts cannot be restricted; change their role first', { status: 403, code: 'FORBIDDEN' });
+  }
+
+  // The change and its audit entry stand or fall together
+  const before = formatState(target);
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE users SET
+        account_status = $2, suspended_until = $3, status_reason = $4,
+        status_set_by = $5, status_set_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, account_status, suspended_until, status_reason, status_set_by, status_set_at`,
+      [target.id, status, suspendedUntil, reason, context.actorId]
+    );
+    const state = formatState(result.rows[0]);
+
+    await recordAction(context, {
+      action: `user.status.${status === 'active' ? 'reinstate' : status === 'banned' ? 'ban' : 'suspend'}`,
+      targetType: 'user',
+      targetId: target.id,
+      before: { status: before.status, suspendedUntil: before.suspendedUntil, reason: before.reason },
+      after: { status: state.status, suspendedUntil: state.suspendedUntil, reason: state.reason }
+    }, client);
+    return state;
+  });
+};
+
+// Take a restricted user out of matching, their calls and every socket
+const enforce = async (userId, state) => {
+  await matching.removeFromMatching(userId, 'account_restricted');
+
+  emitToUser(userId, 'accountRestricted', {
+    status: state.status,
+    reason: state.reason,
+    suspendedUntil: state.suspendedUntil
+  });
+
+  disconnectUser(userId, state.status === 'banned' ? 'account_banned' : 'account_suspended');
+};
+
+export const suspendUser = async (context, userId, { until, reason }) => {
+  if (!(until > new Date())) {
+    throw new ServiceError('A suspension must end in the future', { code: 'INVALID_SUSPENSION' });
+  }
+
+  const state = await setStatus(context, userId, { status: 'suspended', suspendedUntil: until, reason });
+  await enforce(state.userId, state);
+
+  console.warn(`⏸️ User ${state.userId} suspended until ${until.toISOString()} by staff ${context.actorId}: ${reason}`);
+  return state;
+};
+
+// Ban an account. With banDevices, every IP address and device the user has
+// signed in from goes on the ban list too.
+export const banUser = async (context, userId, { reason, banDevices = false }) => {
+  const state = await setStatus(context, userId, { status: 'banned', reason });
+
+  let banListEntries = 0;
+  if (banDevices) {
+    banListEntries = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO ban_list (kind, value, reason, user_id, created_by)
+         SELECT DISTINCT kind::ban_list_kind, value, $2, $1::uuid, $3::uuid FROM (
+           SELECT 'ip' AS kind, ip_address AS value FROM auth_sessions WHERE user_id = $1 AND ip_address IS NOT NULL
+           UNION
+           SELECT 'device', device_id FROM auth_sessions WHERE user_id = $1 AND device_id IS NOT NULL
+         ) seen
+         ON CONFLICT (kind, value) DO NOTHING
+         RETURNING id, kind, value`,
+        [state.userId, reason, context.actorId]
+      );
+
+      if (result.rows.length > 0) {
+        await recordAction(context, {
+          action: 'ban_list.add',
+          targetType: 'user',
+          targetId: state.userId,
+          after: { entries: result.rows }
+        }, client);
+      }
+      return result.rowCount;
+    });
+  }
+
+  await enforce(state.userId, state);
+
+  console.warn(`🔨 User ${state.userId} banned by staff ${context.actorId} (${banListEntries} ban list entries): ${reason}`);
+  return { ...state, banListEntries };
+};
+
+// Lift a ban or suspension
+export const reinstateUser = async (context, userId, { reason = null } = {}) => {
+  const state = await setStatus(context, userId, { status: 'active', reason });
+  console.log(`✅ User ${state.userId} reinstated by staff ${context.actorId}`);
+  return state;
+};
+
+const BAN_LIST_COLUMNS = 'id, kind, value, reason, user_id, created_by, expires_at, created_at';
+
+const formatBanListEntry = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  value: row.value,
+  reason: row.reason,
+  userId: row.user_id,
+  createdBy: row.created_by,
+  expiresAt: row.expires_at,
+  createdAt: row.created_at
+});
+
+export const listBanList = async ({ kind = null, limit = 50, offset = 0 } = {}) => {
+  const result = await query(
+    `SELECT ${BAN_LIST_COLUMNS} FROM ban_list
+     WHERE $1::ban_list_kind IS NULL OR kind = $1
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [kind, limit, offset]
+  );
+  return result.rows.map(formatBanListEntry);
+};
+
+export const addBanListEntry = async (context, { kind, value, reason = null, expiresAt = null }) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO ban_list (kind, value, reason, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (kind, value) DO UPDATE SET
+         reason = EXCLUDED.reason, created_by = EXCLUDED.created_by, expires_at = EXCLUDED.expires_at
+       RETURNING ${BAN_LIST_COLUMNS}`,
+      [kind, value, reason, context.actorId, expiresAt]
+    );
+    const entry = formatBanListEntry(result.rows[0]);
+
+    await recordAction(context, {
+      action: 'ban_list.add',
+      targetType: 'ban_list',
+      targetId: entry.id,
+      after: { kind, value, reason, expiresAt }
+    }, client);
+    return entry;
+  });
+};
+
+// Returns false if there was no such entry
+export const removeBanListEntry = async (context, entryId) => {
+  if (!validator.isUUID(String(entryId))) return false;
+
+  return withTransaction(async (client) => {
+    const result = await client.query(`DELETE FROM ban_list WHERE id = $1 RETURNING ${BAN_LIST_COLUMNS}`, [entryId]);
+    if (result.rows.length === 0) return false;
+
+    const entry = formatBanListEntry(result.rows[0]);
+    await recordAction(context, {
+      action: 'ban_list.remove',
+      targetType: 'ban_list',
+      targetId: entry.id,
+      before: { kind: entry.kind, value: entry.value, reason: entry.reason, expiresAt: entry.expiresAt }
+    }, client);
+    return true;
+  });
+};
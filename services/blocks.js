@@ -0,0 +1,92 @@
+import validator from 'validator';
+import { query } from '../config/database.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Blocks are one-sided records but apply both ways: neither user is matched
+// with the other again, and a connection between them is dropped.
+
+const pairKey = (userId1, userId2) => `${userId1}:${userId2}`;
+
+export const blockUser = async (blockerId, blockedId, reason = null) => {
+  if (!validator.isUUID(String(blockedId))) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+  if (blockerId === blockedId) {
+    throw new ServiceError('You cannot block yourself', { code: 'CANNOT_BLOCK_SELF' });
+  }
+
+  const target = await query('SELECT id FROM users WHERE id = $1', [blockedId]);
+  if (target.rows.length === 0) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+
+  await query(
+    `INSERT INTO user_blocks (blocker_id, blocked_id, reason)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+    [blockerId, blockedId, reason]
+  );
+  await query(
+    'DELETE FROM connections WHERE user1_id = LEAST($1::uuid, $2::uuid) AND user2_id = GREATEST($1::uuid, $2::uuid)',
+    [blockerId, blockedId]
+  );
+  console.log(`⛔ User ${blockerId} blocked ${blockedId}`);
+};
+
+// Returns false if there was no such block
+export const unblockUser = async (blockerId, blockedId) => {
+  if (!validator.isUUID(String(blockedId))) return false;
+
+  const result = await query(
+    'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2',
+    [blockerId, blockedId]
+  );
+  return result.rowCount > 0;
+};
+
+// Users this user has blocked, newest first
+export const listBlocks = async (userId) => {
+  const result = await query(
+    `SELECT u.id, u.name, u.avatar_url, b.reason, b.created_at
+     FROM user_blocks b
+     JOIN users u ON u.id = b.blocked_id
+     WHERE b.blocker_id = $1
+     ORDER BY b.created_at DESC`,
+    [userId]
+  );
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    avatar_url: row.avatar_url,
+    reason: row.reason,
+    blockedAt: row.created_at
+  }));
+};
+
+// Blocked pairs among a set of users, as a lookup that works in either order
+export const loadBlockedPairs = async (userIds) => {
+  if (userIds.length < 2) {
+    return { has: () => false };
+  }
+
+  const result = await query(
+    `SELECT blocker_id, blocked_id FROM user_blocks
+     WHERE blocker_id = ANY($1) AND blocked_id = ANY($1)`,
+    [userIds]
+  );
+  const pairs = new Set(result.rows.map(row => pairKey(row.blocker_id, row.blocked_id)));
+  return {
+    has: (userId1, userId2) => pairs.has(pairKey(userId1, userId2)) || pairs.has(pairKey(userId2, userId1))
+  };
+};
+
+// Whether either user blocked the other, checked inside the caller's transaction
+export const isBlockedPair = async (client, userId1, userId2) => {
+  const result = await client.query(
+    `SELECT 1 FROM user_blocks
+     WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+     LIMIT 1`,
+    [userId1, userId2]
+  );
+  return result.rows.length > 0;
+};
@@ -0,0 +1,103 @@
+import validator from 'validator';
+import { query } from '../config/database.js';
+import { PARTNER_COLUMNS, partnerPayload, shownEndReason } from './matching.js';
+import { ServiceError } from '../utils/errors.js';
+import { encodeCursor, decodeCursor, rethrowBadCursor } from '../utils/cursor.js';
+
+// A user's past calls, newest first. Pages are cut with an opaque cursor
+// holding the (created_at, id) of the last entry returned, so new calls
+// arriving between requests don't shift the pages.
+
+const FINISHED_STATUSES = ['ended', 'cancelled'];
+
+// Columns for one match as seen by the user in $1
+const HISTORY_COLUMNS = `
+  m.id, m.status, m.created_at, m.created_at::text AS cursor_at, m.connected_at, m.ended_at, m.ended_by,
+  m.end_reason, m.duration_seconds, m.billed_seconds, m.call_outcome,
+  CASE WHEN m.user1_id = $1 THEN m.rating_user1 ELSE m.rating_user2 END AS my_rating,
+  CASE WHEN m.user1_id = $1 THEN m.rated_at_user1 ELSE m.rated_at_user2 END AS rated_at,
+  (SELECT COUNT(*) FROM messages msg WHERE msg.match_id = m.id)::INTEGER AS message_count,
+  (SELECT COUNT(*) FROM messages msg WHERE msg.match_id = m.id AND msg.sender_id <> $1 AND NOT msg.is_read)::INTEGER AS unread_count,
+  (SELECT row_to_json(p) FROM (
+     SELECT ${PARTNER_COLUMNS} FROM users
+     WHERE id = CASE WHEN m.user1_id = $1 THEN m.user2_id ELSE m.user1_id END
+   ) p) AS partner`;
+
+const formatEntry = (row, userId) => ({
+  matchId: row.id,
+  status: row.status,
+  partner: row.partner ? partnerPayload(row.partner) : null,
+  matchedAt: row.created_at,
+  startedAt: row.connected_at,
+  endedAt: row.ended_at,
+  durationSeconds: row.duration_seconds,
+  callOutcome: row.call_outcome,
+  endReason: shownEndReason(row.end_reason, row.ended_by, userId),
+  endedByMe: row.ended_by === userId,
+  myRating: row.my_rating,
+  ratedAt: row.rated_at,
+  canRate: FINISHED_STATUSES.includes(row.status) && Boolean(row.connected_at) && row.my_rating === null,
+  messageCount: row.message_count,
+  unreadCount: row.unread_count
+});
+
+// One page of finished calls. Filters:
+// - from / to: when the match was made (inclusive)
+// - rated: true for calls the user rated, false for connected calls they
+//   haven't rated yet
+// - minDuration: connected seconds
+export const listHistory = async (userId, { cursor = null, limit = 20, from = null, to = null, rated = null, minDuration = null } = {}) => {
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  const result = await query(
+    `SELECT ${HISTORY_COLUMNS}
+     FROM matches m
+     WHERE (m.user1_id = $1 OR m.user2_id = $1)
+       AND m.status = ANY($2)
+       AND ($3::timestamptz IS NULL OR m.created_at >= $3)
+       AND ($4::timestamptz IS NULL OR m.created_at <= $4)
+       AND ($5::boolean IS NULL OR
+            ($5 AND CASE WHEN m.user1_id = $1 THEN m.rating_user1 ELSE m.rating_user2 END IS NOT NULL) OR
+            (NOT $5 AND m.connected_at IS NOT NULL AND CASE WHEN m.user1_id = $1 THEN m.rating_user1 ELSE m.rating_user2 END IS NULL))
+       AND ($6::integer IS NULL OR m.duration_seconds >= $6)
+       AND ($7::timestamp IS NULL OR (m.created_at, m.id) < ($7::timestamp, $8::uuid))
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT $9`,
+    [userId, FINISHED_STATUSES, from, to, rated, minDuration, after?.createdAt ?? null, after?.id ?? null, limit + 1]
+  ).catch(rethrowBadCursor);
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    entries: rows.map(row => formatEntry(row, userId)),
+    nextCursor: result.rows.length > limit ? encodeCursor(last.cursor_at, last.id) : null
+  };
+};
+
+// One of the user's matches in full. Matches they weren't part of don't exist
+// as far as they are concerned.
+export const getHistoryEntry = async (userId, matchId) => {
+  if (!validator.isUUID(String(matchId))) {
+    throw new ServiceError('Match not found', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+
+  const result = await query(
+    `SELECT ${HISTORY_COLUMNS},
+            (SELECT COALESCE(-SUM(t.tokens), 0)::INTEGER FROM transactions t
+             WHERE t.user_id = $1 AND t.reference_id = m.id::text) AS tokens_spent
+     FROM matches m
+     WHERE m.id = $2 AND (m.user1_id = $1 OR m.user2_id = $1)`,
+    [userId, matchId]
+  );
+
+  const row = result.rows[0];
+  if (!row) {
+    throw new ServiceError('Match not found or you are not part of it', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+
+  return {
+    ...formatEntry(row, userId),
+    billedSeconds: row.billed_seconds,
+    tokensSpent: row.tokens_spent
+  };
+};
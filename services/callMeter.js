@@ -0,0 +1,102 @@
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { emitToUser } from './realtime.js';
+import * as wallet from './wallet.js';
+
+// Call billing. Once a match is connected each participant pays for their
+// own time, one slice at a time, paid as the slice starts. matches.billed_seconds
+// records how far the call has been paid for; the match row lock keeps two
+// nodes from billing the same slice.
+
+// Slices that have started but aren't paid yet
+const dueSlices = (elapsedSeconds, billedSeconds) => {
+  if (elapsedSeconds < billedSeconds) return 0;
+  return Math.floor((elapsedSeconds - billedSeconds) / config.calls.sliceSeconds) + 1;
+};
+
+const warnIfLow = (match, payments, paidUntil) => {
+  const { tokensPerSlice, balanceLowSlices, sliceSeconds } = config.calls;
+  if (tokensPerSlice === 0) return;
+
+  payments.forEach(({ userId, balance }) => {
+    const slicesLeft = Math.floor(balance / tokensPerSlice);
+    if (slicesLeft >= balanceLowSlices) return;
+
+    emitToUser(userId, 'balanceLow', {
+      matchId: match.id,
+      roomId: match.room_id,
+      balance,
+      tokensPerSlice,
+      sliceSeconds,
+      // What is left of the current slice plus the slices they can still pay for
+      secondsLeft: paidUntil - match.elapsed + slicesLeft * sliceSeconds
+    });
+  });
+};
+
+// Charge both participants for every slice that has started. Returns the
+// participants who couldn't pay (nothing is charged then), or null if the
+// match isn't a connected call.
+export const billDueSlices = async (matchId) => {
+  const outcome = await withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT id, user1_id, user2_id, room_id, billed_seconds,
+              EXTRACT(epoch FROM (CURRENT_TIMESTAMP - connected_at))::INTEGER AS elapsed
+       FROM matches
+       WHERE id = $1 AND status = 'connected' AND connected_at IS NOT NULL
+       FOR UPDATE`,
+      [matchId]
+    );
+    const match = result.rows[0];
+    if (!match) return null;
+
+    const slices = dueSlices(match.elapsed, match.billed_seconds);
+    if (slices === 0) {
+      return { match, unpaid: [], payments: [] };
+    }
+
+    const cost = slices * config.calls.tokensPerSlice;
+    const paidUntil = match.billed_seconds + slices * config.calls.sliceSeconds;
+
+    let payments = [];
+    if (cost > 0) {
+      // Lock both users in a fixed order, like match creation does
+      const users = await client.query(
+        'SELECT id, tokens FROM users WHERE id IN ($1, $2) ORDER BY id FOR UPDATE',
+        [match.user1_id, match.user2_id]
+      );
+      const unpaid = users.rows.filter(user => user.tokens < cost).map(user => user.id);
+      if (unpaid.length > 0) {
+        return { match, unpaid, payments: [] };
+      }
+
+      for (const user of users.rows) {
+        const { balance } = await wallet.debit(user.id, cost, {
+          type: 'call',
+          description: `Video call - ${slices * config.calls.sliceSeconds}s of call time`,
+          referenceId: match.id
+        }, client);
+        payments.push({ userId: user.id, balance });
+      }
+    }
+
+    await client.query('UPDATE matches SET billed_seconds = $2 WHERE id = $1', [match.id, paidUntil]);
+    return { match, unpaid: [], payments, paidUntil };
+  });
+
+  if (outcome && outcome.payments.length > 0) {
+    warnIfLow(outcome.match, outcome.payments, outcome.paidUntil);
+  }
+  return outcome;
+};
+
+// Connected calls whose paid time has run out
+export const listCallsDue = async () => {
+  const result = await query(
+    `SELECT id FROM matches
+     WHERE status = 'connected'
+       AND connected_at + make_interval(secs => billed_seconds) <= CURRENT_TIMESTAMP
+     ORDER BY connected_at`
+  );
+  return result.rows.map(row => row.id);
+};
@@ -0,0 +1,126 @@
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { emitToUser } from './realtime.js';
+import * as wallet from './wallet.js';
+
+// How a call went, and refunds for the ones that didn't work out. A call
+// counts as failed only if nobody reported it connected, so one side can't
+// claim a refund for a call the other side saw working.
+
+const REFUNDABLE_OUTCOMES = ['failed', 'short'];
+
+const REFUND_DESCRIPTIONS = {
+  failed: 'Refund - call failed to connect',
+  short: 'Refund - call ended within a few seconds'
+};
+
+// Store a participant's report about the media connection
+export const recordReport = async (matchId, userId, outcome, reason = null) => {
+  await query(
+    `INSERT INTO call_reports (match_id, user_id, outcome, reason)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (match_id, user_id) DO UPDATE
+     SET outcome = EXCLUDED.outcome, reason = EXCLUDED.reason, reported_at = CURRENT_TIMESTAMP`,
+    [matchId, userId, outcome, reason]
+  );
+};
+
+const decideOutcome = (match, reports) => {
+  if (!match.connected_at) return 'never_connected';
+
+  const connected = reports.some(report => report.outcome === 'connected');
+  const failed = reports.some(report => report.outcome === 'failed');
+  if (failed && !connected) return 'failed';
+
+  return match.duration_seconds < config.calls.refundThresholdSeconds ? 'short' : 'completed';
+};
+
+// Refund one participant what they paid for the call, unless they already
+// had their share of refunds today
+const refundParticipant = async (client, match, userId, outcome) => {
+  const paid = await client.query(
+    `SELECT COALESCE(-SUM(tokens), 0)::INTEGER AS tokens FROM transactions
+     WHERE user_id = $1 AND reference_id = $2 AND type = 'call'`,
+    [userId, match.id]
+  );
+  const tokens = paid.rows[0].tokens;
+  if (tokens <= 0) return null;
+
+  const recent = await client.query(
+    `SELECT COUNT(*)::INTEGER AS count FROM call_refunds
+     WHERE user_id = $1 AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours'`,
+    [userId]
+  );
+  if (recent.rows[0].count >= config.calls.refundDailyLimit) {
+    return { userId, denied: true };
+  }
+
+  const inserted = await client.query(
+    `INSERT INTO call_refunds (match_id, user_id, tokens, reason)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (match_id, user_id) DO NOTHING
+     RETURNING match_id`,
+    [match.id, userId, tokens, outcome]
+  );
+  if (inserted.rows.length === 0) return null;
+
+  const { balance } = await wallet.credit(userId, tokens, {
+    type: 'refund',
+    description: REFUND_DESCRIPTIONS[outcome],
+    referenceId: match.id
+  }, client);
+  return { userId, tokens, balance };
+};
+
+// Decide the outcome of an ended match and refund failed or short calls.
+// Safe to run again, e.g. when a failure report arrives after the end.
+export const settleCall = async (matchId) => {
+  const settled = await withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT id, user1_id, user2_id, room_id, connected_at, duration_seconds FROM matches
+       WHERE id = $1 AND status = 'ended'
+       FOR UPDATE`,
+      [matchId]
+    );
+    const match = result.rows[0];
+    if (!match) return null;
+
+    const reports = await client.query('SELECT outcome FROM call_reports WHERE match_id = $1', [matchId]);
+    const outcome = decideOutcome(match, reports.rows);
+    await client.query('UPDATE matches SET call_outcome = $2 WHERE id = $1', [matchId, outcome]);
+
+    const refunds = [];
+    if (REFUNDABLE_OUTCOMES.includes(outcome)) {
+      for (const userId of [match.user1_id, match.user2_id]) {
+        const refund = await refundParticipant(client, match, userId, outcome);
+        if (refund) refunds.push(refund);
+      }
+    }
+    return { match, outcome, refunds };
+  });
+
+  if (!settled) return null;
+
+  const { match, outcome, refunds } = settled;
+  refunds.forEach(refund => {
+    if (refund.denied) {
+      emitToUser(refund.userId, 'callRefundDenied', {
+        matchId: match.id,
+        code: 'REFUND_LIMIT_REACHED',
+        message: `Refunds are limited to ${config.calls.refundDailyLimit} per day`
+      });
+      console.warn(`🚫 Refund for call ${match.id} denied to user ${refund.userId}: daily limit reached`);
+      return;
+    }
+
+    emitToUser(refund.userId, 'callRefunded', {
+      matchId: match.id,
+      outcome,
+      tokens: refund.tokens,
+      balance: refund.balance
+    });
+    console.log(`↩️ Refunded ${refund.tokens} token(s) to user ${refund.userId} for ${outcome} call ${match.id}`);
+  });
+
+  return { outcome, refunds };
+};
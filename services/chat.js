@@ -0,0 +1,142 @@
+import validator from 'validator';
+import { query } from '../config/database.js';
+import { emitToUser } from './realtime.js';
+import { LIVE_STATUSES, getParticipantMatch } from './matching.js';
+import { moderateMessage } from './chatModeration/index.js';
+import { requireSendableImage, signedImageUrl } from './chatImages.js';
+import { ServiceError } from '../utils/errors.js';
+import { encodeCursor, decodeCursor, rethrowBadCursor } from '../utils/cursor.js';
+
+// Text and image chat between the two users of a match. Messages can only be
+// sent while the match is live, and are stored as the moderation pipeline
+// left them; its participants can page back through the chat and mark it
+// read afterwards too.
+
+// Kinds of message users may send themselves
+const SENDABLE_TYPES = ['text', 'emoji', 'image'];
+
+const MESSAGE_COLUMNS = `msg.id, msg.match_id, msg.sender_id, u.name AS sender_name, msg.content, msg.message_type,
+  msg.is_read, msg.read_at, msg.created_at, msg.created_at::text AS cursor_at,
+  msg.image_id, ci.content_type AS image_content_type, ci.deleted_at AS image_deleted_at`;
+
+// Image URLs are signed for the viewer, so each user gets their own copy of
+// an image message. An image deleted after the retention period has no URL.
+export const formatMessage = (row, viewerId) => ({
+  id: row.id,
+  matchId: row.match_id,
+  senderId: row.sender_id,
+  senderName: row.sender_name,
+  content: row.content,
+  messageType: row.message_type,
+  image: row.image_id ? {
+    id: row.image_id,
+    contentType: row.image_content_type,
+    url: row.image_deleted_at ? null : signedImageUrl(row.image_id, viewerId),
+    expired: Boolean(row.image_deleted_at)
+  } : null,
+  isRead: row.is_read,
+  readAt: row.read_at,
+  createdAt: row.created_at
+});
+
+const partnerOf = (match, userId) => (match.user1_id === userId ? match.user2_id : match.user1_id);
+
+// The live match a user is chatting in, or CHAT_CLOSED once it has ended
+export const getLiveChat = async (matchId, userId) => {
+  const match = await getParticipantMatch(matchId, userId);
+  if (!LIVE_STATUSES.includes(match.status)) {
+    throw new ServiceError('This chat has ended', { status: 409, code: 'CHAT_CLOSED' });
+  }
+  return { match, partnerId: partnerOf(match, userId) };
+};
+
+// Image messages carry an upload from POST /:matchId/images (imageId) and an
+// optional caption, which is moderated like any text. Returns the message as
+// the sender sees it, and forUser for the copy each participant gets.
+export const sendMessage = async (sender, matchId, { content, messageType = 'text', imageId = null }) => {
+  if (!SENDABLE_TYPES.includes(messageType)) {
+    throw new ServiceError('Unsupported message type', { code: 'INVALID_MESSAGE_TYPE' });
+  }
+
+  const { match } = await getLiveChat(matchId, sender.id);
+  const text = typeof content === 'string' ? content : '';
+
+  let image = null;
+  if (messageType === 'image') {
+    image = await requireSendableImage(imageId, match.id, sender.id);
+  }
+
+  const cleaned = image && text.trim() === '' ? '' : await moderateMessage({ content: text, sender, match });
+
+  const result = await query(
+    `INSERT INTO messages (match_id, sender_id, content, message_type, image_id)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *, (SELECT content_type FROM chat_images WHERE id = $5) AS image_content_type`,
+    [match.id, sender.id, cleaned, messageType, image]
+  ).catch((error) => {
+    // Sent twice at once
+    if (error.code === '23505') {
+      throw new ServiceError('This image has already been sent', { status: 409, code: 'IMAGE_ALREADY_SENT' });
+    }
+    throw error;
+  });
+
+  const row = { ...result.rows[0], sender_name: sender.name };
+  return {
+    match,
+    message: formatMessage(row, sender.id),
+    forUser: (userId) => formatMessage(row, userId)
+  };
+};
+
+// One page of a match's chat, newest first; nextCursor pages further back
+export const listMessages = async (userId, matchId, { cursor = null, limit = 50 } = {}) => {
+  const match = await getParticipantMatch(matchId, userId);
+  const before = cursor ? decodeCursor(cursor) : null;
+
+  const result = await query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages msg
+     JOIN users u ON u.id = msg.sender_id
+     LEFT JOIN chat_images ci ON ci.id = msg.image_id
+     WHERE msg.match_id = $1
+       AND ($2::timestamp IS NULL OR (msg.created_at, msg.id) < ($2::timestamp, $3::uuid))
+     ORDER BY msg.created_at DESC, msg.id DESC
+     LIMIT $4`,
+    [match.id, before?.createdAt ?? null, before?.id ?? null, limit + 1]
+  ).catch(rethrowBadCursor);
+
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  return {
+    messages: rows.map(row => formatMessage(row, userId)),
+    nextCursor: result.rows.length > limit ? encodeCursor(last.cursor_at, last.id) : null
+  };
+};
+
+// Mark the partner's messages read, all of them or those up to and
+// including `upTo`, and send the partner a receipt
+export const markRead = async (userId, matchId, { upTo = null } = {}) => {
+  if (upTo !== null && !validator.isUUID(String(upTo))) {
+    throw new ServiceError('Message not found', { status: 404, code: 'MESSAGE_NOT_FOUND' });
+  }
+
+  const match = await getParticipantMatch(matchId, userId);
+
+  const result = await query(
+    `UPDATE messages SET is_read = true, read_at = CURRENT_TIMESTAMP
+     WHERE match_id = $1 AND sender_id <> $2 AND NOT is_read
+       AND ($3::uuid IS NULL OR created_at <= (SELECT created_at FROM messages WHERE id = $3 AND match_id = $1))
+     RETURNING id, read_at`,
+    [match.id, userId, upTo]
+  );
+
+  const messageIds = result.rows.map(row => row.id);
+  const readAt = result.rows[0]?.read_at ?? null;
+
+  if (messageIds.length > 0) {
+    emitToUser(partnerOf(match, userId), 'messagesRead', { matchId: match.id, readerId: userId, messageIds, readAt });
+  }
+
+  return { matchId: match.id, messageIds, readAt };
+};
@@ -0,0 +1,165 @@
+import crypto from 'crypto';
+import validator from 'validator';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { getStorage } from './storage/index.js';
+import { LIVE_STATUSES, getParticipantMatch } from './matching.js';
+import { IMAGE_TYPES, detectImageType, stripMetadata } from '../utils/images.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Images sent in match chat. An upload belongs to a live match and is sent
+// as a message separately. Files are only reachable through short-lived
+// URLs signed for one of the match's two users, and are deleted from storage
+// CHAT_IMAGE_RETENTION_DAYS after the match ends.
+
+const signingKey = crypto.createHmac('sha256', config.auth.jwtSecret).update('chat-images').digest();
+
+const sign = (imageId, userId, expires) => {
+  return crypto.createHmac('sha256', signingKey).update(`${imageId}:${userId}:${expires}`).digest('base64url');
+};
+
+// A URL for one viewer, good for CHAT_IMAGE_URL_TTL_SECONDS
+export const signedImageUrl = (imageId, userId) => {
+  const expires = Math.floor(Date.now() / 1000) + config.chat.images.urlTtlSeconds;
+  return `/api/media/chat-images/${imageId}?u=${userId}&e=${expires}&s=${sign(imageId, userId, expires)}`;
+};
+
+const imageNotFound = () => new ServiceError('Image not found', { status: 404, code: 'IMAGE_NOT_FOUND' });
+
+export const uploadImage = async (user, matchId, body) => {
+  const match = await getParticipantMatch(matchId, user.id);
+  if (!LIVE_STATUSES.includes(match.status)) {
+    throw new ServiceError('This chat has ended', { status: 409, code: 'CHAT_CLOSED' });
+  }
+
+  if (!Buffer.isBuffer(body) || body.length === 0) {
+    throw new ServiceError('Send the image file as the request body', { code: 'EMPTY_UPLOAD' });
+  }
+  if (body.length > config.chat.images.maxBytes) {
+    throw new ServiceError(`Images can be at most ${config.chat.images.maxBytes} bytes`, { status: 413, code: 'IMAGE_TOO_LARGE' });
+  }
+
+  const type = detectImageType(body);
+  if (!type || !config.chat.images.types.includes(type)) {
+    throw new ServiceError(`Unsupported image type. Allowed: ${config.chat.images.types.join(', ')}`, {
+      status: 415,
+      code: 'UNSUPPORTED_IMAGE_TYPE'
+    });
+  }
+
+  let cleaned;
+  try {
+    cleaned = stripMetadata(body, type);
+  } catch (error) {
+    throw new ServiceError('The image file is damaged or incomplete', { code: 'INVALID_IMAGE' });
+  }
+
+  const imageId = uuidv4();
+  const { contentType, extension } = IMAGE_TYPES[type];
+  const storageKey = `chat-images/${match.id}/${imageId}.${extension}`;
+
+  await getStorage().put(storageKey, cleaned, { contentType });
+  await query(
+    `INSERT INTO chat_images (id, match_id, uploader_id, storage_key, content_type, size_bytes)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [imageId, match.id, user.id, storageKey, contentType, cleaned.length]
+  );
+
+  console.log(`🖼️ User ${user.id} uploaded image ${imageId} to match ${match.id}`);
+  return {
+    imageId,
+    contentType,
+    sizeBytes: cleaned.length,
+    url: signedImageUrl(imageId, user.id)
+  };
+};
+
+// An upload the sender may attach to a message in this match: theirs, still
+// stored and not sent before
+export const requireSendableImage = async (imageId, matchId, senderId) => {
+  if (!validator.isUUID(String(imageId))) {
+    throw imageNotFound();
+  }
+
+  const result = await query(
+    `SELECT ci.id, EXISTS (SELECT 1 FROM messages WHERE image_id = ci.id) AS sent
+     FROM chat_images ci
+     WHERE ci.id = $1 AND ci.match_id = $2 AND ci.uploader_id = $3 AND ci.deleted_at IS NULL`,
+    [imageId, matchId, senderId]
+  );
+  if (result.rows.length === 0) {
+    throw imageNotFound();
+  }
+  if (result.rows[0].sent) {
+    throw new ServiceError('This image has already been sent', { status: 409, code: 'IMAGE_ALREADY_SENT' });
+  }
+  return result.rows[0].id;
+};
+
+// The file behind a signed URL, provided the signature holds, it hasn't
+// expired and the viewer is still one of the match's users
+export const readSignedImage = async (imageId, { u: userId, e: expires, s: signature }) => {
+  if (!validator.isUUID(String(imageId)) || !validator.isUUID(String(userId)) || !/^\d+$/.test(String(expires))) {
+    throw imageNotFound();
+  }
+
+  const expected = Buffer.from(sign(imageId, userId, expires));
+  const given = Buffer.from(String(signature || ''));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new ServiceError('Invalid image link', { status: 403, code: 'INVALID_SIGNATURE' });
+  }
+  if (Number(expires) < Date.now() / 1000) {
+    throw new ServiceError('This image link has expired', { status: 403, code: 'LINK_EXPIRED' });
+  }
+
+  const result = await query(
+    `SELECT ci.storage_key, ci.content_type
+     FROM chat_images ci
+     JOIN matches m ON m.id = ci.match_id
+     WHERE ci.id = $1 AND ci.deleted_at IS NULL AND (m.user1_id = $2 OR m.user2_id = $2)`,
+    [imageId, userId]
+  );
+  const image = result.rows[0];
+  if (!image) {
+    throw imageNotFound();
+  }
+
+  const file = await getStorage().get(image.storage_key);
+  if (!file) {
+    throw imageNotFound();
+  }
+  return { body: file.body, contentType: image.content_type };
+};
+
+// Leader job: delete the images of matches that ended longer ago than the
+// retention period. Rows are kept, marked deleted.
+export const purgeExpiredImages = async () => {
+  const result = await query(
+    `SELECT ci.id, ci.storage_key
+     FROM chat_images ci
+     JOIN matches m ON m.id = ci.match_id
+     WHERE ci.deleted_at IS NULL
+       AND m.ended_at IS NOT NULL
+       AND m.ended_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+     ORDER BY m.ended_at
+     LIMIT 500`,
+    [config.chat.images.retentionDays * 86400]
+  );
+
+  const storage = getStorage();
+  let purged = 0;
+  for (const image of result.rows) {
+    try {
+      await storage.delete(image.storage_key);
+      await query('UPDATE chat_images SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1', [image.id]);
+      purged += 1;
+    } catch (error) {
+      console.error(`❌ Failed to delete chat image ${image.id}:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🧹 Deleted ${purged} chat image(s) past their retention period`);
+  }
+};
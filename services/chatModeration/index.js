@@ -0,0 +1,137 @@
+import validator from 'validator';
+import config from '../../config/index.js';
+import { query, withTransaction } from '../../config/database.js';
+import { ServiceError } from '../../utils/errors.js';
+import * as builtInStages from './stages.js';
+
+// Every chat message runs through the stages named in CHAT_MODERATION_STAGES,
+// in order, before it is stored. A stage is an async function
+//   ({ content, sender, match }) -> null | { content?, masked?, reject?, strike? }
+// returning null when it has nothing to say, or
+//   content - the message rewritten (cleaned up or masked)
+//   masked  - reasons for the parts it masked; each counts as a strike
+//   reject  - a reason to refuse the whole message; counts as a strike
+//             unless strike is false (e.g. a message that is merely too long)
+// Strikes are logged with what the user typed and added to users.chat_strikes.
+const stages = new Map();
+
+export const registerStage = (name, stage) => {
+  stages.set(name, stage);
+};
+
+registerStage('encoding', builtInStages.encoding);
+registerStage('html', builtInStages.html);
+registerStage('words', builtInStages.words);
+registerStage('contact', builtInStages.contact);
+registerStage('flood', builtInStages.flood);
+
+const REJECT_MESSAGES = {
+  invalid_encoding: 'Message contains invalid characters',
+  too_long: `Messages can be at most ${config.chat.moderation.maxLength} characters`,
+  empty: 'Message cannot be empty',
+  banned_word: 'Message contains words that are not allowed',
+  link: 'Sharing links is not allowed',
+  contact_details: 'Sharing contact details is not allowed',
+  flood: 'You are sending the same message too often'
+};
+
+const loadPipeline = () => {
+  return config.chat.moderation.stages.map(name => {
+    const stage = stages.get(name);
+    if (!stage) {
+      throw new Error(`Unknown chat moderation stage "${name}"`);
+    }
+    return [name, stage];
+  });
+};
+
+const recordStrikes = async (userId, matchId, strikes, content) => {
+  if (strikes.length === 0) return;
+
+  await withTransaction(async (client) => {
+    for (const strike of strikes) {
+      await client.query(
+        `INSERT INTO chat_violations (user_id, match_id, stage, reason, action, content)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, matchId, strike.stage, strike.reason, strike.action, content.slice(0, 2000)]
+      );
+    }
+    await client.query(
+      'UPDATE users SET chat_strikes = chat_strikes + $2, last_chat_strike_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId, strikes.length]
+    );
+  });
+};
+
+const rejection = (reason) => new ServiceError(REJECT_MESSAGES[reason] || 'This message is not allowed', {
+  code: 'MESSAGE_REJECTED',
+  details: { reason }
+});
+
+// The content to store for a message, or MESSAGE_REJECTED with the reason
+export const moderateMessage = async ({ content, sender, match }) => {
+  const strikes = [];
+  let current = content;
+
+  for (const [name, stage] of loadPipeline()) {
+    const verdict = await stage({ content: current, sender, match });
+    if (!verdict) continue;
+
+    if (verdict.reject) {
+      if (verdict.strike !== false) {
+        strikes.push({ stage: name, reason: verdict.reject, action: 'rejected' });
+      }
+      await recordStrikes(sender.id, match.id, strikes, content);
+      console.log(`🚫 Message from user ${sender.id} rejected by ${name} (${verdict.reject})`);
+      throw rejection(verdict.reject);
+    }
+
+    if (verdict.content !== undefined) {
+      current = verdict.content;
+    }
+    (verdict.masked || []).forEach(reason => strikes.push({ stage: name, reason, action: 'masked' }));
+  }
+
+  await recordStrikes(sender.id, match.id, strikes, content);
+
+  // Nothing left once markup and the like were taken out
+  if (current.trim() === '') {
+    throw rejection('empty');
+  }
+  return current;
+};
+
+// A user's strike count and their latest violations, for moderators
+export const getStrikes = async (userId, { limit = 50, offset = 0 } = {}) => {
+  if (!validator.isUUID(String(userId))) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+
+  const user = await query('SELECT id, chat_strikes, last_chat_strike_at FROM users WHERE id = $1', [userId]);
+  if (user.rows.length === 0) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+
+  const violations = await query(
+    `SELECT id, match_id, stage, reason, action, content, created_at
+     FROM chat_violations WHERE user_id = $1
+     ORDER BY id DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return {
+    userId: user.rows[0].id,
+    strikes: user.rows[0].chat_strikes,
+    lastStrikeAt: user.rows[0].last_chat_strike_at,
+    violations: violations.rows.map(row => ({
+      id: Number(row.id),
+      matchId: row.match_id,
+      stage: row.stage,
+      reason: row.reason,
+      action: row.action,
+      content: row.content,
+      createdAt: row.created_at
+    }))
+  };
+};
@@ -0,0 +1,124 @@
+import config from '../../config/index.js';
+import { query } from '../../config/database.js';
+
+// Built-in moderation stages. See index.js for what a stage gets and returns.
+
+const LONE_SURROGATE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+// Invisible characters that are mostly used to slip words past filters
+const ZERO_WIDTH = /[\u200B-\u200D\u2060\uFEFF]/g;
+// Control characters other than tab and newline
+const CONTROL = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F]/g;
+
+// Well-formed text of at most CHAT_MAX_LENGTH characters, without invisible
+// or control characters and with at most one blank line in a row
+export const encoding = async ({ content }) => {
+  if (LONE_SURROGATE.test(content)) {
+    return { reject: 'invalid_encoding', strike: false };
+  }
+
+  const cleaned = content
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(ZERO_WIDTH, '')
+    .replace(CONTROL, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if ([...cleaned].length > config.chat.moderation.maxLength) {
+    return { reject: 'too_long', strike: false };
+  }
+  return { content: cleaned };
+};
+
+const SCRIPT_BLOCKS = /<(script|style|iframe|object|embed)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+const TAGS = /<\/?[a-z!][^>]*>/gi;
+
+// Drop markup, and scripts and styles with everything inside them. A lone
+// "<" (as in "<3") isn't markup and stays. Stripping repeats until nothing
+// changes, since removing one tag can join the pieces around it into another
+// (e.g. "<<b>img onerror=...>").
+export const html = async ({ content }) => {
+  let cleaned = content;
+  let previous;
+  do {
+    previous = cleaned;
+    cleaned = cleaned.replace(SCRIPT_BLOCKS, '').replace(TAGS, '');
+  } while (cleaned !== previous);
+
+  return { content: cleaned };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so a banned word inside a longer word is left alone
+const wordsRegex = (words) => {
+  if (words.length === 0) return [];
+  return [new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegex).join('|')})(?![\\p{L}\\p{N}_])`, 'giu')];
+};
+
+let wordRules = null;
+
+const loadWordRules = () => {
+  if (!wordRules) {
+    const { maskWords, rejectWords, maskPatterns, rejectPatterns } = config.chat.moderation;
+    wordRules = {
+      reject: [...wordsRegex(rejectWords), ...rejectPatterns.map(pattern => new RegExp(pattern, 'giu'))],
+      mask: [...wordsRegex(maskWords), ...maskPatterns.map(pattern => new RegExp(pattern, 'giu'))]
+    };
+  }
+  return wordRules;
+};
+
+const maskMatch = (match) => '*'.repeat([...match].length);
+
+// Banned words and patterns: refuse the message, or star them out
+export const words = async ({ content }) => {
+  const rules = loadWordRules();
+
+  if (rules.reject.some(regex => content.search(regex) !== -1)) {
+    return { reject: 'banned_word' };
+  }
+
+  const masked = rules.mask.reduce((text, regex) => text.replace(regex, maskMatch), content);
+  return masked === content ? null : { content: masked, masked: ['banned_word'] };
+};
+
+// Email addresses go first so their domain isn't taken for a link
+const CONTACT_PATTERNS = [
+  ['contact_details', /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+/giu],
+  ['link', /\b(?:https?:\/\/|www\.)\S+/giu],
+  ['link', /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|in|me|co|app|dev|gg|ly|to|tv|xyz|info|biz|link|site|online)\b(?:\/\S*)?/giu],
+  // Eight or more digits, however they are spaced or punctuated
+  ['contact_details', /\+?\d(?:[\s().-]{0,2}\d){7,}/gu]
+];
+
+// Links, email addresses and phone numbers, per CHAT_CONTACT_ACTION
+export const contact = async ({ content }) => {
+  const action = config.chat.moderation.contactAction;
+  if (action === 'allow') return null;
+
+  const found = CONTACT_PATTERNS.filter(([, regex]) => content.search(regex) !== -1);
+  if (found.length === 0) return null;
+
+  if (action === 'reject') {
+    return { reject: found[0][0] };
+  }
+
+  const masked = CONTACT_PATTERNS.reduce((text, [, regex]) => text.replace(regex, '***'), content);
+  return { content: masked, masked: [...new Set(found.map(([reason]) => reason))] };
+};
+
+// The same text, in any case, sent more than CHAT_FLOOD_REPEAT_LIMIT times
+// within the window, in any match
+export const flood = async ({ content, sender }) => {
+  const { repeatLimit, windowSeconds } = config.chat.moderation.flood;
+  if (repeatLimit === 0) return null;
+
+  const result = await query(
+    `SELECT COUNT(*)::INTEGER AS count FROM messages
+     WHERE sender_id = $1 AND lower(content) = lower($2)
+       AND created_at > CURRENT_TIMESTAMP - make_interval(secs => $3)`,
+    [sender.id, content, windowSeconds]
+  );
+  return result.rows[0].count >= repeatLimit ? { reject: 'flood' } : null;
+};
@@ -0,0 +1,147 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { query, withTransaction, createDedicatedClient } from '../config/database.js';
+
+// Identity of this API process. Queue entries and room participants are
+// tagged with it so they disappear when the node dies.
+export const nodeId = uuidv4();
+
+// Arbitrary constant for pg_try_advisory_lock; whoever holds it is the leader
+const LEADER_LOCK_ID = 72_100_002;
+
+const jobs = [];
+let leaderClient = null;
+let leader = false;
+let heartbeatTimer = null;
+let electionTimer = null;
+
+export const isLeader = () => leader;
+
+// Register a periodic job that only the elected leader runs. Jobs never
+// overlap with themselves: a tick is skipped while the previous run is busy.
+export const registerLeaderJob = (name, intervalMs, run) => {
+  const job = { name, intervalMs, run, timer: null, running: false };
+  jobs.push(job);
+  if (leader) {
+    startJob(job);
+  }
+};
+
+const startJob = (job) => {
+  job.timer = setInterval(async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`❌ Leader job ${job.name} failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  }, job.intervalMs);
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+const loseLeadership = async (reason) => {
+  if (leader) {
+    console.warn(`👑 Node ${nodeId} lost leadership: ${reason}`);
+  }
+  leader = false;
+  stopJobs();
+
+  if (leaderClient) {
+    const client = leaderClient;
+    leaderClient = null;
+    await client.end().catch(() => {});
+  }
+};
+
+// The advisory lock lives as long as the session that took it, so the leader
+// keeps a dedicated connection open. If that connection drops, Postgres
+// releases the lock and another node picks it up on its next attempt.
+const runElection = async () => {
+  try {
+    if (leader) {
+      await leaderClient.query('SELECT 1');
+      return;
+    }
+
+    if (!leaderClient) {
+      leaderClient = createDedicatedClient();
+      leaderClient.on('error', (error) => loseLeadership(error.message));
+      await leaderClient.connect();
+    }
+
+    const result = await leaderClient.query('SELECT pg_try_advisory_lock($1) AS acquired', [LEADER_LOCK_ID]);
+    if (result.rows[0].acquired) {
+      leader = true;
+      console.log(`👑 Node ${nodeId} elected leader - running ${jobs.length} periodic job(s)`);
+      jobs.forEach(startJob);
+    }
+  } catch (error) {
+    await loseLeadership(error.message);
+  }
+};
+
+const heartbeat = async () => {
+  try {
+    await query(
+      `INSERT INTO realtime_nodes (node_id, hostname) VALUES ($1, $2)
+       ON CONFLICT (node_id) DO UPDATE SET last_heartbeat = CURRENT_TIMESTAMP`,
+      [nodeId, os.hostname()]
+    );
+  } catch (error) {
+    console.error('❌ Cluster heartbeat failed:', error.message);
+  }
+};
+
+// Remove nodes that stopped sending heartbeats. Their queue entries and room
+// participants are deleted by the foreign key cascade. beforeDelete(client,
+// nodeIds) runs in the same transaction while those rows are still there.
+export const reapDeadNodes = async (beforeDelete = null) => {
+  const nodeIds = await withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT node_id FROM realtime_nodes
+       WHERE last_heartbeat < CURRENT_TIMESTAMP - make_interval(secs => $1)
+       FOR UPDATE SKIP LOCKED`,
+      [config.cluster.nodeTimeoutMs / 1000]
+    );
+    const dead = result.rows.map(row => row.node_id);
+    if (dead.length === 0) return dead;
+
+    if (beforeDelete) {
+      await beforeDelete(client, dead);
+    }
+    await client.query('DELETE FROM realtime_nodes WHERE node_id = ANY($1)', [dead]);
+    return dead;
+  });
+
+  if (nodeIds.length > 0) {
+    console.log(`🧹 Reaped ${nodeIds.length} dead node(s):`, nodeIds);
+  }
+  return nodeIds;
+};
+
+export const startCluster = async () => {
+  await heartbeat();
+  heartbeatTimer = setInterval(heartbeat, config.cluster.heartbeatIntervalMs);
+
+  await runElection();
+  electionTimer = setInterval(runElection, config.cluster.leaderRetryMs);
+};
+
+export const stopCluster = async () => {
+  clearInterval(heartbeatTimer);
+  clearInterval(electionTimer);
+  await loseLeadership('shutting down');
+
+  // Drop our own queue and room rows right away instead of waiting to be reaped
+  await query('DELETE FROM realtime_nodes WHERE node_id = $1', [nodeId]).catch(() => {});
+};
@@ -0,0 +1,127 @@
+import validator from 'validator';
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { emitToUser } from './realtime.js';
+import { LIVE_STATUSES, PARTNER_COLUMNS, partnerPayload, getParticipantMatch } from './matching.js';
+import { isBlockedPair } from './blocks.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Users who met in a call can stay in touch. Each side asks to connect on
+// their own, during the call or up to CONNECT_REQUEST_WINDOW_MINUTES after it
+// ends; the partner is never told about a request, only about the connection
+// once both have asked. Whoever doesn't ask simply isn't connected, so nobody
+// learns that they were turned down.
+
+// Connections are stored with the smaller user ID first
+const orderedPair = (userId1, userId2) => (userId1 < userId2 ? [userId1, userId2] : [userId2, userId1]);
+
+const partnerOf = (match, userId) => (match.user1_id === userId ? match.user2_id : match.user1_id);
+
+const formatConnection = (row) => ({
+  connectionId: row.id,
+  user: partnerPayload(row.partner),
+  isOnline: row.is_online,
+  lastSeen: row.last_seen,
+  matchId: row.match_id,
+  connectedAt: row.created_at
+});
+
+// The user's connections (or one of them), online ones first
+const loadConnections = async (userId, { connectionId = null, limit = 50, offset = 0 } = {}) => {
+  const result = await query(
+    `SELECT c.id, c.match_id, c.created_at, u.is_online, u.last_seen,
+       (SELECT row_to_json(p) FROM (SELECT ${PARTNER_COLUMNS} FROM users WHERE id = u.id) p) AS partner
+     FROM connections c
+     JOIN users u ON u.id = CASE WHEN c.user1_id = $1 THEN c.user2_id ELSE c.user1_id END
+     WHERE (c.user1_id = $1 OR c.user2_id = $1)
+       AND ($2::uuid IS NULL OR c.id = $2)
+     ORDER BY u.is_online DESC, c.created_at DESC, c.id DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, connectionId, limit, offset]
+  );
+  return result.rows.map(formatConnection);
+};
+
+export const listConnections = (userId, { limit = 50, offset = 0 } = {}) => loadConnections(userId, { limit, offset });
+
+const isConnected = async (userId1, userId2) => {
+  const [user1Id, user2Id] = orderedPair(userId1, userId2);
+  const result = await query('SELECT 1 FROM connections WHERE user1_id = $1 AND user2_id = $2', [user1Id, user2Id]);
+  return result.rows.length > 0;
+};
+
+// Ask to connect with the partner of a call. `connected` is true once both
+// have asked (or the two were already connected); until then the request
+// just waits, and the partner hears nothing of it.
+export const requestConnect = async (userId, matchId) => {
+  const match = await getParticipantMatch(matchId, userId);
+  if (!match.connected_at) {
+    throw new ServiceError('This call never connected', { status: 409, code: 'CALL_NOT_CONNECTED' });
+  }
+  const partnerId = partnerOf(match, userId);
+
+  const created = await withTransaction(async (client) => {
+    // Both users asking at once must not miss each other
+    const locked = await client.query(
+      `SELECT status, ended_at > CURRENT_TIMESTAMP - make_interval(mins => $2) AS in_window
+       FROM matches WHERE id = $1 FOR UPDATE`,
+      [match.id, config.connections.requestWindowMinutes]
+    );
+    const { status, in_window: inWindow } = locked.rows[0];
+    if (!LIVE_STATUSES.includes(status) && !inWindow) {
+      throw new ServiceError('It is too late to connect after this call', { status: 409, code: 'CONNECT_WINDOW_CLOSED' });
+    }
+
+    await client.query(
+      'INSERT INTO connect_requests (match_id, requester_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [match.id, userId]
+    );
+    const other = await client.query(
+      'SELECT 1 FROM connect_requests WHERE match_id = $1 AND requester_id = $2',
+      [match.id, partnerId]
+    );
+    if (other.rows.length === 0 || await isBlockedPair(client, userId, partnerId)) {
+      return null;
+    }
+
+    const [user1Id, user2Id] = orderedPair(userId, partnerId);
+    const inserted = await client.query(
+      `INSERT INTO connections (user1_id, user2_id, match_id) VALUES ($1, $2, $3)
+       ON CONFLICT (user1_id, user2_id) DO NOTHING
+       RETURNING id`,
+      [user1Id, user2Id, match.id]
+    );
+    return inserted.rows[0] || null;
+  });
+
+  if (created) {
+    console.log(`🤝 Users ${userId} and ${partnerId} connected after match ${match.id}`);
+    for (const viewerId of [userId, partnerId]) {
+      const [connection] = await loadConnections(viewerId, { connectionId: created.id, limit: 1 });
+      emitToUser(viewerId, 'connectionCreated', { connection });
+    }
+    return { matchId: match.id, connected: true };
+  }
+
+  // Blocking drops a connection, so a blocked pair reads as not connected
+  // without either side being told why
+  return { matchId: match.id, connected: await isConnected(userId, partnerId) };
+};
+
+// Unfriend. Returns false if the two weren't connected.
+export const removeConnection = async (userId, userIdParam) => {
+  if (!validator.isUUID(String(userIdParam))) return false;
+  const otherUserId = String(userIdParam).toLowerCase();
+
+  const [user1Id, user2Id] = orderedPair(userId, otherUserId);
+  const result = await query(
+    'DELETE FROM connections WHERE user1_id = $1 AND user2_id = $2 RETURNING id',
+    [user1Id, user2Id]
+  );
+  if (result.rows.length === 0) return false;
+
+  emitToUser(userId, 'connectionRemoved', { userId: otherUserId });
+  emitToUser(otherUserId, 'connectionRemoved', { userId });
+  console.log(`👋 User ${userId} removed connection with ${otherUserId}`);
+  return true;
+};
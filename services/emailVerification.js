@@ -0,0 +1,87 @@
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { ServiceError } from '../utils/errors.js';
+import { hashToken, generateOpaqueToken } from '../utils/crypto.js';
+import { sendVerificationEmail } from './emails.js';
+
+// Whether unverified accounts are kept out of a feature ('matching', 'purchases')
+export const isVerificationRequired = (feature) => {
+  return config.auth.emailVerification.requiredFor.includes(feature);
+};
+
+// Generate a fresh verification token for an unverified user and email it.
+// Returns false if the user is already verified.
+export const sendVerification = async (userId) => {
+  const token = generateOpaqueToken(32);
+
+  const result = await query(
+    `UPDATE users
+     SET verification_token = $2,
+         verification_expires = CURRENT_TIMESTAMP + make_interval(hours => $3),
+         verification_sent_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND is_verified = false
+     RETURNING id, email, name`,
+    [userId, hashToken(token), config.auth.emailVerification.ttlHours]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await sendVerificationEmail(result.rows[0], token);
+  return true;
+};
+
+// Resend the verification email, at most once per cooldown window
+export const resendVerification = async (userId) => {
+  const result = await query(
+    `SELECT is_verified,
+            GREATEST(0, CEIL(EXTRACT(epoch FROM (verification_sent_at + make_interval(secs => $2) - CURRENT_TIMESTAMP))))::int AS retry_after
+     FROM users WHERE id = $1`,
+    [userId, config.auth.emailVerification.resendCooldownSeconds]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+
+  const { is_verified: isVerified, retry_after: retryAfter } = result.rows[0];
+
+  if (isVerified) {
+    throw new ServiceError('Email is already verified', { status: 409, code: 'ALREADY_VERIFIED' });
+  }
+
+  if (retryAfter > 0) {
+    throw new ServiceError(`Please wait ${retryAfter} seconds before requesting another email`, {
+      status: 429,
+      code: 'VERIFICATION_THROTTLED',
+      details: { retryAfter }
+    });
+  }
+
+  await sendVerification(userId);
+};
+
+// Mark the account owning this token as verified
+export const verifyEmail = async (token) => {
+  const result = await query(
+    `UPDATE users
+     SET is_verified = true, verification_token = NULL, verification_expires = NULL
+     WHERE verification_token = $1 AND verification_expires > CURRENT_TIMESTAMP
+     RETURNING id, email, name, is_verified`,
+    [hashToken(token)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('Verification link is invalid or has expired', { status: 400, code: 'INVALID_VERIFICATION_TOKEN' });
+  }
+
+  console.log(`✉️  Email verified for user ${result.rows[0].id}`);
+  return result.rows[0];
+};
+
+// Fresh read of the flag, for long-lived sockets whose user snapshot may be stale
+export const isUserVerified = async (userId) => {
+  const result = await query('SELECT is_verified FROM users WHERE id = $1', [userId]);
+  return result.rows.length > 0 && result.rows[0].is_verified;
+};
@@ -0,0 +1,50 @@
+import config from '../config/index.js';
+import { sendMail } from './mailer.js';
+
+// Transactional email templates
+
+export const sendPasswordResetEmail = (user, token) => {
+  const link = `${config.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your SwipX password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your SwipX password. Use the link below to choose a new one:',
+      link,
+      '',
+      `This link expires in ${config.auth.passwordResetTtlMinutes} minutes and can only be used once.`,
+      "If you didn't ask for this, you can safely ignore this email."
+    ].join('\n')
+  });
+};
+
+export const sendPasswordChangedEmail = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your SwipX password was changed',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Your SwipX password was just changed and all devices were signed out.',
+      "If this wasn't you, reset your password immediately and contact support."
+    ].join('\n')
+  });
+};
+
+export const sendVerificationEmail = (user, token) => {
+  const link = `${config.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your SwipX email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Welcome to SwipX! Please confirm your email address using the link below:',
+      link,
+      '',
+      `This link expires in ${config.auth.emailVerification.ttlHours} hours.`
+    ].join('\n')
+  });
+};
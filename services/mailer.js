@@ -0,0 +1,55 @@
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/index.js';
+
+// Mail delivery goes through a transport: any object with an async
+// `send({ from, to, subject, text, html })` method. The built-in console and
+// file transports are stand-ins for development and tests; a real provider
+// can be plugged in with registerTransport() and selected via MAIL_TRANSPORT.
+const transportFactories = new Map();
+
+export const registerTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+};
+
+registerTransport('console', () => ({
+  async send(message) {
+    console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+}));
+
+registerTransport('file', ({ fileDir }) => ({
+  async send(message) {
+    await fs.mkdir(fileDir, { recursive: true });
+    const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const id = `${Date.now()}-${safeRecipient}`;
+    await fs.writeFile(
+      path.join(fileDir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  }
+}));
+
+let activeTransport = null;
+
+// Override the transport directly (e.g. from tests)
+export const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories.get(config.mail.transport);
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${config.mail.transport}"`);
+    }
+    activeTransport = factory(config.mail);
+  }
+  return activeTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({ from: config.mail.from, to, subject, text, html });
+};
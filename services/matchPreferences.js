@@ -0,0 +1,113 @@
+import config from '../config/index.js';
+import { ServiceError } from '../utils/errors.js';
+
+const GENDERS = ['male', 'female', 'other'];
+const MIN_AGE = 18;
+const MAX_AGE = 100;
+const MAX_COUNTRIES = 20;
+
+const normalizeCountryList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_COUNTRIES || value.some(item => typeof item !== 'string')) {
+    throw new ServiceError(`${field} must be a list of at most ${MAX_COUNTRIES} country names`, {
+      code: 'INVALID_PREFERENCES'
+    });
+  }
+  return [...new Set(value.map(item => item.trim().toLowerCase()).filter(Boolean))];
+};
+
+// Validate the preferences sent with joinMatchingQueue and reduce them to the
+// filters the matcher understands. Gender filtering is a premium feature, as on
+// /find-match; premium users fall back to their saved preferred_gender.
+export const normalizePreferences = (raw, user) => {
+  const preferences = raw && typeof raw === 'object' ? raw : {};
+  const normalized = {};
+
+  const preferredGender = preferences.preferredGender ?? (user.is_premium ? user.preferred_gender : null);
+  if (preferredGender) {
+    if (!GENDERS.includes(preferredGender)) {
+      throw new ServiceError('preferredGender must be male, female, or other', { code: 'INVALID_PREFERENCES' });
+    }
+    if (user.is_premium) {
+      normalized.preferredGender = preferredGender;
+    }
+  }
+
+  if (preferences.ageMin !== undefined || preferences.ageMax !== undefined) {
+    const ageMin = preferences.ageMin === undefined ? MIN_AGE : Number(preferences.ageMin);
+    const ageMax = preferences.ageMax === undefined ? MAX_AGE : Number(preferences.ageMax);
+    if (!Number.isInteger(ageMin) || !Number.isInteger(ageMax) || ageMin < MIN_AGE || ageMax > MAX_AGE || ageMin > ageMax) {
+      throw new ServiceError(`Age range must be whole numbers between ${MIN_AGE} and ${MAX_AGE}`, { code: 'INVALID_PREFERENCES' });
+    }
+    normalized.ageMin = ageMin;
+    normalized.ageMax = ageMax;
+  }
+
+  const countries = normalizeCountryList(preferences.countries, 'countries');
+  const excludeCountries = normalizeCountryList(preferences.excludeCountries, 'excludeCountries');
+  if (countries.length > 0) normalized.countries = countries;
+  if (excludeCountries.length > 0) normalized.excludeCountries = excludeCountries;
+
+  if (preferences.language !== undefined && preferences.language !== null && preferences.language !== '') {
+    if (typeof preferences.language !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z]{2})?$/.test(preferences.language)) {
+      throw new ServiceError('language must be a language code such as "en" or "pt-BR"', { code: 'INVALID_PREFERENCES' });
+    }
+    normalized.language = preferences.language.toLowerCase();
+  }
+
+  return normalized;
+};
+
+// Filters a set of preferences actually uses
+export const activeFilters = (preferences) => {
+  const filters = [];
+  if (preferences.preferredGender) filters.push('gender');
+  if (preferences.ageMin !== undefined) filters.push('age');
+  if (preferences.countries || preferences.excludeCountries) filters.push('country');
+  if (preferences.language) filters.push('language');
+  return filters;
+};
+
+// Filters that no longer apply because the user has waited long enough
+export const relaxedFilters = (entry, now = Date.now()) => {
+  const waited = now - entry.joinedAt;
+  const used = activeFilters(entry.preferences);
+  return config.matching.relaxSteps
+    .filter(step => waited >= step.afterMs && used.includes(step.filter))
+    .map(step => step.filter);
+};
+
+// Does `candidate` satisfy what `seeker` asked for, ignoring relaxed filters?
+const satisfies = (seeker, candidate, relaxed) => {
+  const preferences = seeker.preferences;
+  const partner = candidate.user;
+
+  if (preferences.preferredGender && !relaxed.includes('gender') && partner.gender !== preferences.preferredGender) {
+    return false;
+  }
+
+  if (preferences.ageMin !== undefined && !relaxed.includes('age') &&
+      (partner.age < preferences.ageMin || partner.age > preferences.ageMax)) {
+    return false;
+  }
+
+  if (!relaxed.includes('country')) {
+    const country = (partner.country || '').toLowerCase();
+    if (preferences.countries && !preferences.countries.includes(country)) return false;
+    if (preferences.excludeCountries && preferences.excludeCountries.includes(country)) return false;
+  }
+
+  if (preferences.language && !relaxed.includes('language') &&
+      (partner.language || '').toLowerCase().split('-')[0] !== preferences.language.split('-')[0]) {
+    return false;
+  }
+
+  return true;
+};
+
+// Two queue entries can be matched only if each satisfies the other's
+// (possibly relaxed) preferences
+export const isCompatible = (entryA, entryB, now = Date.now()) => {
+  return satisfies(entryA, entryB, relaxedFilters(entryA, now)) &&
+    satisfies(entryB, entryA, relaxedFilters(entryB, now));
+};
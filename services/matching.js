@@ -0,0 +1,685 @@
+import validator from 'validator';
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { getIO, userRoom, emitToUser } from './realtime.js';
+import * as matchingQueue from './matchingQueue.js';
+import * as callMeter from './callMeter.js';
+import * as callOutcomes from './callOutcomes.js';
+import * as blocks from './blocks.js';
+import * as videoRooms from './videoRooms.js';
+import * as cluster from './cluster.js';
+import { REPUTATION_COLUMNS, reputationScore, recordRating, canPair, pairingRank } from './reputation.js';
+import { normalizePreferences, isCompatible, activeFilters, relaxedFilters } from './matchPreferences.js';
+import { isVerificationRequired, isUserVerified } from './emailVerification.js';
+import { ServiceError } from '../utils/errors.js';
+
+// The one matcher behind both /api/matching and the Socket.IO queue. Every
+// match is a row in `matches` with a room ID, so REST and socket clients see
+// the same state whichever way they joined.
+
+export const LIVE_STATUSES = ['pending', 'active', 'waiting', 'connected'];
+
+// How long after a call ends its participants may still report on it
+const REPORT_WINDOW_SECONDS = 60;
+// End reasons the partner only sees as a plain 'ended'
+const PRIVATE_END_REASONS = ['blocked', 'account_restricted'];
+
+const QUEUE_USER_COLUMNS = `id, name, age, country, gender, preferred_gender, avatar_url, is_premium, language, tokens,
+  queue_suspended_until, queue_suspended_until > CURRENT_TIMESTAMP AS queue_suspended, ${REPUTATION_COLUMNS}`;
+export const PARTNER_COLUMNS = 'id, name, gender, age, country, avatar_url, is_premium';
+
+// The public profile a user's partners get to see
+export const partnerPayload = (user) => ({
+  id: user.id,
+  name: user.name,
+  gender: user.gender,
+  age: user.age,
+  country: user.country,
+  avatar_url: user.avatar_url,
+  is_premium: user.is_premium
+});
+
+// Why a match ended, as one of its users may see it. Nobody is told they
+// were blocked, or why their partner was removed.
+export const shownEndReason = (reason, endedBy, viewerId) => {
+  return PRIVATE_END_REASONS.includes(reason) && endedBy !== viewerId ? 'ended' : reason;
+};
+
+// Socket entries are told on their own socket, REST entries on any socket
+// the user happens to have open
+const notifyEntry = (entry, event, payload) => {
+  const io = getIO();
+  if (!io) return;
+  io.to(entry.socketId || userRoom(entry.userId)).emit(event, payload);
+};
+
+const loadPartner = async (partnerId) => {
+  const result = await query(`SELECT ${PARTNER_COLUMNS} FROM users WHERE id = $1`, [partnerId]);
+  return result.rows[0] ? partnerPayload(result.rows[0]) : null;
+};
+
+// A match row as seen by one of its two users
+const describeMatch = async (row, userId) => {
+  const partnerId = row.user1_id === userId ? row.user2_id : row.user1_id;
+  const unread = await query(
+    'SELECT COUNT(*)::INTEGER AS count FROM messages WHERE match_id = $1 AND sender_id <> $2 AND NOT is_read',
+    [row.id, userId]
+  );
+  return {
+    matchId: row.id,
+    roomId: row.room_id,
+    status: row.status,
+    createdAt: row.created_at,
+    connectedAt: row.connected_at,
+    partner: await loadPartner(partnerId),
+    isInitiator: row.user1_id === userId,
+    unreadCount: unread.rows[0].count
+  };
+};
+
+// The match a user is currently in, if any
+export const getLiveMatch = async (userId) => {
+  const result = await query(
+    `SELECT * FROM matches
+     WHERE (user1_id = $1 OR user2_id = $1) AND status = ANY($2)
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, LIVE_STATUSES]
+  );
+  return result.rows[0] ? describeMatch(result.rows[0], userId) : null;
+};
+
+// A match row, provided the user is one of its two participants
+export const getParticipantMatch = async (matchId, userId) => {
+  if (!validator.isUUID(String(matchId))) {
+    throw new ServiceError('Match not found', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+
+  const result = await query(
+    'SELECT * FROM matches WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)',
+    [matchId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('Match not found or you are not part of it', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+  return result.rows[0];
+};
+
+// The live match behind a video room, provided the user is part of it
+export const getRoomMatch = async (roomId, userId) => {
+  const result = await query(
+    `SELECT * FROM matches
+     WHERE room_id = $1 AND (user1_id = $2 OR user2_id = $2) AND status = ANY($3)`,
+    [roomId, userId, LIVE_STATUSES]
+  );
+  return result.rows[0] || null;
+};
+
+// Tell a waiting user how the search is going, including which of their
+// filters are currently relaxed
+const emitSearchingStatus = (entry, queueSize) => {
+  const relaxed = relaxedFilters(entry);
+  notifyEntry(entry, 'matchingStatus', {
+    status: 'searching',
+    message: relaxed.length > 0
+      ? `Still looking... widened your search (${relaxed.join(', ')})`
+      : `Looking for match... ${queueSize} users in queue`,
+    queueSize,
+    activeFilters: activeFilters(entry.preferences).filter(filter => !relaxed.includes(filter)),
+    relaxedFilters: relaxed
+  });
+};
+
+// Thrown inside the match transaction to roll back the queue claim
+const abortMatch = (reason, userIds = []) => Object.assign(new Error(`match aborted: ${reason}`), {
+  matchAborted: reason,
+  userIds
+});
+
+// Take both users out of the queue, check they can pay for the first slice
+// of the call and create the match row in one transaction, then notify them.
+// Nothing is charged until the call connects. Returns null if the pair can't be
+// matched after all; users that can no longer be matched are dropped from
+// the queue, everyone else keeps their place.
+const createMatch = async (entry1, entry2) => {
+  const matchId = uuidv4();
+  const roomId = `room-${matchId}`;
+  const cost = config.calls.tokensPerSlice;
+
+  let row;
+  try {
+    row = await withTransaction(async (client) => {
+      const claimed = await matchingQueue.claimPair(client, entry1.userId, entry2.userId);
+      if (!claimed) {
+        throw abortMatch('claimed');
+      }
+
+      // A block made after the queue was read; both keep waiting for someone else
+      if (await blocks.isBlockedPair(client, entry1.userId, entry2.userId)) {
+        throw abortMatch('blocked');
+      }
+
+      // Lock both users in a fixed order so two matches can't deadlock, and
+      // find out who couldn't pay for the start of the call
+      const users = await client.query(
+        'SELECT id, tokens FROM users WHERE id IN ($1, $2) ORDER BY id FOR UPDATE',
+        [entry1.userId, entry2.userId]
+      );
+      const broke = users.rows.filter(user => user.tokens < cost).map(user => user.id);
+      if (broke.length > 0) {
+        throw abortMatch('tokens', broke);
+      }
+
+      const live = await client.query(
+        `SELECT user1_id, user2_id FROM matches
+         WHERE (user1_id IN ($1, $2) OR user2_id IN ($1, $2)) AND status = ANY($3)`,
+        [entry1.userId, entry2.userId, LIVE_STATUSES]
+      );
+      if (live.rows.length > 0) {
+        const busy = live.rows.flatMap(match => [match.user1_id, match.user2_id]);
+        throw abortMatch('busy', [entry1.userId, entry2.userId].filter(id => busy.includes(id)));
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO matches (id, user1_id, user2_id, status, room_id)
+         VALUES ($1, $2, $3, 'waiting', $4)
+         RETURNING *`,
+        [matchId, entry1.userId, entry2.userId, roomId]
+      );
+
+      return inserted.rows[0];
+    });
+  } catch (error) {
+    if (!error.matchAborted) throw error;
+
+    if (error.matchAborted === 'claimed' || error.matchAborted === 'blocked') {
+      console.log(`⚠️ Pair ${entry1.user.name} <-> ${entry2.user.name} not matched (${error.matchAborted})`);
+      return null;
+    }
+
+    for (const entry of [entry1, entry2].filter(entry => error.userIds.includes(entry.userId))) {
+      await matchingQueue.dequeue(entry.userId, entry.socketId);
+      if (error.matchAborted === 'tokens') {
+        notifyEntry(entry, 'matchingError', {
+          code: 'INSUFFICIENT_TOKENS',
+          message: `Insufficient tokens. You need at least ${cost} token(s) to start a video call.`
+        });
+      }
+    }
+    console.log(`⚠️ Pair ${entry1.user.name} <-> ${entry2.user.name} not matched (${error.matchAborted})`);
+    return null;
+  }
+
+  // Notify both users about the match. Socket IDs are rooms too, so this
+  // reaches the socket whichever node it is connected to.
+  notifyEntry(entry1, 'matchFound', {
+    matchId,
+    roomId,
+    status: row.status,
+    partner: partnerPayload(entry2.user),
+    isInitiator: true,
+    unreadCount: 0
+  });
+  notifyEntry(entry2, 'matchFound', {
+    matchId,
+    roomId,
+    status: row.status,
+    partner: partnerPayload(entry1.user),
+    isInitiator: false,
+    unreadCount: 0
+  });
+
+  console.log(`🎉 Match created: ${entry1.user.name} <-> ${entry2.user.name} (Match: ${matchId})`);
+  return row;
+};
+
+// The partner to try for `seeker`: compatible both ways and not blocked,
+// preferring someone of the same reputation standing, longest waiting first
+const pickCandidate = (seeker, candidates, blocked, now) => {
+  const eligible = candidates.filter(entry => entry.userId !== seeker.userId &&
+    !blocked.has(seeker.userId, entry.userId) &&
+    isCompatible(seeker, entry, now) &&
+    canPair(seeker, entry, now));
+  return eligible.find(entry => pairingRank(seeker, entry) === 0) || eligible[0] || null;
+};
+
+// Find a mutually compatible partner for one user, longest waiting first.
+// Returns the match from that user's side, or null if they keep waiting.
+export const findMatch = async (userId) => {
+  const entries = await matchingQueue.listEntries();
+  const waitingUser = entries.find(entry => entry.userId === userId);
+
+  if (!waitingUser) {
+    console.log(`⚠️ User ${userId} not found in waiting queue`);
+    return null;
+  }
+
+  console.log(`🔍 Looking for match for ${waitingUser.user.name}. ${entries.length} users in queue.`);
+
+  const now = Date.now();
+  const blocked = await blocks.loadBlockedPairs(entries.map(entry => entry.userId));
+  const candidate = pickCandidate(waitingUser, entries, blocked, now);
+
+  if (candidate) {
+    console.log(`🎯 Found potential match: ${candidate.user.name}`);
+    const row = await createMatch(waitingUser, candidate);
+    if (row) {
+      return describeMatch(row, userId);
+    }
+  }
+
+  console.log(`⏳ No available match for ${waitingUser.user.name}. Staying in queue with ${entries.length} total users.`);
+  emitSearchingStatus(waitingUser, entries.length);
+  return null;
+};
+
+// Put a user in the queue and try to match them right away. Users already in
+// a live match get that match back instead.
+export const joinQueue = async ({ userId, socketId = null, preferences = {} }) => {
+  const existing = await getLiveMatch(userId);
+  if (existing) {
+    return { match: existing, isExistingMatch: true };
+  }
+
+  // Unverified accounts may be kept out of matching by policy
+  if (isVerificationRequired('matching') && !(await isUserVerified(userId))) {
+    throw new ServiceError('Please verify your email address before starting a video call.', {
+      status: 403,
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  const userResult = await query(`SELECT ${QUEUE_USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  const user = userResult.rows[0];
+  if (!user) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+
+  if (user.queue_suspended) {
+    throw new ServiceError('You are temporarily suspended from matching.', {
+      status: 403,
+      code: 'QUEUE_SUSPENDED',
+      details: { until: user.queue_suspended_until }
+    });
+  }
+
+  if (user.tokens < config.calls.tokensPerSlice) {
+    throw new ServiceError(`Insufficient tokens. You need at least ${config.calls.tokensPerSlice} token(s) to start a video call.`, {
+      status: 402,
+      code: 'INSUFFICIENT_TOKENS'
+    });
+  }
+
+  // The score travels with the queue entry for the matchers only
+  user.reputation = reputationScore(user);
+
+  const normalizedPreferences = normalizePreferences(preferences, user);
+  await matchingQueue.enqueue({ user, socketId, preferences: normalizedPreferences });
+
+  const match = await findMatch(userId);
+  return {
+    match,
+    isExistingMatch: false,
+    queueSize: await matchingQueue.queueSize(),
+    activeFilters: activeFilters(normalizedPreferences)
+  };
+};
+
+// Leave the queue. With a socket ID only that socket's entry is removed.
+export const leaveQueue = async (userId, socketId = null) => {
+  return matchingQueue.dequeue(userId, socketId);
+};
+
+// Where a user stands in the queue, or null if they aren't waiting
+export const getQueueStatus = async (userId) => {
+  const entry = await matchingQueue.getEntry(userId);
+  if (!entry) return null;
+
+  const relaxed = relaxedFilters(entry);
+  return {
+    status: 'searching',
+    joinedAt: new Date(entry.joinedAt).toISOString(),
+    activeFilters: activeFilters(entry.preferences).filter(filter => !relaxed.includes(filter)),
+    relaxedFilters: relaxed
+  };
+};
+
+// Let users know when more of their filters get relaxed by waiting longer
+const refreshRelaxation = async (entries, queueSize) => {
+  for (const entry of entries) {
+    const relaxed = relaxedFilters(entry);
+    if (relaxed.join(',') === entry.relaxedFilters.join(',')) continue;
+
+    await matchingQueue.setRelaxedFilters(entry.userId, entry.socketId, relaxed);
+    emitSearchingStatus(entry, queueSize);
+    console.log(`🪢 Relaxed filters for ${entry.user.name}: ${relaxed.join(', ')}`);
+  }
+};
+
+// Process entire matching queue to find any possible matches
+export const processQueue = async () => {
+  try {
+    const entries = await matchingQueue.listEntries();
+    const processedUsers = new Set();
+    let matchesFound = 0;
+    const now = Date.now();
+    const blocked = await blocks.loadBlockedPairs(entries.map(entry => entry.userId));
+
+    if (entries.length >= 2) {
+      console.log(`🔄 Processing matching queue with ${entries.length} users`);
+    }
+
+    // Try to match users in pairs, longest waiting first
+    for (let i = 0; i < entries.length; i++) {
+      if (processedUsers.has(entries[i].userId)) continue;
+
+      const waiting = entries.slice(i + 1).filter(entry => !processedUsers.has(entry.userId));
+      const partner = pickCandidate(entries[i], waiting, blocked, now);
+      if (!partner) continue;
+
+      console.log(`🎯 Processing queue match: ${entries[i].user.name} <-> ${partner.user.name}`);
+
+      const row = await createMatch(entries[i], partner);
+
+      // If the match failed at least one of them can't be matched right
+      // now; whoever is still waiting gets another chance on the next run
+      processedUsers.add(entries[i].userId);
+      if (row) {
+        processedUsers.add(partner.userId);
+        matchesFound++;
+      }
+    }
+
+    if (entries.length >= 2) {
+      console.log(`✅ Queue processing complete. ${matchesFound} matches created.`);
+    }
+
+    await refreshRelaxation(entries.filter(entry => !processedUsers.has(entry.userId)), entries.length - matchesFound * 2);
+
+  } catch (error) {
+    console.error('❌ Error processing matching queue:', error);
+  }
+};
+
+// Drop users that waited too long and tell them to try again
+export const expireWaitingUsers = async () => {
+  const expired = await matchingQueue.removeExpired(config.matching.maxWaitMs);
+
+  expired.forEach(entry => {
+    notifyEntry(entry, 'matchingTimeout', {
+      message: 'No matches found. Please try again.'
+    });
+  });
+
+  if (expired.length > 0) {
+    console.log(`⏰ Removed ${expired.length} user(s) from the queue after waiting too long`);
+  }
+};
+
+// End matches whose call never connected, e.g. because one side went away
+// before joining the video room. Otherwise they stay live and both users
+// keep being handed the stale match.
+export const expireUnjoinedMatches = async () => {
+  const result = await query(
+    `SELECT * FROM matches
+     WHERE status = ANY($1) AND status <> 'connected'
+       AND created_at < CURRENT_TIMESTAMP - make_interval(secs => $2)`,
+    [LIVE_STATUSES, config.matching.joinTimeoutMs / 1000]
+  );
+
+  for (const match of result.rows) {
+    await finishMatch(match, null, 'join_timeout');
+    await closeCallRoom(match.room_id);
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`⏰ Ended ${result.rows.length} match(es) whose call never connected`);
+  }
+};
+
+// Mark a match as connected once the call is up. Billing starts here: the
+// first slice is charged right away, and a call nobody can pay for ends.
+export const markConnected = async (matchId, userId) => {
+  const match = await getParticipantMatch(matchId, userId);
+
+  const result = await query(
+    `UPDATE matches SET status = 'connected', connected_at = COALESCE(connected_at, CURRENT_TIMESTAMP)
+     WHERE id = $1 AND status IN ('pending', 'active', 'waiting')
+     RETURNING status`,
+    [match.id]
+  );
+
+  if (result.rows.length === 0 && match.status !== 'connected') {
+    throw new ServiceError('Match has already ended', { status: 409, code: 'MATCH_ENDED' });
+  }
+
+  if (result.rows.length > 0) {
+    [match.user1_id, match.user2_id].forEach(participantId => {
+      emitToUser(participantId, 'matchUpdated', { matchId: match.id, roomId: match.room_id, status: 'connected' });
+    });
+    console.log(`📱 Match ${match.id} connected`);
+
+    const status = await meterCall(match.id);
+    return { matchId: match.id, status };
+  }
+
+  return { matchId: match.id, status: 'connected' };
+};
+
+// End a match row and tell both users. endedBy is null when staff or the
+// server end it.
+const finishMatch = async (match, userId, reason) => {
+  const result = await query('SELECT end_match($1, $2, $3) AS ended', [match.id, userId, reason]);
+  if (!result.rows[0].ended) {
+    return { matchId: match.id, status: 'ended', alreadyEnded: true };
+  }
+
+  await announceMatchEnd(match, userId, reason);
+  return { matchId: match.id, status: 'ended', alreadyEnded: false };
+};
+
+// What follows a match row being ended: both users are told, and the call
+// is settled
+const announceMatchEnd = async (match, userId, reason) => {
+  [match.user1_id, match.user2_id].forEach(participantId => {
+    emitToUser(participantId, 'matchEnded', {
+      matchId: match.id,
+      roomId: match.room_id,
+      endedBy: userId,
+      reason: shownEndReason(reason, userId, participantId)
+    });
+  });
+  console.log(`🏁 Match ${match.id} ended by ${userId ? `user ${userId}` : 'the server'} (${reason})`);
+
+  // Refund failed and very short calls
+  try {
+    await callOutcomes.settleCall(match.id);
+  } catch (error) {
+    console.error(`❌ Failed to settle call ${match.id}:`, error);
+  }
+};
+
+// End a match on behalf of one of its users. Ending an ended match is a no-op.
+export const endMatch = async (matchId, userId, reason = 'ended') => {
+  const match = await getParticipantMatch(matchId, userId);
+  return finishMatch(match, userId, reason);
+};
+
+// Take everyone out of the video room of a call the server ended
+const closeCallRoom = async (roomId) => {
+  getIO()?.in(roomId).socketsLeave(roomId);
+  await videoRooms.closeRoom(roomId);
+};
+
+// A client's report on whether the media connection came up. A failure ends
+// the call; a report that arrives just after the end still counts towards
+// the refund decision.
+export const reportCallOutcome = async (matchId, userId, outcome, reason = null) => {
+  const match = await getParticipantMatch(matchId, userId);
+
+  const state = await query(
+    `SELECT status = ANY($2) AS live, ended_at > CURRENT_TIMESTAMP - make_interval(secs => $3) AS recent
+     FROM matches WHERE id = $1`,
+    [match.id, LIVE_STATUSES, REPORT_WINDOW_SECONDS]
+  );
+  const { live, recent } = state.rows[0];
+  if (!live && !recent) {
+    throw new ServiceError('This call ended too long ago to report on', { status: 409, code: 'REPORT_TOO_LATE' });
+  }
+
+  await callOutcomes.recordReport(match.id, userId, outcome, reason ? String(reason).slice(0, 100) : null);
+
+  if (outcome === 'failed' && live) {
+    await endMatch(match.id, userId, 'call_failed');
+    await closeCallRoom(match.room_id);
+  } else if (!live) {
+    await callOutcomes.settleCall(match.id);
+  }
+
+  return { matchId: match.id, outcome };
+};
+
+// Rate the partner of a call that has ended, 1-5, once per match. The
+// rating only feeds the partner's reputation.
+export const rateCall = async (matchId, userId, rating) => {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new ServiceError('Rating must be a whole number from 1 to 5', { code: 'INVALID_RATING' });
+  }
+
+  const match = await getParticipantMatch(matchId, userId);
+  if (LIVE_STATUSES.includes(match.status)) {
+    throw new ServiceError('You can rate a call once it has ended', { status: 409, code: 'MATCH_NOT_ENDED' });
+  }
+  if (!match.connected_at) {
+    throw new ServiceError('This call never connected', { status: 409, code: 'CALL_NOT_CONNECTED' });
+  }
+
+  const side = match.user1_id === userId ? 'user1' : 'user2';
+  const partnerId = side === 'user1' ? match.user2_id : match.user1_id;
+
+  const rated = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE matches SET rating_${side} = $2, rated_at_${side} = CURRENT_TIMESTAMP
+       WHERE id = $1 AND rating_${side} IS NULL
+       RETURNING id`,
+      [match.id, rating]
+    );
+    if (result.rows.length === 0) return false;
+
+    await recordRating(client, partnerId, rating);
+    return true;
+  });
+
+  if (!rated) {
+    throw new ServiceError('You have already rated this call', { status: 409, code: 'ALREADY_RATED' });
+  }
+
+  console.log(`⭐ User ${userId} rated match ${match.id}`);
+  return { matchId: match.id, rating };
+};
+
+// A participant left the call's video room or lost their connection; the
+// call ends for both, so metering stops with it
+export const leaveCall = async (matchId, userId) => {
+  const match = await getParticipantMatch(matchId, userId);
+  const outcome = await finishMatch(match, userId, 'left');
+  await closeCallRoom(match.room_id);
+  return outcome;
+};
+
+// Block the partner of a live match and end the call at once
+export const blockPartner = async (matchId, userId, reason = null) => {
+  const match = await getParticipantMatch(matchId, userId);
+  const partnerId = match.user1_id === userId ? match.user2_id : match.user1_id;
+
+  await blocks.blockUser(userId, partnerId, reason);
+  await endMatch(match.id, userId, 'blocked');
+  await closeCallRoom(match.room_id);
+
+  return { matchId: match.id, blockedUserId: partnerId };
+};
+
+// Take a user out of matching altogether: off the queue and out of any live
+// call, whose room is closed
+export const removeFromMatching = async (userId, reason) => {
+  await matchingQueue.dequeue(userId);
+
+  const result = await query(
+    'SELECT id, room_id FROM matches WHERE (user1_id = $1 OR user2_id = $1) AND status = ANY($2)',
+    [userId, LIVE_STATUSES]
+  );
+  for (const match of result.rows) {
+    await endMatch(match.id, userId, reason);
+    await closeCallRoom(match.room_id);
+  }
+};
+
+// End any match on behalf of staff, whoever is in it
+export const forceEndMatch = async (matchId, reason = 'ended_by_staff') => {
+  if (!validator.isUUID(String(matchId))) {
+    throw new ServiceError('Match not found', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+
+  const result = await query('SELECT * FROM matches WHERE id = $1', [matchId]);
+  const match = result.rows[0];
+  if (!match) {
+    throw new ServiceError('Match not found', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+
+  const outcome = await finishMatch(match, null, reason);
+  await closeCallRoom(match.room_id);
+  return { ...outcome, previousStatus: match.status };
+};
+
+// Reap nodes that stopped sending heartbeats. Their room participants go with
+// them, so every live call one of them was in is ended in the same
+// transaction; otherwise the meter would keep billing a call nobody is on.
+export const reapDeadNodes = async () => {
+  const ended = [];
+  await cluster.reapDeadNodes(async (client, nodeIds) => {
+    const result = await client.query(
+      `SELECT * FROM matches
+       WHERE id IN (SELECT match_id FROM video_room_participants WHERE node_id = ANY($1))
+         AND status = ANY($2)
+       FOR UPDATE`,
+      [nodeIds, LIVE_STATUSES]
+    );
+    for (const match of result.rows) {
+      const outcome = await client.query('SELECT end_match($1, NULL, $2) AS ended', [match.id, 'connection_lost']);
+      if (outcome.rows[0].ended) ended.push(match);
+    }
+  });
+
+  for (const match of ended) {
+    await announceMatchEnd(match, null, 'connection_lost');
+    await closeCallRoom(match.room_id);
+  }
+};
+
+// Bill a connected call up to now. If a participant can't pay for the slice
+// that just started the call ends and both are taken out of the video room.
+// Returns the match status afterwards.
+export const meterCall = async (matchId) => {
+  const outcome = await callMeter.billDueSlices(matchId);
+  if (!outcome) return 'ended';
+  if (outcome.unpaid.length === 0) return 'connected';
+
+  const { match, unpaid } = outcome;
+  await endMatch(match.id, unpaid[0], 'insufficient_tokens');
+  await closeCallRoom(match.room_id);
+  console.log(`🪫 Call ${match.id} ended: user ${unpaid[0]} ran out of tokens`);
+  return 'ended';
+};
+
+// Leader job: bill every connected call whose paid time has run out
+export const meterConnectedCalls = async () => {
+  const matchIds = await callMeter.listCallsDue();
+  for (const matchId of matchIds) {
+    try {
+      await meterCall(matchId);
+    } catch (error) {
+      console.error(`❌ Failed to bill call ${matchId}:`, error);
+    }
+  }
+};
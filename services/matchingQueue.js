@@ -0,0 +1,124 @@
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { nodeId } from './cluster.js';
+
+// Shared matching queue (formerly the in-process waitingUsers Map). Socket
+// entries only count while the node holding the socket is alive; REST entries
+// have no socket and wait until they are matched, leave or expire.
+
+const toEntry = (row) => ({
+  userId: row.user_id,
+  socketId: row.socket_id,
+  nodeId: row.node_id,
+  user: row.user_snapshot,
+  preferences: row.preferences,
+  relaxedFilters: row.relaxed_filters || [],
+  joinedAt: new Date(row.joined_at).getTime()
+});
+
+// Public fields shown to a partner, plus what the matcher needs to decide
+export const queueSnapshot = (user) => ({
+  id: user.id,
+  name: user.name,
+  age: user.age,
+  country: user.country,
+  gender: user.gender,
+  preferred_gender: user.preferred_gender,
+  avatar_url: user.avatar_url,
+  is_premium: user.is_premium,
+  language: user.language,
+  // Matcher only; partnerPayload leaves it out
+  reputation: user.reputation ?? null
+});
+
+export const enqueue = async ({ user, socketId = null, preferences = {} }) => {
+  await query(
+    `INSERT INTO matching_queue (user_id, socket_id, node_id, user_snapshot, preferences)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id) DO UPDATE
+     SET socket_id = EXCLUDED.socket_id, node_id = EXCLUDED.node_id,
+         user_snapshot = EXCLUDED.user_snapshot, preferences = EXCLUDED.preferences,
+         relaxed_filters = '{}', joined_at = CURRENT_TIMESTAMP`,
+    [user.id, socketId, socketId ? nodeId : null, JSON.stringify(queueSnapshot(user)), JSON.stringify(preferences)]
+  );
+};
+
+// Remove a user from the queue. Passing the socket ID only removes the entry
+// if it still belongs to that socket, so a reconnect on another tab survives.
+export const dequeue = async (userId, socketId = null) => {
+  const result = await query(
+    'DELETE FROM matching_queue WHERE user_id = $1 AND ($2::varchar IS NULL OR socket_id = $2) RETURNING user_id',
+    [userId, socketId]
+  );
+  return result.rows.length > 0;
+};
+
+const LIVE_NODE_CONDITION = `
+  (q.node_id IS NULL OR q.node_id IN (
+    SELECT node_id FROM realtime_nodes
+    WHERE last_heartbeat > CURRENT_TIMESTAMP - make_interval(secs => $1)
+  ))`;
+
+export const getEntry = async (userId) => {
+  const result = await query(
+    `SELECT q.* FROM matching_queue q WHERE q.user_id = $2 AND ${LIVE_NODE_CONDITION}`,
+    [config.cluster.nodeTimeoutMs / 1000, userId]
+  );
+  return result.rows.length > 0 ? toEntry(result.rows[0]) : null;
+};
+
+// All live entries, longest waiting first
+export const listEntries = async () => {
+  const result = await query(
+    `SELECT q.* FROM matching_queue q WHERE ${LIVE_NODE_CONDITION} ORDER BY q.joined_at ASC`,
+    [config.cluster.nodeTimeoutMs / 1000]
+  );
+  return result.rows.map(toEntry);
+};
+
+export const queueSize = async () => {
+  const result = await query(
+    `SELECT COUNT(*) AS size FROM matching_queue q WHERE ${LIVE_NODE_CONDITION}`,
+    [config.cluster.nodeTimeoutMs / 1000]
+  );
+  return parseInt(result.rows[0].size);
+};
+
+// Take two users out of the queue inside the caller's transaction. Returns
+// both entries, or null if either was already claimed (by another node or a
+// concurrent run), in which case the caller must roll back.
+export const claimPair = async (client, userId1, userId2) => {
+  const result = await client.query(
+    'DELETE FROM matching_queue WHERE user_id IN ($1, $2) RETURNING *',
+    [userId1, userId2]
+  );
+
+  if (result.rows.length !== 2) {
+    return null;
+  }
+
+  const entries = result.rows.map(toEntry);
+  return [
+    entries.find(entry => entry.userId === userId1),
+    entries.find(entry => entry.userId === userId2)
+  ];
+};
+
+// Remember which filters were last reported as relaxed for an entry
+export const setRelaxedFilters = async (userId, socketId, filters) => {
+  await query(
+    'UPDATE matching_queue SET relaxed_filters = $3 WHERE user_id = $1 AND socket_id IS NOT DISTINCT FROM $2',
+    [userId, socketId, filters]
+  );
+};
+
+// Drop entries that waited longer than maxWaitMs and return them
+export const removeExpired = async (maxWaitMs) => {
+  const result = await query(
+    `DELETE FROM matching_queue
+     WHERE joined_at < CURRENT_TIMESTAMP - make_interval(secs => $1)
+     RETURNING *`,
+    [maxWaitMs / 1000]
+  );
+  return result.rows.map(toEntry);
+};
@@ -0,0 +1,58 @@
+import bcrypt from 'bcryptjs';
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { ServiceError } from '../utils/errors.js';
+import { hashToken, generateOpaqueToken } from '../utils/crypto.js';
+import { revokeAllSessions } from './sessions.js';
+import { sendPasswordResetEmail, sendPasswordChangedEmail } from './emails.js';
+
+// Issue a reset token for the account with this email, if there is one.
+// Resolves the same way whether or not the email exists.
+export const requestPasswordReset = async (email) => {
+  const token = generateOpaqueToken(32);
+
+  const result = await query(
+    `UPDATE users
+     SET reset_token = $2, reset_expires = CURRENT_TIMESTAMP + make_interval(mins => $3)
+     WHERE email = $1
+     RETURNING id, email, name`,
+    [email, hashToken(token), config.auth.passwordResetTtlMinutes]
+  );
+
+  if (result.rows.length === 0) {
+    return;
+  }
+
+  await sendPasswordResetEmail(result.rows[0], token);
+  console.log(`🔑 Password reset requested for user ${result.rows[0].id}`);
+};
+
+// Consume a reset token and set a new password. The token is cleared in the
+// same statement that checks it, so it can only ever be used once.
+export const resetPassword = async (token, newPassword) => {
+  const passwordHash = await bcrypt.hash(newPassword, config.auth.bcryptSaltRounds);
+
+  const result = await query(
+    `UPDATE users
+     SET password_hash = $2, reset_token = NULL, reset_expires = NULL
+     WHERE reset_token = $1 AND reset_expires > CURRENT_TIMESTAMP
+     RETURNING id, email, name`,
+    [hashToken(token), passwordHash]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ServiceError('Reset link is invalid or has expired', { status: 400, code: 'INVALID_RESET_TOKEN' });
+  }
+
+  const user = result.rows[0];
+
+  // Sign out every device that was using the old password
+  await revokeAllSessions(user.id, 'password_reset');
+
+  sendPasswordChangedEmail(user).catch(error => {
+    console.error('Failed to send password changed email:', error);
+  });
+
+  console.log(`🔑 Password reset completed for user ${user.id}`);
+  return user;
+};
@@ -0,0 +1,55 @@
+import { v4 as uuidv4 } from 'uuid';
+import { signPayload, verifySignature } from './signature.js';
+
+// Local stand-in for a payment provider. Checkout "sessions" are just IDs;
+// payment outcomes are simulated by building a signed event with
+// buildEvent() and delivering it to the webhook endpoint like a provider would.
+
+const DEFAULT_SECRET = 'fake-webhook-secret';
+
+export const createFakeProvider = ({ webhookSecret, webhookToleranceSeconds }, { isProduction }) => {
+  if (isProduction) {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+
+  const secret = webhookSecret || DEFAULT_SECRET;
+
+  return {
+    name: 'fake',
+
+    async createCheckoutSession({ paymentId, successUrl }) {
+      const sessionId = `fake_cs_${uuidv4()}`;
+      return { sessionId, url: `${successUrl}${successUrl.includes('?') ? '&' : '?'}fake_session=${sessionId}&payment_id=${paymentId}` };
+    },
+
+    // Build a signed delivery for a simulated outcome: succeeded, failed or refunded
+    buildEvent({ sessionId, providerPaymentId, outcome }) {
+      const body = JSON.stringify({
+        id: `fake_evt_${uuidv4()}`,
+        type: `payment.${outcome}`,
+        sessionId,
+        providerPaymentId
+      });
+      return { rawBody: body, headers: { 'x-fake-signature': signPayload(secret, body) } };
+    },
+
+    parseWebhook(rawBody, headers) {
+      verifySignature({
+        secret,
+        header: headers['x-fake-signature'],
+        rawBody,
+        toleranceSeconds: webhookToleranceSeconds
+      });
+
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: ['payment.succeeded', 'payment.failed', 'payment.refunded'].includes(event.type) ? event.type : null,
+        sessionId: event.sessionId,
+        providerPaymentId: event.providerPaymentId,
+        reason: event.type === 'payment.failed' ? 'Simulated failure' : undefined,
+        raw: event
+      };
+    }
+  };
+};
@@ -0,0 +1,294 @@
+import validator from 'validator';
+import config from '../../config/index.js';
+import { query, withTransaction } from '../../config/database.js';
+import { emitToUser } from '../realtime.js';
+import * as wallet from '../wallet.js';
+import { resolvePurchasablePlan } from '../plans.js';
+import * as subscriptions from '../subscriptions.js';
+import { ServiceError } from '../../utils/errors.js';
+import { createStripeProvider } from './stripe.js';
+import { createFakeProvider } from './fake.js';
+
+// Payments go through a provider: any object with
+//   createCheckoutSession({ paymentId, amountCents, currency, description,
+//                           customerEmail, successUrl, cancelUrl }) -> { sessionId, url }
+//   parseWebhook(rawBody, headers) -> { id, type, sessionId?, providerPaymentId?, reason? }
+// where parseWebhook verifies the signature and maps the provider's events to
+// payment.succeeded / payment.failed / payment.refunded (type null = ignore).
+// Tokens are only granted when a verified payment.succeeded event arrives.
+const providerFactories = new Map();
+
+export const registerProvider = (name, factory) => {
+  providerFactories.set(name, factory);
+};
+
+registerProvider('stripe', createStripeProvider);
+registerProvider('fake', createFakeProvider);
+
+let activeProvider = null;
+
+// Override the provider directly (e.g. from tests)
+export const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+export const getProvider = () => {
+  if (!activeProvider) {
+    const factory = providerFactories.get(config.payments.provider);
+    if (!factory) {
+      throw new Error(`Unknown payment provider "${config.payments.provider}"`);
+    }
+    activeProvider = factory(config.payments, config);
+  }
+  return activeProvider;
+};
+
+const PAYMENT_COLUMNS = 'id, user_id, status, plan_id, plan, tokens, amount, duration_days, currency, checkout_url, failure_reason, completed_at, created_at';
+
+const formatPayment = (row) => ({
+  id: row.id,
+  status: row.status,
+  planId: row.plan_id,
+  plan: row.plan,
+  tokens: row.tokens,
+  durationDays: row.duration_days,
+  amount: Number(row.amount),
+  currency: row.currency,
+  checkoutUrl: row.status === 'pending' ? row.checkout_url : null,
+  failureReason: row.failure_reason,
+  completedAt: row.completed_at,
+  createdAt: row.created_at
+});
+
+// Open a checkout for a catalog plan, picked by ID or (older clients) code.
+// The payment keeps a copy of the plan's terms and stays pending until the
+// provider confirms it through the webhook.
+export const createCheckout = async (user, { planId, planCode, preferredGender = null }) => {
+  const selectedPlan = await resolvePurchasablePlan({ planId, code: planCode });
+  const provider = getProvider();
+
+  const inserted = await query(
+    `INSERT INTO payments (user_id, provider, plan_id, plan, tokens, amount, duration_days, currency, preferred_gender)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id`,
+    [
+      user.id, provider.name, selectedPlan.id, selectedPlan.code || selectedPlan.name.slice(0, 50),
+      selectedPlan.tokens, selectedPlan.price, selectedPlan.durationDays, config.payments.currency, preferredGender
+    ]
+  );
+  const paymentId = inserted.rows[0].id;
+
+  let session;
+  try {
+    session = await provider.createCheckoutSession({
+      paymentId,
+      amountCents: Math.round(selectedPlan.price * 100),
+      currency: config.payments.currency,
+      description: selectedPlan.description || selectedPlan.name,
+      customerEmail: user.email,
+      successUrl: `${config.appUrl}/payment/success?payment_id=${paymentId}`,
+      cancelUrl: `${config.appUrl}/payment/cancelled?payment_id=${paymentId}`
+    });
+  } catch (error) {
+    await query(
+      "UPDATE payments SET status = 'failed', failure_reason = $2 WHERE id = $1",
+      [paymentId, 'Could not start checkout']
+    );
+    throw error;
+  }
+
+  const result = await query(
+    `UPDATE payments SET provider_session_id = $2, checkout_url = $3
+     WHERE id = $1
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [paymentId, session.sessionId, session.url]
+  );
+
+  console.log(`🧾 Checkout ${paymentId} opened for ${user.email} (${selectedPlan.name}, ${provider.name})`);
+  return formatPayment(result.rows[0]);
+};
+
+export const getPayment = async (userId, paymentId) => {
+  if (!validator.isUUID(String(paymentId))) {
+    throw new ServiceError('Payment not found', { status: 404, code: 'PAYMENT_NOT_FOUND' });
+  }
+
+  const result = await query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE id = $1 AND user_id = $2`,
+    [paymentId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw new ServiceError('Payment not found', { status: 404, code: 'PAYMENT_NOT_FOUND' });
+  }
+  return formatPayment(result.rows[0]);
+};
+
+export const listPayments = async (userId, limit = 20) => {
+  const result = await query(
+    `SELECT ${PAYMENT_COLUMNS} FROM payments WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows.map(formatPayment);
+};
+
+const lockPaymentForEvent = async (client, providerName, event) => {
+  if (event.sessionId) {
+    const result = await client.query(
+      'SELECT * FROM payments WHERE provider = $1 AND provider_session_id = $2 FOR UPDATE',
+      [providerName, event.sessionId]
+    );
+    if (result.rows.length > 0) return result.rows[0];
+  }
+  if (event.providerPaymentId) {
+    const result = await client.query(
+      'SELECT * FROM payments WHERE provider = $1 AND provider_payment_id = $2 FOR UPDATE',
+      [providerName, event.providerPaymentId]
+    );
+    if (result.rows.length > 0) return result.rows[0];
+  }
+  return null;
+};
+
+// Grant the plan as it was when checkout started: tokens through the wallet,
+// and a new or renewed subscription for plans that come with premium days
+const fulfill = async (client, payment, event) => {
+  let balance = null;
+  if (payment.tokens > 0) {
+    ({ balance } = await wallet.credit(payment.user_id, payment.tokens, {
+      type: 'purchase',
+      amount: payment.amount,
+      description: `${payment.plan} plan - ${payment.tokens} tokens`,
+      referenceId: payment.id
+    }, client));
+  }
+
+  if (payment.duration_days) {
+    await subscriptions.activate(client, payment.user_id, {
+      planId: payment.plan_id,
+      durationDays: payment.duration_days,
+      preferredGender: payment.preferred_gender
+    });
+  }
+
+  await client.query(
+    `UPDATE payments SET status = 'succeeded', provider_payment_id = COALESCE($2, provider_payment_id), completed_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [payment.id, event.providerPaymentId || null]
+  );
+
+  return { status: 'succeeded', balance };
+};
+
+// Take back what is left of the refunded tokens; spent tokens can't be
+// recovered, so the entry notes any shortfall. Premium days the plan granted
+// are taken back too.
+const reverse = async (client, payment) => {
+  const current = await client.query('SELECT tokens FROM users WHERE id = $1 FOR UPDATE', [payment.user_id]);
+  const recoverable = Math.min(current.rows[0]?.tokens ?? 0, payment.tokens);
+  const description = recoverable < payment.tokens
+    ? `Payment refunded - ${recoverable} of ${payment.tokens} tokens reclaimed`
+    : `Payment refunded - ${payment.tokens} tokens reclaimed`;
+
+  const { balance } = recoverable > 0
+    ? await wallet.debit(payment.user_id, recoverable, { type: 'refund', amount: -payment.amount, description, referenceId: payment.id }, client)
+    : await wallet.recordEvent(payment.user_id, 'refund', description, client);
+
+  const subscriptionChanged = payment.duration_days
+    ? await subscriptions.shorten(client, payment.user_id, payment.duration_days, `Payment refunded - ${payment.duration_days} premium days removed`)
+    : false;
+
+  await client.query("UPDATE payments SET status = 'refunded' WHERE id = $1", [payment.id]);
+  return { status: 'refunded', balance, subscriptionChanged };
+};
+
+// Process a webhook delivery. Each provider event is handled at most once:
+// the event ID is recorded in the same transaction that applies it, so a
+// redelivery (or a concurrent duplicate) finds it and does nothing.
+export const handleWebhook = async (rawBody, headers) => {
+  const provider = getProvider();
+  const event = provider.parseWebhook(rawBody, headers);
+
+  if (!event.id) {
+    throw new ServiceError('Webhook event has no ID', { code: 'INVALID_EVENT' });
+  }
+
+  const outcome = await withTransaction(async (client) => {
+    const recorded = await client.query(
+      `INSERT INTO payment_events (provider, event_id, type, payload)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (provider, event_id) DO NOTHING
+       RETURNING event_id`,
+      [provider.name, event.id, event.type || event.raw?.type || 'unknown', JSON.stringify(event.raw || {})]
+    );
+    if (recorded.rows.length === 0) {
+      return { result: 'duplicate' };
+    }
+    if (!event.type) {
+      return { result: 'ignored' };
+    }
+
+    const payment = await lockPaymentForEvent(client, provider.name, event);
+    if (!payment) {
+      console.warn(`⚠️ Payment event ${event.id} (${event.type}) matches no payment`);
+      return { result: 'ignored' };
+    }
+
+    await client.query(
+      'UPDATE payment_events SET payment_id = $3 WHERE provider = $1 AND event_id = $2',
+      [provider.name, event.id, payment.id]
+    );
+
+    // Only forward transitions apply; anything else is a late or repeated report
+    let change = null;
+    if (event.type === 'payment.succeeded' && payment.status === 'pending') {
+      change = await fulfill(client, payment, event);
+    } else if (event.type === 'payment.failed' && payment.status === 'pending') {
+      await client.query(
+        "UPDATE payments SET status = 'failed', failure_reason = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [payment.id, event.reason || 'Payment failed']
+      );
+      change = { status: 'failed' };
+    } else if (event.type === 'payment.refunded' && payment.status === 'succeeded') {
+      change = await reverse(client, payment);
+    }
+
+    return { result: change ? 'applied' : 'ignored', payment, change };
+  });
+
+  if (outcome.change) {
+    const { payment, change } = outcome;
+    emitToUser(payment.user_id, 'paymentUpdated', {
+      paymentId: payment.id,
+      status: change.status,
+      tokens: payment.tokens,
+      balance: change.balance
+    });
+    if (change.subscriptionChanged) {
+      emitToUser(payment.user_id, 'subscriptionUpdated', await subscriptions.getSubscription(payment.user_id));
+    }
+    console.log(`💳 Payment ${payment.id} ${change.status} (event ${event.id})`);
+  }
+
+  return { eventId: event.id, result: outcome.result };
+};
+
+// Development helper for the fake provider: deliver a signed event for one of
+// the user's payments through the regular webhook path
+export const simulateOutcome = async (userId, paymentId, outcome) => {
+  const provider = getProvider();
+  if (typeof provider.buildEvent !== 'function') {
+    throw new ServiceError('Payment simulation is only available with the fake provider', { status: 404, code: 'NOT_AVAILABLE' });
+  }
+
+  await getPayment(userId, paymentId);
+  const result = await query('SELECT provider_session_id, provider_payment_id FROM payments WHERE id = $1', [paymentId]);
+  const row = result.rows[0];
+
+  const { rawBody, headers } = provider.buildEvent({
+    sessionId: row.provider_session_id,
+    providerPaymentId: row.provider_payment_id || `fake_pi_${paymentId}`,
+    outcome
+  });
+  await handleWebhook(rawBody, headers);
+  return getPayment(userId, paymentId);
+};
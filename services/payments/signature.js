@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import { ServiceError } from '../../utils/errors.js';
+
+// Stripe-style webhook signatures: the header carries `t=<unix seconds>` and
+// one or more `v1=<hex HMAC-SHA256 of "<t>.<raw body>">`. The fake provider
+// signs the same way so both go through one verification path.
+
+const computeSignature = (secret, timestamp, rawBody) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+export const signPayload = (secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+};
+
+const invalidSignature = (message) => new ServiceError(message, { status: 400, code: 'INVALID_SIGNATURE' });
+
+export const verifySignature = ({ secret, header, rawBody, toleranceSeconds }) => {
+  if (!header || !rawBody) {
+    throw invalidSignature('Missing webhook signature');
+  }
+
+  const parts = header.split(',').map(part => part.trim().split('='));
+  const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1], 10);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (Number.isNaN(timestamp) || signatures.length === 0) {
+    throw invalidSignature('Malformed webhook signature');
+  }
+
+  // Old signatures are rejected so a captured delivery can't be replayed later
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+    throw invalidSignature('Webhook signature timestamp is outside the tolerance window');
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), 'hex');
+  const matches = signatures.some(signature => {
+    const candidate = Buffer.from(signature, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+
+  if (!matches) {
+    throw invalidSignature('Webhook signature does not match');
+  }
+};
@@ -0,0 +1,93 @@
+import { verifySignature } from './signature.js';
+
+// Stripe Checkout over the REST API. Uses fetch directly so we don't depend
+// on the SDK for the two calls we make.
+
+const toForm = (fields) => {
+  const form = new URLSearchParams();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      form.append(key, String(value));
+    }
+  });
+  return form;
+};
+
+// Reduce the Stripe events we care about to provider-neutral ones
+const normalizeEvent = (event) => {
+  const object = event.data?.object || {};
+  const base = { id: event.id, type: null, raw: event };
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      // Delayed payment methods complete the session before the money arrives
+      if (object.payment_status !== 'paid') return base;
+      // falls through
+    case 'checkout.session.async_payment_succeeded':
+      return { ...base, type: 'payment.succeeded', sessionId: object.id, providerPaymentId: object.payment_intent };
+    case 'checkout.session.async_payment_failed':
+      return { ...base, type: 'payment.failed', sessionId: object.id, reason: 'Payment failed' };
+    case 'checkout.session.expired':
+      return { ...base, type: 'payment.failed', sessionId: object.id, reason: 'Checkout expired' };
+    case 'charge.refunded':
+      // Partial refunds leave the purchase in place
+      if (!object.refunded) return base;
+      return { ...base, type: 'payment.refunded', providerPaymentId: object.payment_intent };
+    default:
+      return base;
+  }
+};
+
+export const createStripeProvider = ({ stripe, webhookSecret, webhookToleranceSeconds }) => {
+  if (!stripe.secretKey) {
+    throw new Error('STRIPE_SECRET_KEY is required when PAYMENTS_PROVIDER=stripe');
+  }
+  if (!webhookSecret) {
+    throw new Error('PAYMENTS_WEBHOOK_SECRET is required when PAYMENTS_PROVIDER=stripe');
+  }
+
+  return {
+    name: 'stripe',
+
+    async createCheckoutSession({ paymentId, amountCents, currency, description, customerEmail, successUrl, cancelUrl }) {
+      const response = await fetch(`${stripe.apiUrl}/v1/checkout/sessions`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${stripe.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          // Retrying checkout for the same payment never opens a second session
+          'Idempotency-Key': `checkout-${paymentId}`
+        },
+        body: toForm({
+          mode: 'payment',
+          success_url: successUrl,
+          cancel_url: cancelUrl,
+          customer_email: customerEmail,
+          client_reference_id: paymentId,
+          'metadata[payment_id]': paymentId,
+          'line_items[0][quantity]': 1,
+          'line_items[0][price_data][currency]': currency,
+          'line_items[0][price_data][unit_amount]': amountCents,
+          'line_items[0][price_data][product_data][name]': description
+        })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Stripe checkout failed (${response.status}): ${body.error?.message || 'unknown error'}`);
+      }
+
+      return { sessionId: body.id, url: body.url };
+    },
+
+    parseWebhook(rawBody, headers) {
+      verifySignature({
+        secret: webhookSecret,
+        header: headers['stripe-signature'],
+        rawBody,
+        toleranceSeconds: webhookToleranceSeconds
+      });
+      return normalizeEvent(JSON.parse(rawBody));
+    }
+  };
+};
@@ -0,0 +1,127 @@
+import validator from 'validator';
+import { query } from '../config/database.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Plan catalog. Plans are never deleted, only deactivated, so payments keep
+// pointing at the plan they bought.
+
+const PLAN_COLUMNS = 'id, code, name, description, price, tokens, duration_days, features, is_active, sort_order, created_at, updated_at';
+
+const formatPlan = (row) => ({
+  id: row.id,
+  code: row.code,
+  name: row.name,
+  description: row.description,
+  price: Number(row.price),
+  tokens: row.tokens,
+  durationDays: row.duration_days,
+  features: row.features || [],
+  isActive: row.is_active,
+  sortOrder: row.sort_order,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const planNotFound = () => new ServiceError('Plan not found', { status: 404, code: 'PLAN_NOT_FOUND' });
+
+export const listPlans = async ({ includeInactive = false } = {}) => {
+  const result = await query(
+    `SELECT ${PLAN_COLUMNS} FROM plans
+     WHERE $1 OR is_active = true
+     ORDER BY sort_order ASC, price ASC`,
+    [includeInactive]
+  );
+  return result.rows.map(formatPlan);
+};
+
+export const getPlan = async (planId) => {
+  if (!validator.isUUID(String(planId))) {
+    throw planNotFound();
+  }
+
+  const result = await query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE id = $1`, [planId]);
+  if (result.rows.length === 0) {
+    throw planNotFound();
+  }
+  return formatPlan(result.rows[0]);
+};
+
+// The active plan a purchase refers to, by ID or (for older clients) by code
+export const resolvePurchasablePlan = async ({ planId, code }) => {
+  let plan;
+  if (planId) {
+    plan = await getPlan(planId);
+  } else {
+    const result = await query(`SELECT ${PLAN_COLUMNS} FROM plans WHERE code = $1`, [code]);
+    if (result.rows.length === 0) {
+      throw planNotFound();
+    }
+    plan = formatPlan(result.rows[0]);
+  }
+
+  if (!plan.isActive) {
+    throw new ServiceError('This plan is no longer available', { status: 409, code: 'PLAN_INACTIVE' });
+  }
+  return plan;
+};
+
+// Request fields -> columns for create and update
+const FIELD_COLUMNS = {
+  code: 'code',
+  name: 'name',
+  description: 'description',
+  price: 'price',
+  tokens: 'tokens',
+  durationDays: 'duration_days',
+  features: 'features',
+  isActive: 'is_active',
+  sortOrder: 'sort_order'
+};
+
+const toColumns = (fields) => {
+  return Object.entries(FIELD_COLUMNS)
+    .filter(([field]) => fields[field] !== undefined)
+    .map(([field, column]) => [column, fields[field]]);
+};
+
+const rethrowDuplicateCode = (error) => {
+  if (error.code === '23505') {
+    throw new ServiceError('A plan with this code already exists', { status: 409, code: 'PLAN_CODE_TAKEN' });
+  }
+  throw error;
+};
+
+export const createPlan = async (fields) => {
+  const columns = toColumns(fields);
+  const result = await query(
+    `INSERT INTO plans (${columns.map(([column]) => column).join(', ')})
+     VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING ${PLAN_COLUMNS}`,
+    columns.map(([, value]) => value)
+  ).catch(rethrowDuplicateCode);
+
+  return formatPlan(result.rows[0]);
+};
+
+export const updatePlan = async (planId, fields) => {
+  await getPlan(planId);
+
+  const columns = toColumns(fields);
+  if (columns.length === 0) {
+    throw new ServiceError('No valid fields provided for update', { code: 'NO_CHANGES' });
+  }
+
+  const result = await query(
+    `UPDATE plans SET ${columns.map(([column], index) => `${column} = $${index + 2}`).join(', ')}
+     WHERE id = $1
+     RETURNING ${PLAN_COLUMNS}`,
+    [planId, ...columns.map(([, value]) => value)]
+  ).catch(rethrowDuplicateCode);
+
+  return formatPlan(result.rows[0]);
+};
+
+// Soft delete: the plan disappears from the public catalog and can't be bought
+export const deactivatePlan = async (planId) => {
+  return updatePlan(planId, { isActive: false });
+};
@@ -0,0 +1,31 @@
+// Shared handle on the Socket.IO server so HTTP routes and services can push
+// events to, or disconnect, connected clients.
+let io = null;
+
+export const setIO = (server) => {
+  io = server;
+};
+
+export const getIO = () => io;
+
+// Every socket joins a room for its user and one for the auth session it
+// was opened with, so we can target them without tracking socket IDs.
+export const userRoom = (userId) => `user:${userId}`;
+export const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+export const emitToUser = (userId, event, payload) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit(event, payload);
+};
+
+export const disconnectSession = (sessionId, reason = 'session_revoked') => {
+  if (!io) return;
+  io.to(sessionRoom(sessionId)).emit('sessionRevoked', { reason });
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+export const disconnectUser = (userId, reason = 'session_revoked') => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit('sessionRevoked', { reason });
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
@@ -0,0 +1,236 @@
+import validator from 'validator';
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { emitToUser } from './realtime.js';
+import * as matchingQueue from './matchingQueue.js';
+import { recordAction } from './audit.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Abuse reports and the moderation queue. Reports move
+// open -> reviewing (assigned to a moderator) -> actioned | dismissed.
+
+export const REPORT_REASONS = ['harassment', 'nudity', 'hate', 'violence', 'spam', 'underage', 'other'];
+const CLOSED_STATUSES = ['actioned', 'dismissed'];
+
+const reportNotFound = () => new ServiceError('Report not found', { status: 404, code: 'REPORT_NOT_FOUND' });
+
+const REPORT_SELECT = `
+  SELECT r.*,
+         reporter.name AS reporter_name, reporter.email AS reporter_email,
+         reported.name AS reported_name, reported.email AS reported_email,
+         reported.queue_suspended_until AS reported_suspended_until
+  FROM reports r
+  JOIN users reporter ON reporter.id = r.reporter_id
+  JOIN users reported ON reported.id = r.reported_id`;
+
+const formatReport = (row, { withTranscript = false } = {}) => ({
+  id: row.id,
+  matchId: row.match_id,
+  reason: row.reason,
+  details: row.details,
+  status: row.status,
+  reporter: { id: row.reporter_id, name: row.reporter_name, email: row.reporter_email },
+  reported: {
+    id: row.reported_id,
+    name: row.reported_name,
+    email: row.reported_email,
+    queueSuspendedUntil: row.reported_suspended_until
+  },
+  assignedTo: row.assigned_to,
+  resolutionNote: row.resolution_note,
+  resolvedBy: row.resolved_by,
+  resolvedAt: row.resolved_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  ...(withTranscript ? { transcript: row.transcript } : { messageCount: row.transcript.length })
+});
+
+// Keep a reported user out of matching once enough different people have
+// reported them recently. Returns the suspension end if one started.
+const applyAutoSuspension = async (reportedId) => {
+  const { reporters, windowHours, hours } = config.reports.autoSuspend;
+  if (reporters === 0) return null;
+
+  const count = await query(
+    `SELECT COUNT(DISTINCT reporter_id)::INTEGER AS reporters FROM reports
+     WHERE reported_id = $1 AND status <> 'dismissed'
+       AND created_at > CURRENT_TIMESTAMP - make_interval(hours => $2)`,
+    [reportedId, windowHours]
+  );
+  if (count.rows[0].reporters < reporters) return null;
+
+  // Only start a suspension if one isn't running already
+  const suspended = await query(
+    `UPDATE users SET queue_suspended_until = CURRENT_TIMESTAMP + make_interval(hours => $2)
+     WHERE id = $1 AND (queue_suspended_until IS NULL OR queue_suspended_until <= CURRENT_TIMESTAMP)
+     RETURNING queue_suspended_until`,
+    [reportedId, hours]
+  );
+  if (suspended.rows.length === 0) return null;
+
+  const until = suspended.rows[0].queue_suspended_until;
+  await matchingQueue.dequeue(reportedId);
+  emitToUser(reportedId, 'queueSuspended', {
+    until,
+    message: 'You have been temporarily removed from matching after several reports.'
+  });
+  console.warn(`🚨 User ${reportedId} suspended from matching until ${until.toISOString()} after ${count.rows[0].reporters} reports`);
+  return until;
+};
+
+// Report the other participant of a match. The match's chat is copied into
+// the report as evidence.
+export const createReport = async ({ reporterId, matchId, reason, details = null }) => {
+  if (!validator.isUUID(String(matchId))) {
+    throw new ServiceError('Match not found', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ServiceError(`Reason must be one of ${REPORT_REASONS.join(', ')}`, { code: 'INVALID_REASON' });
+  }
+
+  const matchResult = await query(
+    'SELECT id, user1_id, user2_id FROM matches WHERE id = $1 AND (user1_id = $2 OR user2_id = $2)',
+    [matchId, reporterId]
+  );
+  const match = matchResult.rows[0];
+  if (!match) {
+    throw new ServiceError('Match not found or you are not part of it', { status: 404, code: 'MATCH_NOT_FOUND' });
+  }
+  const reportedId = match.user1_id === reporterId ? match.user2_id : match.user1_id;
+
+  const messages = await query(
+    `SELECT id, sender_id, content, message_type, image_id, created_at FROM messages
+     WHERE match_id = $1 ORDER BY created_at ASC`,
+    [match.id]
+  );
+  const transcript = messages.rows.map(message => ({
+    id: message.id,
+    senderId: message.sender_id,
+    content: message.content,
+    messageType: message.message_type,
+    imageId: message.image_id,
+    createdAt: message.created_at
+  }));
+
+  const inserted = await query(
+    `INSERT INTO reports (reporter_id, reported_id, match_id, reason, details, transcript)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (reporter_id, match_id) DO NOTHING
+     RETURNING id, status, created_at`,
+    [reporterId, reportedId, match.id, reason, details, JSON.stringify(transcript)]
+  );
+  if (inserted.rows.length === 0) {
+    throw new ServiceError('You have already reported this match', { status: 409, code: 'ALREADY_REPORTED' });
+  }
+
+  console.log(`🚩 Report ${inserted.rows[0].id}: user ${reporterId} reported ${reportedId} (${reason})`);
+  await applyAutoSuspension(reportedId);
+
+  return {
+    id: inserted.rows[0].id,
+    matchId: match.id,
+    reason,
+    status: inserted.rows[0].status,
+    createdAt: inserted.rows[0].created_at
+  };
+};
+
+export const listReports = async ({ status = null, assignedTo = null, limit = 50, offset = 0 } = {}) => {
+  const result = await query(
+    `${REPORT_SELECT}
+     WHERE ($1::report_status IS NULL OR r.status = $1)
+       AND ($2::uuid IS NULL OR r.assigned_to = $2)
+     ORDER BY r.created_at ASC
+     LIMIT $3 OFFSET $4`,
+    [status, assignedTo, limit, offset]
+  );
+  return result.rows.map(row => formatReport(row));
+};
+
+const loadReport = async (reportId) => {
+  if (!validator.isUUID(String(reportId))) {
+    throw reportNotFound();
+  }
+
+  const result = await query(`${REPORT_SELECT} WHERE r.id = $1`, [reportId]);
+  if (result.rows.length === 0) {
+    throw reportNotFound();
+  }
+  return result.rows[0];
+};
+
+// A report with its evidence and how often the reported user was reported
+export const getReport = async (reportId) => {
+  const row = await loadReport(reportId);
+  const history = await query(
+    `SELECT COUNT(*)::INTEGER AS total, COUNT(DISTINCT reporter_id)::INTEGER AS reporters
+     FROM reports WHERE reported_id = $1`,
+    [row.reported_id]
+  );
+
+  return {
+    ...formatReport(row, { withTranscript: true }),
+    reportedHistory: history.rows[0]
+  };
+};
+
+// Take a report (or hand it to another moderator) and mark it under review.
+// `context` is the acting staff member, for the audit log.
+export const assignReport = async (context, reportId, assigneeId) => {
+  const row = await loadReport(reportId);
+  if (CLOSED_STATUSES.includes(row.status)) {
+    throw new ServiceError('This report has already been resolved', { status: 409, code: 'REPORT_CLOSED' });
+  }
+
+  if (assigneeId !== context.actorId) {
+    const assignee = await query(
+      "SELECT id FROM users WHERE id = $1 AND role IN ('moderator', 'admin')",
+      [assigneeId]
+    );
+    if (assignee.rows.length === 0) {
+      throw new ServiceError('Reports can only be assigned to moderators', { code: 'INVALID_ASSIGNEE' });
+    }
+  }
+
+  await query(
+    "UPDATE reports SET status = 'reviewing', assigned_to = $2 WHERE id = $1",
+    [row.id, assigneeId]
+  );
+  await recordAction(context, {
+    action: 'report.assign',
+    targetType: 'report',
+    targetId: row.id,
+    before: { status: row.status, assignedTo: row.assigned_to },
+    after: { status: 'reviewing', assignedTo: assigneeId }
+  });
+  return getReport(row.id);
+};
+
+export const resolveReport = async (context, reportId, { status, note = null }) => {
+  if (!CLOSED_STATUSES.includes(status)) {
+    throw new ServiceError('Status must be actioned or dismissed', { code: 'INVALID_STATUS' });
+  }
+
+  const row = await loadReport(reportId);
+  const result = await query(
+    `UPDATE reports SET
+      status = $3, resolution_note = $4, resolved_by = $2, resolved_at = CURRENT_TIMESTAMP,
+      assigned_to = COALESCE(assigned_to, $2)
+     WHERE id = $1 AND status IN ('open', 'reviewing')
+     RETURNING id`,
+    [row.id, context.actorId, status, note]
+  );
+  if (result.rows.length === 0) {
+    throw new ServiceError('This report has already been resolved', { status: 409, code: 'REPORT_CLOSED' });
+  }
+  await recordAction(context, {
+    action: 'report.resolve',
+    targetType: 'report',
+    targetId: row.id,
+    before: { status: row.status, assignedTo: row.assigned_to },
+    after: { status, note }
+  });
+
+  console.log(`🧑‍⚖️ Report ${row.id} ${status} by moderator ${context.actorId}`);
+  return getReport(row.id);
+};
@@ -0,0 +1,53 @@
+import config from '../config/index.js';
+
+// Reputation from the ratings a user receives after calls. It only steers
+// the matchers and must never reach other users: it is kept out of partner
+// payloads, profiles and match descriptions.
+//
+// Ratings are kept as sums decayed by the half-life (see migration 018). The
+// score is their weighted average blended with a neutral prior, so a couple
+// of bad ratings don't sink a new account and old ratings fade out.
+
+export const REPUTATION_COLUMNS = 'reputation_sum, reputation_weight, reputation_updated_at';
+
+const halfLifeMs = () => config.reputation.halfLifeDays * 24 * 60 * 60 * 1000;
+
+export const reputationScore = (row, now = Date.now()) => {
+  const { prior, priorWeight } = config.reputation;
+  const decay = row.reputation_updated_at
+    ? 0.5 ** (Math.max(0, now - new Date(row.reputation_updated_at).getTime()) / halfLifeMs())
+    : 0;
+
+  const sum = row.reputation_sum * decay + prior * priorWeight;
+  const weight = row.reputation_weight * decay + priorWeight;
+  return weight > 0 ? sum / weight : prior;
+};
+
+// Fold one rating into a user's decayed sums. Runs inside the caller's transaction.
+export const recordRating = async (client, userId, rating) => {
+  await client.query(
+    `UPDATE users SET
+      reputation_sum = reputation_sum * POWER(0.5, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(reputation_updated_at, CURRENT_TIMESTAMP))) / $3) + $2,
+      reputation_weight = reputation_weight * POWER(0.5, EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(reputation_updated_at, CURRENT_TIMESTAMP))) / $3) + 1,
+      reputation_updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId, rating, halfLifeMs() / 1000]
+  );
+};
+
+const isLow = (entry) => entry.user.reputation != null && entry.user.reputation < config.reputation.lowThreshold;
+
+// Low-reputation users are paired with each other. One who has waited
+// longer than REPUTATION_LOW_WAIT_MS may be paired with anyone, so they are
+// deprioritised rather than locked out.
+export const canPair = (entryA, entryB, now = Date.now()) => {
+  const lowA = isLow(entryA);
+  const lowB = isLow(entryB);
+  if (lowA === lowB) return true;
+
+  const lowEntry = lowA ? entryA : entryB;
+  return now - lowEntry.joinedAt >= config.reputation.lowWaitMs;
+};
+
+// Sort key for a seeker's candidates: partners of the same standing first
+export const pairingRank = (seeker, candidate) => (isLow(seeker) === isLow(candidate) ? 0 : 1);
@@ -0,0 +1,185 @@
+import jwt from 'jsonwebtoken';
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { ServiceError } from '../utils/errors.js';
+import { hashToken, generateOpaqueToken } from '../utils/crypto.js';
+import { disconnectSession, disconnectUser } from './realtime.js';
+import { getAccountRestriction } from './accountStatus.js';
+
+const refreshTokenTtlMs = () => config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+
+// Sign a short-lived access token bound to a device session
+export const signAccessToken = (userId, sessionId) => {
+  const token = jwt.sign(
+    { userId, sid: sessionId },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.jwtExpiresIn }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresAt: new Date(exp * 1000).toISOString() };
+};
+
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, config.auth.jwtSecret);
+
+  // Tokens issued before sessions existed carry no session ID and can't be revoked
+  if (!decoded.sid) {
+    throw new jwt.JsonWebTokenError('token is not bound to a session');
+  }
+
+  return decoded;
+};
+
+// Refresh tokens are opaque random strings. Only their SHA-256 hash is stored,
+// so a database leak does not hand out usable tokens.
+const insertRefreshToken = async (client, sessionId, parentId = null) => {
+  const refreshToken = generateOpaqueToken();
+  const expiresAt = new Date(Date.now() + refreshTokenTtlMs());
+
+  await client.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, parent_id, expires_at) VALUES ($1, $2, $3, $4)',
+    [sessionId, hashToken(refreshToken), parentId, expiresAt]
+  );
+
+  return { refreshToken, refreshExpiresAt: expiresAt.toISOString() };
+};
+
+const buildTokenResponse = (userId, sessionId, refresh) => {
+  const access = signAccessToken(userId, sessionId);
+  return {
+    sessionId,
+    token: access.token,
+    expiresAt: access.expiresAt,
+    refreshToken: refresh.refreshToken,
+    refreshExpiresAt: refresh.refreshExpiresAt
+  };
+};
+
+// Start a new device session (one refresh token family) for a user
+export const createSession = async (userId, { userAgent, ipAddress, deviceName, deviceId } = {}) => {
+  return withTransaction(async (client) => {
+    const sessionResult = await client.query(
+      `INSERT INTO auth_sessions (user_id, device_name, user_agent, ip_address, device_id, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [userId, deviceName || null, userAgent || null, ipAddress || null, deviceId || null, new Date(Date.now() + refreshTokenTtlMs())]
+    );
+
+    const sessionId = sessionResult.rows[0].id;
+    const refresh = await insertRefreshToken(client, sessionId);
+
+    return buildTokenResponse(userId, sessionId, refresh);
+  });
+};
+
+// Exchange a refresh token for a new access/refresh pair. A refresh token can
+// only be used once: presenting one that was already rotated means it leaked,
+// so the whole family (session) is revoked.
+export const rotateRefreshToken = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  const outcome = await withTransaction(async (client) => {
+    const result = await client.query(
+      `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at,
+              s.user_id, s.revoked_at, s.expires_at AS session_expires_at,
+              u.account_status, u.suspended_until, u.status_reason
+       FROM refresh_tokens rt
+       JOIN auth_sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+       WHERE rt.token_hash = $1
+       FOR UPDATE OF rt, s`,
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError('Invalid refresh token', { status: 401, code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const row = result.rows[0];
+
+    if (row.revoked_at) {
+      throw new ServiceError('Session has been revoked', { status: 401, code: 'SESSION_REVOKED' });
+    }
+
+    if (row.used_at) {
+      return { reused: true, sessionId: row.session_id, userId: row.user_id };
+    }
+
+    // Banned and suspended users keep the session but get no new tokens
+    const restriction = getAccountRestriction(row);
+    if (restriction) {
+      throw restriction;
+    }
+
+    const now = new Date();
+    if (row.expires_at <= now || row.session_expires_at <= now) {
+      throw new ServiceError('Refresh token expired', { status: 401, code: 'REFRESH_TOKEN_EXPIRED' });
+    }
+
+    await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+
+    // Sliding expiry: every successful refresh extends the session
+    await client.query(
+      `UPDATE auth_sessions
+       SET last_used_at = CURRENT_TIMESTAMP, expires_at = $2,
+           user_agent = COALESCE($3, user_agent), ip_address = COALESCE($4, ip_address)
+       WHERE id = $1`,
+      [row.session_id, new Date(Date.now() + refreshTokenTtlMs()), userAgent || null, ipAddress || null]
+    );
+
+    const refresh = await insertRefreshToken(client, row.session_id, row.id);
+
+    return { reused: false, tokens: buildTokenResponse(row.user_id, row.session_id, refresh) };
+  });
+
+  if (outcome.reused) {
+    console.warn(`🚨 Refresh token reuse detected for session ${outcome.sessionId} (user ${outcome.userId}) - revoking session`);
+    await revokeSession(outcome.sessionId, 'refresh_token_reuse');
+    throw new ServiceError('Refresh token has already been used', { status: 401, code: 'REFRESH_TOKEN_REUSED' });
+  }
+
+  return outcome.tokens;
+};
+
+export const listSessions = async (userId) => {
+  const result = await query(
+    `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Revoke one session and disconnect any sockets opened with it
+export const revokeSession = async (sessionId, reason = 'logout', userId = null) => {
+  const result = await query(
+    `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR user_id = $3)
+     RETURNING id`,
+    [sessionId, reason, userId]
+  );
+
+  if (result.rows.length > 0) {
+    disconnectSession(sessionId, reason);
+  }
+
+  return result.rows.length > 0;
+};
+
+// Revoke every session of a user, optionally keeping the current one
+export const revokeAllSessions = async (userId, reason = 'logout_all', { exceptSessionId = null } = {}) => {
+  const result = await query(
+    `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR id != $3)
+     RETURNING id`,
+    [userId, reason, exceptSessionId]
+  );
+
+  if (exceptSessionId) {
+    result.rows.forEach(row => disconnectSession(row.id, reason));
+  } else if (result.rows.length > 0) {
+    disconnectUser(userId, reason);
+  }
+
+  return result.rows.length;
+};
@@ -0,0 +1,36 @@
+import config from '../../config/index.js';
+import { createLocalDriver } from './local.js';
+import { createS3Driver } from './s3.js';
+
+// Uploaded files go through a storage driver: any object with
+//   put(key, body, { contentType }) -> void
+//   get(key) -> { body, contentType } | null
+//   delete(key) -> void   (deleting a missing key is not an error)
+// Keys are slash separated paths chosen by the caller, e.g.
+// "chat-images/<matchId>/<imageId>.jpg".
+const driverFactories = new Map();
+
+export const registerDriver = (name, factory) => {
+  driverFactories.set(name, factory);
+};
+
+registerDriver('local', createLocalDriver);
+registerDriver('s3', createS3Driver);
+
+let activeDriver = null;
+
+// Override the driver directly (e.g. from tests)
+export const setStorage = (driver) => {
+  activeDriver = driver;
+};
+
+export const getStorage = () => {
+  if (!activeDriver) {
+    const factory = driverFactories.get(config.storage.driver);
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${config.storage.driver}"`);
+    }
+    activeDriver = factory(config.storage, config);
+  }
+  return activeDriver;
+};
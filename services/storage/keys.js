@@ -0,0 +1,7 @@
+// Keys are generated by the server, but make sure none can climb out of
+// the storage root
+export const assertValidKey = (key) => {
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/.test(key) || key.includes('..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+};
@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { assertValidKey } from './keys.js';
+
+// Files on the local disk under STORAGE_LOCAL_DIR, with the content type in
+// a small sidecar file. Fine for development and single-node deployments.
+
+export const createLocalDriver = ({ local }) => {
+  const filePath = (key) => {
+    assertValidKey(key);
+    return path.join(local.dir, key);
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body, { contentType }) {
+      const target = filePath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, body);
+      await fs.writeFile(`${target}.type`, contentType);
+    },
+
+    async get(key) {
+      const target = filePath(key);
+      try {
+        const [body, contentType] = await Promise.all([
+          fs.readFile(target),
+          fs.readFile(`${target}.type`, 'utf8').catch(() => 'application/octet-stream')
+        ]);
+        return { body, contentType };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      const target = filePath(key);
+      await fs.rm(target, { force: true });
+      await fs.rm(`${target}.type`, { force: true });
+    }
+  };
+};
@@ -0,0 +1,250 @@
+import config from '../config/index.js';
+import { query, withTransaction } from '../config/database.js';
+import { emitToUser } from './realtime.js';
+import * as wallet from './wallet.js';
+import { ServiceError } from '../utils/errors.js';
+
+// Premium subscription lifecycle (see migration 011 for the states). Paying
+// for a plan with premium days activates or renews; the leader runs
+// runLifecycle() to move lapsed subscriptions into grace and expire them.
+
+// States in which the user is premium
+const LIVE_STATES = ['active', 'canceled', 'grace'];
+
+// Users expired per lifecycle run; the rest wait for the next tick
+const EXPIRE_BATCH_SIZE = 200;
+
+const formatSubscription = (row) => {
+  const live = LIVE_STATES.includes(row.subscription_status);
+  return {
+    status: row.subscription_status,
+    isPremium: row.is_premium,
+    plan: row.subscription_plan_id
+      ? { id: row.subscription_plan_id, code: row.plan_code, name: row.plan_name }
+      : null,
+    startedAt: row.subscription_started_at,
+    currentPeriodEnd: row.premium_expiry,
+    cancelAtPeriodEnd: row.subscription_status === 'canceled',
+    canceledAt: row.subscription_canceled_at,
+    graceEndsAt: row.subscription_status === 'grace' ? row.subscription_expires_at : null,
+    accessEndsAt: live ? row.subscription_expires_at : null
+  };
+};
+
+export const getSubscription = async (userId) => {
+  const result = await query(
+    `SELECT u.subscription_status, u.subscription_plan_id, u.subscription_started_at, u.subscription_canceled_at,
+            u.premium_expiry, u.subscription_expires_at, u.is_premium, p.code AS plan_code, p.name AS plan_name
+     FROM users u
+     LEFT JOIN plans p ON p.id = u.subscription_plan_id
+     WHERE u.id = $1`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+  return formatSubscription(result.rows[0]);
+};
+
+// Start a period, or renew: a live subscription (including one in grace) is
+// extended from the end of its current period rather than from today.
+// Runs inside the caller's transaction, e.g. payment fulfilment. A renewal
+// without a plan (granted by staff) keeps the current plan.
+export const activate = async (client, userId, { planId, durationDays, preferredGender = null }) => {
+  const current = await client.query(
+    'SELECT subscription_status, premium_expiry FROM users WHERE id = $1 FOR UPDATE',
+    [userId]
+  );
+  const { subscription_status: status, premium_expiry: periodEnd } = current.rows[0];
+  const renewing = LIVE_STATES.includes(status) && periodEnd !== null;
+
+  const result = await client.query(
+    `UPDATE users SET
+      is_premium = true,
+      preferred_gender = COALESCE($3, preferred_gender),
+      subscription_status = 'active',
+      subscription_plan_id = CASE WHEN $5 THEN COALESCE($2::uuid, subscription_plan_id) ELSE $2::uuid END,
+      subscription_started_at = CASE WHEN $5 THEN COALESCE(subscription_started_at, CURRENT_TIMESTAMP) ELSE CURRENT_TIMESTAMP END,
+      subscription_canceled_at = NULL,
+      premium_expiry = (CASE WHEN $5 THEN premium_expiry ELSE CURRENT_TIMESTAMP END) + make_interval(days => $4),
+      subscription_expires_at = (CASE WHEN $5 THEN premium_expiry ELSE CURRENT_TIMESTAMP END) + make_interval(days => $4)
+     WHERE id = $1
+     RETURNING premium_expiry`,
+    [userId, planId, preferredGender, durationDays, renewing]
+  );
+
+  console.log(`⭐ Subscription ${renewing ? 'renewed' : 'activated'} for user ${userId} until ${result.rows[0].premium_expiry.toISOString()}`);
+  return { renewed: renewing, currentPeriodEnd: result.rows[0].premium_expiry };
+};
+
+// End premium straight away, e.g. when staff take it back. Runs inside the
+// caller's transaction; returns false if the user wasn't premium.
+export const revoke = async (client, userId, description) => {
+  const current = await client.query('SELECT is_premium FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (!current.rows[0]?.is_premium) {
+    return false;
+  }
+
+  await client.query(
+    `UPDATE users SET
+      subscription_status = 'expired', is_premium = false, preferred_gender = NULL,
+      premium_expiry = LEAST(premium_expiry, CURRENT_TIMESTAMP), subscription_expires_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId]
+  );
+  await wallet.recordEvent(userId, 'downgrade', description, client);
+
+  console.log(`📉 Premium revoked for user ${userId}`);
+  return true;
+};
+
+// Take back premium days that were paid for and then refunded. The current
+// period is cut short by that many days; if that leaves nothing (or the
+// subscription is already in grace) premium ends now. Runs inside the
+// caller's transaction; returns false if the user wasn't premium.
+export const shorten = async (client, userId, durationDays, description) => {
+  const current = await client.query(
+    `SELECT is_premium, subscription_status = 'grace' OR premium_expiry IS NULL
+       OR premium_expiry - make_interval(days => $2) <= CURRENT_TIMESTAMP AS used_up
+     FROM users WHERE id = $1 FOR UPDATE`,
+    [userId, durationDays]
+  );
+  if (!current.rows[0]?.is_premium) {
+    return false;
+  }
+  if (current.rows[0].used_up) {
+    return revoke(client, userId, description);
+  }
+
+  const result = await client.query(
+    `UPDATE users SET
+      premium_expiry = premium_expiry - make_interval(days => $2),
+      subscription_expires_at = premium_expiry - make_interval(days => $2)
+     WHERE id = $1
+     RETURNING premium_expiry`,
+    [userId, durationDays]
+  );
+  await wallet.recordEvent(userId, 'downgrade', description, client);
+
+  console.log(`📉 Premium for user ${userId} cut back to ${result.rows[0].premium_expiry.toISOString()}`);
+  return true;
+};
+
+// Stop renewal reminders and end premium when the current period ends
+export const cancelAtPeriodEnd = async (userId) => {
+  const result = await query(
+    `UPDATE users SET subscription_status = 'canceled', subscription_canceled_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND subscription_status = 'active' AND premium_expiry IS NOT NULL
+     RETURNING id`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw new ServiceError('Only an active subscription can be cancelled', { status: 409, code: 'SUBSCRIPTION_NOT_ACTIVE' });
+  }
+
+  const subscription = await getSubscription(userId);
+  emitToUser(userId, 'subscriptionUpdated', subscription);
+  return subscription;
+};
+
+// Undo a cancellation while the period is still running
+export const resume = async (userId) => {
+  const result = await query(
+    `UPDATE users SET subscription_status = 'active', subscription_canceled_at = NULL
+     WHERE id = $1 AND subscription_status = 'canceled' AND premium_expiry > CURRENT_TIMESTAMP
+     RETURNING id`,
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw new ServiceError('There is no cancelled subscription to resume', { status: 409, code: 'SUBSCRIPTION_NOT_CANCELED' });
+  }
+
+  const subscription = await getSubscription(userId);
+  emitToUser(userId, 'subscriptionUpdated', subscription);
+  return subscription;
+};
+
+// Take premium away from one user whose access has ended. The state is
+// checked again under the row lock in case a renewal got there first.
+const expire = async (userId) => {
+  const previous = await withTransaction(async (client) => {
+    const current = await client.query(
+      `SELECT subscription_status FROM users
+       WHERE id = $1 AND subscription_status IN ('canceled', 'grace') AND subscription_expires_at <= CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [userId]
+    );
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    await client.query(
+      `UPDATE users SET subscription_status = 'expired', is_premium = false, preferred_gender = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+
+    const status = current.rows[0].subscription_status;
+    const description = status === 'canceled'
+      ? 'Subscription cancelled - downgraded to FREE'
+      : 'Premium expired - downgraded to FREE';
+    await wallet.recordEvent(userId, 'downgrade', description, client);
+    return status;
+  });
+
+  if (!previous) return false;
+
+  emitToUser(userId, 'subscriptionExpired', {
+    reason: previous === 'canceled' ? 'canceled' : 'not_renewed',
+    subscription: await getSubscription(userId)
+  });
+  console.log(`📉 Subscription expired for user ${userId} (${previous})`);
+  return true;
+};
+
+// One pass of the lifecycle: lapsed active subscriptions enter grace, then
+// everything whose access has ended expires
+export const runLifecycle = async () => {
+  const graceHours = config.subscriptions.gracePeriodHours;
+
+  const lapsed = await query(
+    `UPDATE users SET
+      subscription_status = 'grace',
+      subscription_expires_at = premium_expiry + make_interval(hours => $1)
+     WHERE subscription_status = 'active' AND subscription_expires_at <= CURRENT_TIMESTAMP
+     RETURNING id, premium_expiry, subscription_expires_at`,
+    [graceHours]
+  );
+
+  // Without a grace period they expire straight away below
+  if (graceHours > 0) {
+    lapsed.rows.forEach(row => {
+      emitToUser(row.id, 'subscriptionGracePeriod', {
+        currentPeriodEnd: row.premium_expiry,
+        graceEndsAt: row.subscription_expires_at
+      });
+    });
+  }
+
+  const due = await query(
+    `SELECT id FROM users
+     WHERE subscription_status IN ('canceled', 'grace') AND subscription_expires_at <= CURRENT_TIMESTAMP
+     ORDER BY subscription_expires_at
+     LIMIT $1`,
+    [EXPIRE_BATCH_SIZE]
+  );
+
+  let expired = 0;
+  for (const { id } of due.rows) {
+    try {
+      if (await expire(id)) expired++;
+    } catch (error) {
+      console.error(`❌ Failed to expire subscription for user ${id}:`, error);
+    }
+  }
+
+  if (lapsed.rows.length > 0 || expired > 0) {
+    console.log(`🗓️ Subscription lifecycle: ${lapsed.rows.length} entered grace, ${expired} expired`);
+  }
+  return { lapsed: lapsed.rows.length, expired };
+};
@@ -0,0 +1,70 @@
+import { query, withTransaction } from '../config/database.js';
+import { nodeId } from './cluster.js';
+
+// Shared video room registry (formerly the in-process rooms Map).
+// Joins and leaves take a per-room advisory lock so two nodes can't both
+// decide they were the second participant.
+
+const lockRoom = (client, roomId) => client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [roomId]);
+
+const selectParticipants = async (client, roomId) => {
+  const result = await client.query(
+    'SELECT socket_id, user_id, match_id, joined_at FROM video_room_participants WHERE room_id = $1 ORDER BY joined_at ASC',
+    [roomId]
+  );
+  return result.rows.map(row => ({
+    socketId: row.socket_id,
+    userId: row.user_id,
+    matchId: row.match_id,
+    joinedAt: row.joined_at
+  }));
+};
+
+// Add a socket to a room and return the participants after joining
+export const joinRoom = async ({ roomId, matchId, socketId, userId }) => {
+  return withTransaction(async (client) => {
+    await lockRoom(client, roomId);
+    await client.query(
+      `INSERT INTO video_room_participants (room_id, socket_id, user_id, node_id, match_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (room_id, socket_id) DO NOTHING`,
+      [roomId, socketId, userId, nodeId, matchId || null]
+    );
+    return selectParticipants(client, roomId);
+  });
+};
+
+// Remove a socket from a room and return who is left
+export const leaveRoom = async (roomId, socketId) => {
+  return withTransaction(async (client) => {
+    await lockRoom(client, roomId);
+    const result = await client.query(
+      'DELETE FROM video_room_participants WHERE room_id = $1 AND socket_id = $2 RETURNING match_id',
+      [roomId, socketId]
+    );
+    const remaining = await selectParticipants(client, roomId);
+    return { left: result.rows.length > 0, matchId: result.rows[0]?.match_id || null, remaining };
+  });
+};
+
+// Drop everyone from a room whose call is over
+export const closeRoom = async (roomId) => {
+  await query('DELETE FROM video_room_participants WHERE room_id = $1', [roomId]);
+};
+
+export const getParticipants = async (roomId) => {
+  const result = await query(
+    'SELECT socket_id, user_id FROM video_room_participants WHERE room_id = $1',
+    [roomId]
+  );
+  return result.rows.map(row => ({ socketId: row.socket_id, userId: row.user_id }));
+};
+
+// Rooms a socket is currently in, used to clean up on disconnect
+export const getRoomsForSocket = async (socketId) => {
+  const result = await query(
+    'SELECT room_id, match_id FROM video_room_participants WHERE socket_id = $1',
+    [socketId]
+  );
+  return result.rows.map(row => ({ roomId: row.room_id, matchId: row.match_id }));
+};
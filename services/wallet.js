@@ -0,0 +1,98 @@
+import { query, withTransaction } from '../config/database.js';
+import { ServiceError } from '../utils/errors.js';
+
+// The wallet owns every change to users.tokens. Each change locks the user
+// row, moves the balance and appends a `transactions` entry in the same
+// database transaction; a database trigger rejects token writes made any
+// other way.
+
+// Use the caller's transaction if there is one, otherwise start our own
+const inTransaction = (client, callback) => (client ? callback(client) : withTransaction(callback));
+
+const applyChange = async (client, userId, delta, { type, description = null, amount = null, referenceId = null }) => {
+  // Lets this transaction past the users_tokens_guard trigger
+  await client.query("SELECT set_config('swipx.wallet', 'on', true)");
+
+  const current = await client.query('SELECT tokens FROM users WHERE id = $1 FOR UPDATE', [userId]);
+  if (current.rows.length === 0) {
+    throw new ServiceError('User not found', { status: 404, code: 'USER_NOT_FOUND' });
+  }
+
+  const balance = current.rows[0].tokens + delta;
+  if (balance < 0) {
+    throw new ServiceError('Insufficient tokens. Please purchase more tokens to continue.', {
+      status: 402,
+      code: 'INSUFFICIENT_TOKENS',
+      details: { tokensNeeded: -delta, currentTokens: current.rows[0].tokens }
+    });
+  }
+
+  if (delta !== 0) {
+    await client.query('UPDATE users SET tokens = $2 WHERE id = $1', [userId, balance]);
+  }
+
+  const entry = await client.query(
+    `INSERT INTO transactions (user_id, type, tokens, balance_after, amount, description, reference_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, type, tokens, balance_after, amount, description, reference_id, created_at`,
+    [userId, type, delta, balance, amount, description, referenceId]
+  );
+
+  return { balance, transaction: entry.rows[0] };
+};
+
+const requirePositive = (tokens) => {
+  if (!Number.isInteger(tokens) || tokens <= 0) {
+    throw new ServiceError('Token amount must be a positive whole number', { code: 'INVALID_TOKEN_AMOUNT' });
+  }
+};
+
+// Add tokens. Pass `client` to take part in a transaction the caller holds.
+export const credit = async (userId, tokens, details, client = null) => {
+  requirePositive(tokens);
+  return inTransaction(client, (tx) => applyChange(tx, userId, tokens, details));
+};
+
+// Take tokens, failing with INSUFFICIENT_TOKENS rather than going negative
+export const debit = async (userId, tokens, details, client = null) => {
+  requirePositive(tokens);
+  return inTransaction(client, (tx) => applyChange(tx, userId, -tokens, details));
+};
+
+// Log an account event that doesn't move the balance (signup, downgrade)
+export const recordEvent = async (userId, type, description, client = null) => {
+  return inTransaction(client, (tx) => applyChange(tx, userId, 0, { type, description }));
+};
+
+export const getBalance = async (userId) => {
+  const result = await query('SELECT tokens FROM users WHERE id = $1', [userId]);
+  return result.rows[0]?.tokens ?? null;
+};
+
+export const listTransactions = async (userId, limit = 10) => {
+  const result = await query(
+    `SELECT type, tokens, balance_after, amount, description, created_at
+     FROM transactions WHERE user_id = $1
+     ORDER BY created_at DESC LIMIT $2`,
+    [userId, limit]
+  );
+  return result.rows;
+};
+
+// Users whose balance doesn't match the sum of their ledger entries
+export const findDiscrepancies = async () => {
+  const result = await query(`
+    SELECT u.id, u.email, u.tokens, COALESCE(l.total, 0)::INTEGER AS ledger_total
+    FROM users u
+    LEFT JOIN (SELECT user_id, SUM(tokens) AS total FROM transactions GROUP BY user_id) l ON l.user_id = u.id
+    WHERE u.tokens <> COALESCE(l.total, 0)
+    ORDER BY u.email
+  `);
+  return result.rows.map(row => ({
+    userId: row.id,
+    email: row.email,
+    balance: row.tokens,
+    ledgerTotal: row.ledger_total,
+    difference: row.tokens - row.ledger_total
+  }));
+};
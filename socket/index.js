@@ -0,0 +1,481 @@
+import config from '../config/index.js';
+import { query } from '../config/database.js';
+import { userRoom, sessionRoom, emitToUser } from '../services/realtime.js';
+import * as matching from '../services/matching.js';
+import * as chat from '../services/chat.js';
+import * as videoRooms from '../services/videoRooms.js';
+import * as reports from '../services/reports.js';
+import * as connections from '../services/connections.js';
+import { ServiceError } from '../utils/errors.js';
+
+// A socket left a call room. Unless the same user is still in it from
+// another socket, the other side is told and the call ends for both, so
+// neither keeps being billed.
+const handleRoomLeave = async (io, socket, roomId, matchId) => {
+  const { remaining, matchId: storedMatchId } = await videoRooms.leaveRoom(roomId, socket.id);
+  if (remaining.some(participant => participant.userId === socket.userId)) return;
+
+  if (remaining.length > 0) {
+    io.to(roomId).emit('participantLeft', {
+      userId: socket.userId,
+      roomId
+    });
+  }
+
+  const endedMatchId = storedMatchId || matchId;
+  if (endedMatchId) {
+    try {
+      await matching.leaveCall(endedMatchId, socket.userId);
+    } catch (error) {
+      console.error('Error ending match:', error);
+    }
+  }
+};
+
+// Typing indicators for one socket. The partner hears about changes only, not
+// every keystroke, and an indicator clears itself if stopTyping never comes.
+const createTypingTracker = (socket) => {
+  const typing = new Map(); // matchId -> { partnerId, timer }
+
+  const stop = (matchId) => {
+    const state = typing.get(matchId);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    typing.delete(matchId);
+    emitToUser(state.partnerId, 'partnerTyping', { matchId, userId: socket.userId, isTyping: false });
+  };
+
+  const start = async (matchId) => {
+    const state = typing.get(matchId);
+    if (state) {
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => stop(matchId), config.chat.typingTimeoutMs);
+      return;
+    }
+
+    const { partnerId } = await chat.getLiveChat(matchId, socket.userId);
+    if (typing.has(matchId)) return;
+
+    typing.set(matchId, { partnerId, timer: setTimeout(() => stop(matchId), config.chat.typingTimeoutMs) });
+    emitToUser(partnerId, 'partnerTyping', { matchId, userId: socket.userId, isTyping: true });
+  };
+
+  const stopAll = () => {
+    [...typing.keys()].forEach(stop);
+  };
+
+  return { start, stop, stopAll };
+};
+
+export const registerSocketHandlers = (io) => {
+  io.on('connection', async (socket) => {
+    console.log(`✅ User connected: ${socket.user.name} (${socket.userId})`);
+
+    // Join per-user and per-session rooms so other nodes and services can reach this socket
+    socket.join(userRoom(socket.userId));
+    socket.join(sessionRoom(socket.sessionId));
+
+    // Update user online status in database
+    try {
+      await query(
+        'UPDATE users SET is_online = true, last_seen = CURRENT_TIMESTAMP WHERE id = $1',
+        [socket.userId]
+      );
+
+      // Store session in database (with upsert logic)
+      await query(
+        'INSERT INTO user_sessions (user_id, socket_id, is_active) VALUES ($1, $2, true) ON CONFLICT DO NOTHING',
+        [socket.userId, socket.id]
+      ).catch(async () => {
+        // If conflict error or table doesn't exist, update existing record
+        await query(
+          'UPDATE user_sessions SET socket_id = $2, is_active = true, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+          [socket.userId, socket.id]
+        ).catch(() => {
+          // If user_sessions table doesn't exist, ignore this operation
+          console.log('user_sessions table not found, skipping session storage');
+        });
+      });
+    } catch (error) {
+      console.error('Error updating user online status:', error);
+    }
+
+    // Announce the user to everyone else with their public profile only;
+    // socket.user is the full auth row (email, role, account status, ...)
+    socket.broadcast.emit('userOnline', {
+      userId: socket.userId,
+      user: matching.partnerPayload(socket.user)
+    });
+
+    // Handle user joining matching queue
+    socket.on('joinMatchingQueue', async (preferences = {}) => {
+      try {
+        console.log(`🔍 User ${socket.user.name} joined matching queue with preferences:`, preferences);
+
+        const { match, isExistingMatch, queueSize } = await matching.joinQueue({
+          userId: socket.userId,
+          socketId: socket.id,
+          preferences
+        });
+
+        // New matches are announced by the matching service itself
+        if (isExistingMatch) {
+          socket.emit('matchFound', { ...match, isExistingMatch: true });
+          return;
+        }
+
+        console.log(`📊 Queue size after adding ${socket.user.name}: ${queueSize}`);
+
+        // Trigger matching for all waiting users when someone new joins
+        if (!match && queueSize >= 2) {
+          setTimeout(async () => {
+            console.log(`🔍 Auto-triggering match processing...`);
+            await matching.processQueue();
+          }, config.matching.retryDelayMs); // Small delay to ensure all users are properly added to queue
+        }
+
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('matchingError', { code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error joining matching queue:', error);
+        socket.emit('matchingError', {
+          message: 'Failed to join matching queue'
+        });
+      }
+    });
+
+    // Handle leaving matching queue
+    socket.on('leaveMatchingQueue', async () => {
+      try {
+        await matching.leaveQueue(socket.userId, socket.id);
+      } catch (error) {
+        console.error('Error leaving matching queue:', error);
+      }
+      socket.emit('matchingStatus', {
+        status: 'idle',
+        message: 'Stopped searching for matches'
+      });
+      console.log(`🚨 User ${socket.user.name} left matching queue`);
+    });
+
+    // Handle WebRTC signaling
+    socket.on('webrtc-signal', async (data) => {
+      try {
+        const { roomId, signal } = data;
+
+        const participants = await videoRooms.getParticipants(roomId);
+
+        // Only relay signals between members of the room
+        if (!participants.some(participant => participant.socketId === socket.id)) {
+          return;
+        }
+
+        // Forward signal to the other participant in the room, wherever it is connected
+        const target = participants.find(participant => participant.socketId !== socket.id);
+
+        if (target) {
+          io.to(target.socketId).emit('webrtc-signal', {
+            signal,
+            fromUserId: socket.userId,
+            roomId
+          });
+          console.log(`📡 WebRTC signal forwarded in room ${roomId}`);
+        }
+      } catch (error) {
+        console.error('Error relaying WebRTC signal:', error);
+      }
+    });
+
+    // Handle joining a video call room
+    socket.on('joinVideoRoom', async (data) => {
+      try {
+        const { roomId } = data;
+
+        // Only the two users of a live match may join its room
+        const match = await matching.getRoomMatch(roomId, socket.userId);
+        if (!match) {
+          socket.emit('videoRoomError', {
+            code: 'ROOM_NOT_FOUND',
+            message: 'This call has ended or you are not part of it'
+          });
+          return;
+        }
+
+        socket.join(roomId);
+
+        const participants = await videoRooms.joinRoom({
+          roomId,
+          matchId: match.id,
+          socketId: socket.id,
+          userId: socket.userId
+        });
+
+        // Both users, not just two sockets of the same one
+        if (new Set(participants.map(participant => participant.userId)).size >= 2) {
+          // Starts billing; a call neither side can pay for ends right here
+          const { status } = await matching.markConnected(match.id, socket.userId);
+          if (status !== 'connected') return;
+
+          // Notify both participants that the room is ready
+          io.to(roomId).emit('roomReady', {
+            roomId,
+            matchId: match.id,
+            participants: participants.length,
+            billing: {
+              sliceSeconds: config.calls.sliceSeconds,
+              tokensPerSlice: config.calls.tokensPerSlice
+            }
+          });
+        }
+
+        console.log(`📹 User ${socket.user.name} joined video room ${roomId}`);
+      } catch (error) {
+        console.error('Error joining video room:', error);
+      }
+    });
+
+    // Handle leaving a video call room
+    socket.on('leaveVideoRoom', async (data) => {
+      try {
+        const { roomId, matchId } = data;
+
+        socket.leave(roomId);
+        await handleRoomLeave(io, socket, roomId, matchId);
+
+        console.log(`🚪 User ${socket.user.name} left video room ${roomId}`);
+      } catch (error) {
+        console.error('Error leaving video room:', error);
+      }
+    });
+
+    // Clients report whether the media connection actually came up; failed
+    // and very short calls are refunded
+    const reportCall = (outcome) => async (data = {}) => {
+      try {
+        await matching.reportCallOutcome(data.matchId, socket.userId, outcome, data.reason);
+        console.log(`📶 User ${socket.user.name} reported call ${data.matchId} ${outcome}`);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('callReportError', { matchId: data.matchId, code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error recording call report:', error);
+      }
+    };
+
+    socket.on('callConnected', reportCall('connected'));
+    socket.on('callFailed', reportCall('failed'));
+
+    // Rate the partner once the call is over
+    socket.on('rateCall', async (data = {}) => {
+      try {
+        const result = await matching.rateCall(data.matchId, socket.userId, Number(data.rating));
+        socket.emit('callRated', result);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('rateError', { matchId: data.matchId, code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error rating call:', error);
+        socket.emit('rateError', { matchId: data.matchId, message: 'Failed to rate call' });
+      }
+    });
+
+    // Ask to stay in touch with the partner, during the call or shortly
+    // after. The partner isn't told; both get connectionCreated once both ask.
+    socket.on('connectRequest', async (data = {}) => {
+      try {
+        const result = await connections.requestConnect(socket.userId, data.matchId);
+        socket.emit('connectRequested', result);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('connectError', { matchId: data.matchId, code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error requesting connection:', error);
+        socket.emit('connectError', { matchId: data.matchId, message: 'Failed to send connect request' });
+      }
+    });
+
+    // Block the partner mid-call; the call ends for both straight away
+    socket.on('blockPartner', async (data = {}) => {
+      try {
+        const { blockedUserId } = await matching.blockPartner(data.matchId, socket.userId, data.reason ? String(data.reason).slice(0, 255) : null);
+        socket.emit('partnerBlocked', { matchId: data.matchId, userId: blockedUserId });
+        console.log(`⛔ User ${socket.user.name} blocked their partner in match ${data.matchId}`);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('blockError', { matchId: data.matchId, code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error blocking partner:', error);
+      }
+    });
+
+    // Report the partner of a match, during or after the call
+    socket.on('reportPartner', async (data = {}) => {
+      try {
+        const report = await reports.createReport({
+          reporterId: socket.userId,
+          matchId: data.matchId,
+          reason: data.reason,
+          details: data.details ? String(data.details).slice(0, 2000) : null
+        });
+        socket.emit('reportSubmitted', { reportId: report.id, matchId: report.matchId });
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('reportError', { matchId: data.matchId, code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error submitting report:', error);
+        socket.emit('reportError', { matchId: data.matchId, message: 'Failed to submit report' });
+      }
+    });
+
+    const typing = createTypingTracker(socket);
+
+    // Handle chat messages
+    socket.on('sendMessage', async (data = {}) => {
+      try {
+        const { match, forUser } = await chat.sendMessage(socket.user, data.matchId, {
+          content: data.content,
+          messageType: data.messageType,
+          imageId: data.imageId ?? null
+        });
+        typing.stop(match.id);
+
+        // Both users get it on every socket, in the call room or not, each
+        // with image links signed for them
+        [match.user1_id, match.user2_id].forEach(userId => {
+          io.to(userRoom(userId)).emit('newMessage', forUser(userId));
+        });
+
+        console.log(`💬 Message sent in match ${match.id} by ${socket.user.name}`);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('messageError', { matchId: data.matchId, code: error.code, reason: error.details?.reason, message: error.message });
+          return;
+        }
+        console.error('Error sending message:', error);
+        socket.emit('messageError', {
+          message: 'Failed to send message'
+        });
+      }
+    });
+
+    // Mark the partner's messages read; the partner gets messagesRead
+    socket.on('markRead', async (data = {}) => {
+      try {
+        const result = await chat.markRead(socket.userId, data.matchId, { upTo: data.upTo ?? null });
+        socket.emit('markedRead', result);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('chatError', { matchId: data.matchId, code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error marking messages read:', error);
+      }
+    });
+
+    socket.on('typing', async (data = {}) => {
+      try {
+        await typing.start(data.matchId);
+      } catch (error) {
+        if (error instanceof ServiceError) {
+          socket.emit('chatError', { matchId: data.matchId, code: error.code, message: error.message });
+          return;
+        }
+        console.error('Error updating typing status:', error);
+      }
+    });
+
+    socket.on('stopTyping', (data = {}) => {
+      typing.stop(data.matchId);
+    });
+
+    // Handle explicit online status updates
+    socket.on('updateOnlineStatus', async (data) => {
+      try {
+        const { userId, isOnline } = data;
+
+        // Only allow users to update their own status
+        if (userId !== socket.userId) {
+          console.warn(`User ${socket.userId} tried to update status for user ${userId}`);
+          return;
+        }
+
+        // Update online status in database
+        await query(
+          'UPDATE users SET is_online = $1, last_seen = CURRENT_TIMESTAMP WHERE id = $2',
+          [isOnline, socket.userId]
+        );
+
+        console.log(`🟢 Updated online status for user ${socket.user.name}: ${isOnline}`);
+
+        // Broadcast status change to other users
+        if (isOnline) {
+          socket.broadcast.emit('userOnline', {
+            userId: socket.userId,
+            user: matching.partnerPayload(socket.user)
+          });
+        } else {
+          socket.broadcast.emit('userOffline', {
+            userId: socket.userId
+          });
+        }
+
+      } catch (error) {
+        console.error('Error updating online status:', error);
+      }
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', async () => {
+      console.log(`🔴 User disconnected: ${socket.user.name} (${socket.userId})`);
+
+      typing.stopAll();
+
+      // Remove from the waiting queue (only if this socket is the one queued)
+      await matching.leaveQueue(socket.userId, socket.id).catch(error => {
+        console.error('Error removing user from queue:', error);
+      });
+
+      // Update user offline status in database
+      try {
+        await query(
+          'UPDATE users SET is_online = false, last_seen = CURRENT_TIMESTAMP WHERE id = $1',
+          [socket.userId]
+        );
+
+        // Update session status (if table exists)
+        await query(
+          'UPDATE user_sessions SET is_active = false WHERE user_id = $1',
+          [socket.userId]
+        ).catch(() => {
+          // If user_sessions table doesn't exist, ignore this operation
+          console.log('user_sessions table not found, skipping session update');
+        });
+      } catch (error) {
+        console.error('Error updating user offline status:', error);
+      }
+
+      // Clean up any rooms the user was in
+      try {
+        const userRooms = await videoRooms.getRoomsForSocket(socket.id);
+        for (const { roomId, matchId } of userRooms) {
+          await handleRoomLeave(io, socket, roomId, matchId);
+        }
+      } catch (error) {
+        console.error('Error cleaning up video rooms:', error);
+      }
+
+      // Emit user offline event
+      socket.broadcast.emit('userOffline', {
+        userId: socket.userId
+      });
+    });
+  });
+};
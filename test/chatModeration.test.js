@@ -0,0 +1,30 @@
+import './env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { html } from '../services/chatModeration/stages.js';
+
+const clean = async (content) => (await html({ content })).content;
+
+// Anything a browser would start a tag for
+const assertNoMarkup = (text) => assert.doesNotMatch(text, /<[a-z!/]/i);
+
+test('html strips tags and script blocks', async () => {
+  assert.equal(await clean('<b>hi</b> there'), 'hi there');
+  assert.equal(await clean('a<script>alert(1)</script>b'), 'ab');
+});
+
+test('html leaves a lone "<" alone', async () => {
+  assert.equal(await clean('i <3 you'), 'i <3 you');
+});
+
+test('html strips tags that only form once an inner tag is removed', async () => {
+  assert.equal(await clean('<<b>img src=x onerror=alert(1)>'), '');
+  assert.equal(await clean('<<<i>b>img src=x onerror=alert(1)>>'), '>');
+  assertNoMarkup(await clean('<<b>scr<i>ipt>alert(1)<</b>/script>'));
+});
+
+test('html strips tags split across other tags', async () => {
+  assertNoMarkup(await clean('<scr<b>ipt>alert(1)</scr</b>ipt>'));
+  assertNoMarkup(await clean('<scr<script></script>ipt>alert(1)</script>'));
+  assertNoMarkup(await clean('<im</b>g src=x onerror=alert(1)>'));
+});
@@ -0,0 +1,53 @@
+import './env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import config from '../config/index.js';
+import { uploadBodies } from '../middleware/upload.js';
+
+// Same parser order as index.js, with routes that echo what they received
+const app = express();
+app.use(uploadBodies());
+app.use(express.json());
+const echo = (req, res) => res.json(Buffer.isBuffer(req.body) ? { raw: true, length: req.body.length } : { raw: false, body: req.body });
+app.post('/api/users/me/avatar', echo);
+app.post('/api/matching/:matchId/images', echo);
+app.post('/api/other', echo);
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body, contentType) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': contentType },
+  body
+});
+
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+test('uploads labelled application/json are read as bytes', async () => {
+  for (const path of ['/api/users/me/avatar', '/api/matching/some-match/images']) {
+    const response = await post(path, JPEG_BYTES, 'application/json');
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { raw: true, length: JPEG_BYTES.length });
+  }
+});
+
+test('uploads over the size limit are refused with 413', async () => {
+  const response = await post('/api/users/me/avatar', Buffer.alloc(config.avatars.maxBytes + 1), 'image/jpeg');
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).code, 'IMAGE_TOO_LARGE');
+});
+
+test('other routes still get parsed JSON', async () => {
+  const response = await post('/api/other', JSON.stringify({ hello: 'world' }), 'application/json');
+  assert.deepEqual((await response.json()).body, { hello: 'world' });
+});
@@ -0,0 +1,7 @@
+import crypto from 'crypto';
+
+// SHA-256 hex digest used to store one-time tokens at rest
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// URL-safe random token for refresh, reset and verification links
+export const generateOpaqueToken = (bytes = 48) => crypto.randomBytes(bytes).toString('base64url');
@@ -0,0 +1,25 @@
+import validator from 'validator';
+import { ServiceError } from './errors.js';
+
+// Opaque keyset cursors for lists ordered by (created_at DESC, id DESC). The
+// timestamp is kept as Postgres text (select `created_at::text`) so it keeps
+// its microseconds; a JS Date would round them off and skip rows.
+
+export const invalidCursor = () => new ServiceError('Invalid cursor', { code: 'INVALID_CURSOR' });
+
+export const encodeCursor = (createdAtText, id) => Buffer.from(`${createdAtText}|${id}`).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (!createdAt || !validator.isUUID(String(id)) || Number.isNaN(Date.parse(createdAt))) {
+    throw invalidCursor();
+  }
+  return { createdAt, id };
+};
+
+// Rethrow a query error caused by a cursor that decoded but holds no real
+// timestamp as INVALID_CURSOR
+export const rethrowBadCursor = (error) => {
+  if (error.code === '22007' || error.code === '22008') throw invalidCursor();
+  throw error;
+};
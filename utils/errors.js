@@ -0,0 +1,27 @@
+// Error thrown by services for expected failures (bad input, missing rows,
+// permission problems). Routes translate it into a JSON error response.
+export class ServiceError extends Error {
+  constructor(message, { status = 400, code = 'BAD_REQUEST', details } = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Send a ServiceError as the standard `{ success: false }` payload. Returns
+// false for any other error so the caller can fall back to a 500.
+export const sendServiceError = (res, error) => {
+  if (!(error instanceof ServiceError)) {
+    return false;
+  }
+
+  res.status(error.status).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.details ? { details: error.details } : {})
+  });
+  return true;
+};
@@ -0,0 +1,150 @@
+// Image type detection from magic bytes, and metadata stripping for the
+// formats we accept. Only metadata containers are dropped (EXIF, XMP, IPTC,
+// text chunks, comments); pixel data is copied as is, so nothing is
+// re-encoded. Dropping EXIF also drops the orientation tag, so clients see
+// photos as stored.
+
+export const IMAGE_TYPES = {
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+  png: { contentType: 'image/png', extension: 'png' },
+  webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+export const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'png';
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+};
+
+const malformed = () => new Error('malformed image');
+
+// JPEG: keep JFIF (APP0), ICC profiles (APP2) and Adobe colour info (APP14),
+// drop every other APPn segment and comments. Scans are copied as is and the
+// file ends at EOI; anything after it (vendor trailers, appended secondary
+// images or other payloads) is dropped.
+const stripJpeg = (buffer) => {
+  const parts = [buffer.subarray(0, 2)];
+  const EOI = Buffer.from([0xff, 0xd9]);
+  let offset = 2;
+  let scanned = false;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) throw malformed();
+    // Fill bytes before a marker
+    while (buffer[offset + 1] === 0xff) offset += 1;
+
+    const marker = buffer[offset + 1];
+    if (marker === undefined) throw malformed();
+
+    // Markers without a length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9) {
+      if (!scanned) throw malformed();
+      parts.push(EOI);
+      return Buffer.concat(parts);
+    }
+
+    if (offset + 4 > buffer.length) throw malformed();
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) throw malformed();
+
+    // Start of scan: the header, then entropy-coded data up to the next
+    // marker other than a stuffed 0xFF00 or a restart marker
+    if (marker === 0xda) {
+      let scanEnd = end;
+      while (scanEnd < buffer.length) {
+        const next = buffer[scanEnd + 1];
+        if (buffer[scanEnd] === 0xff && next !== undefined && next !== 0x00 && next !== 0xff && !(next >= 0xd0 && next <= 0xd7)) break;
+        scanEnd += 1;
+      }
+      parts.push(buffer.subarray(offset, scanEnd));
+      scanned = true;
+      // A file cut off mid-scan is closed off rather than rejected
+      if (scanEnd >= buffer.length) {
+        parts.push(EOI);
+        return Buffer.concat(parts);
+      }
+      offset = scanEnd;
+      continue;
+    }
+
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep = (!isApp && marker !== 0xfe) ||
+      marker === 0xe0 ||
+      marker === 0xee ||
+      (marker === 0xe2 && buffer.toString('latin1', offset + 4, offset + 15) === 'ICC_PROFILE');
+    if (keep) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  throw malformed();
+};
+
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+// PNG: drop text, EXIF and timestamp chunks
+const stripPng = (buffer) => {
+  const parts = [PNG_SIGNATURE];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) throw malformed();
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') return Buffer.concat(parts);
+  }
+
+  throw malformed();
+};
+
+// WebP: drop EXIF and XMP chunks and clear their flags in the VP8X header
+const stripWebp = (buffer) => {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const fourcc = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) throw malformed();
+
+    if (fourcc !== 'EXIF' && fourcc !== 'XMP ') {
+      const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+      if (fourcc === 'VP8X' && size >= 1) {
+        chunk[8] &= ~(0x08 | 0x04);
+      }
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+
+  if (chunks.length === 0) throw malformed();
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const STRIPPERS = { jpeg: stripJpeg, png: stripPng, webp: stripWebp };
+
+// The image without its metadata. Throws on files that don't parse as the
+// detected type.
+export const stripMetadata = (buffer, type) => STRIPPERS[type](buffer);